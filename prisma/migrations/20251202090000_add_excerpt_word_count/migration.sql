@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "excerpt" TEXT,
+ADD COLUMN "wordCount" INTEGER;
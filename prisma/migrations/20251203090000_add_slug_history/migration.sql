@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "slug" TEXT;
+
+-- Backfill slugs for existing blogs from their titles, with the rules of slugify():
+-- at most 100 characters, shortened at a hyphen so slugs don't end mid-word
+UPDATE "blogs" SET "slug" = trim(both '-' from regexp_replace(lower("title"), '[^a-z0-9]+', '-', 'g'));
+UPDATE "blogs" SET "slug" = regexp_replace(left("slug", 100), '-[^-]*$', '') WHERE length("slug") > 100;
+UPDATE "blogs" SET "slug" = 'blog' WHERE "slug" = '';
+
+-- Older blogs keep the plain slug, later duplicates get the first free -2, -3, ... suffix
+-- (checked against every slug, so a suffixed slug never collides with another blog's)
+DO $$
+DECLARE
+  duplicate RECORD;
+  suffix INTEGER;
+  candidate TEXT;
+BEGIN
+  FOR duplicate IN
+    SELECT "id", "slug"
+    FROM (
+      SELECT "id", "slug", ROW_NUMBER() OVER (PARTITION BY "slug" ORDER BY "id") AS slug_rank
+      FROM "blogs"
+    ) AS ranked
+    WHERE slug_rank > 1
+    ORDER BY "id"
+  LOOP
+    suffix := 2;
+    LOOP
+      candidate := rtrim(left(duplicate."slug", 100 - length('-' || suffix)), '-') || '-' || suffix;
+      EXIT WHEN NOT EXISTS (SELECT 1 FROM "blogs" WHERE "slug" = candidate);
+      suffix := suffix + 1;
+    END LOOP;
+
+    UPDATE "blogs" SET "slug" = candidate WHERE "id" = duplicate."id";
+  END LOOP;
+END $$;
+
+ALTER TABLE "blogs" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blogs_slug_key" ON "blogs"("slug");
+
+-- CreateTable
+CREATE TABLE "blog_slug_history" (
+    "id" SERIAL NOT NULL,
+    "blogId" INTEGER NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "blog_slug_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blog_slug_history_slug_key" ON "blog_slug_history"("slug");
+
+-- CreateIndex
+CREATE INDEX "blog_slug_history_blogId_idx" ON "blog_slug_history"("blogId");
+
+-- AddForeignKey
+ALTER TABLE "blog_slug_history" ADD CONSTRAINT "blog_slug_history_blogId_fkey" FOREIGN KEY ("blogId") REFERENCES "blogs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'draft',
+ADD COLUMN "publishAt" TIMESTAMP(3);
+
+-- Every blog created before the publishing workflow existed was public
+UPDATE "blogs" SET "status" = 'published', "publishAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "blogs_status_publishAt_idx" ON "blogs"("status", "publishAt");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "authors" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "bio" TEXT,
+    "avatarUrl" TEXT,
+    "socialLinks" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "authors_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "authorId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "blogs_authorId_idx" ON "blogs"("authorId");
+
+-- AddForeignKey
+ALTER TABLE "blogs" ADD CONSTRAINT "blogs_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "authors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
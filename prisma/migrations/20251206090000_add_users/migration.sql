@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "users" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'author',
+    "apiKeyHash" TEXT NOT NULL,
+    "apiKeyPrefix" TEXT NOT NULL,
+    "authorId" INTEGER,
+    "disabledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_apiKeyHash_key" ON "users"("apiKeyHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_authorId_key" ON "users"("authorId");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "authors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "api_keys" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "scopes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expiresAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_keyHash_key" ON "api_keys"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "api_keys_userId_idx" ON "api_keys"("userId");
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing user keys into api_keys with every scope
+INSERT INTO "api_keys" ("userId", "name", "keyHash", "prefix", "scopes", "createdAt")
+SELECT "id", 'default', "apiKeyHash", "apiKeyPrefix", ARRAY['read-drafts', 'write', 'delete', 'permanent-delete'], "createdAt"
+FROM "users";
+
+-- DropIndex
+DROP INDEX "users_apiKeyHash_key";
+
+-- AlterTable
+ALTER TABLE "users" DROP COLUMN "apiKeyHash",
+DROP COLUMN "apiKeyPrefix";
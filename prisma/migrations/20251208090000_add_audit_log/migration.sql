@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "audit_log" (
+    "id" SERIAL NOT NULL,
+    "apiKeyId" INTEGER,
+    "userId" INTEGER,
+    "action" TEXT NOT NULL,
+    "blogId" INTEGER,
+    "changes" JSONB NOT NULL DEFAULT '{}',
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_log_blogId_idx" ON "audit_log"("blogId");
+
+-- CreateIndex
+CREATE INDEX "audit_log_apiKeyId_idx" ON "audit_log"("apiKeyId");
+
+-- CreateIndex
+CREATE INDEX "audit_log_createdAt_idx" ON "audit_log"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "audit_log" ADD CONSTRAINT "audit_log_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "api_keys"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "blog_revisions" (
+    "id" SERIAL NOT NULL,
+    "blogId" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "metadata" JSONB NOT NULL,
+    "contentUrl" TEXT,
+    "sourceUrl" TEXT,
+    "userId" INTEGER,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "blog_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blog_revisions_blogId_revision_key" ON "blog_revisions"("blogId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "blog_revisions" ADD CONSTRAINT "blog_revisions_blogId_fkey" FOREIGN KEY ("blogId") REFERENCES "blogs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
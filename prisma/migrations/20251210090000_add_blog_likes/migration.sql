@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "blog_likes" (
+    "id" SERIAL NOT NULL,
+    "blogId" INTEGER NOT NULL,
+    "visitorHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "blog_likes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blog_likes_blogId_visitorHash_key" ON "blog_likes"("blogId", "visitorHash");
+
+-- AddForeignKey
+ALTER TABLE "blog_likes" ADD CONSTRAINT "blog_likes_blogId_fkey" FOREIGN KEY ("blogId") REFERENCES "blogs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "blog_daily_stats" (
+    "blogId" INTEGER NOT NULL,
+    "day" DATE NOT NULL,
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "likes" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "blog_daily_stats_pkey" PRIMARY KEY ("blogId","day")
+);
+
+-- CreateIndex
+CREATE INDEX "blog_daily_stats_day_idx" ON "blog_daily_stats"("day");
+
+-- AddForeignKey
+ALTER TABLE "blog_daily_stats" ADD CONSTRAINT "blog_daily_stats_blogId_fkey" FOREIGN KEY ("blogId") REFERENCES "blogs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill likes from the per-visitor like rows (createdAt is stored in UTC; past views have no dates)
+INSERT INTO "blog_daily_stats" ("blogId", "day", "likes")
+SELECT "blogId", "createdAt"::date, COUNT(*)
+FROM "blog_likes"
+GROUP BY "blogId", "createdAt"::date;
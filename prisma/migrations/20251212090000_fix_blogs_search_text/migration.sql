@@ -0,0 +1,24 @@
+-- The original blogs_search_text(title, summary, tags) lost its GIN index when the
+-- summary column was dropped, and the app calls blogs_search_text(title, tags).
+-- Replace it with the two-argument version and index it again.
+
+-- DropFunction
+DROP FUNCTION IF EXISTS blogs_search_text(TEXT, TEXT, TEXT[]);
+
+-- Create an immutable function for text search
+CREATE OR REPLACE FUNCTION blogs_search_text(blog_title TEXT, blog_tags TEXT[])
+RETURNS tsvector
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+  SELECT to_tsvector('english',
+    COALESCE(blog_title, '') || ' ' ||
+    COALESCE(array_to_string(blog_tags, ' '), '')
+  );
+$$;
+
+-- CreateIndex
+DROP INDEX IF EXISTS "blogs_search_idx";
+CREATE INDEX "blogs_search_idx" ON "blogs" USING GIN (
+  blogs_search_text(title, tags)
+);
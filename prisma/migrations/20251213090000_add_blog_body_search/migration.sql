@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "bodyText" TEXT;
+
+-- DropIndex
+DROP INDEX IF EXISTS "blogs_search_idx";
+
+-- DropFunction
+DROP FUNCTION IF EXISTS blogs_search_text(TEXT, TEXT[]);
+
+-- Weighted search document: title (A) > tags (B) > body (C)
+CREATE OR REPLACE FUNCTION blogs_search_text(blog_title TEXT, blog_tags TEXT[], blog_body TEXT)
+RETURNS tsvector
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(blog_title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(array_to_string(blog_tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(blog_body, '')), 'C');
+$$;
+
+-- CreateIndex
+CREATE INDEX "blogs_search_idx" ON "blogs" USING GIN (
+  blogs_search_text(title, tags, "bodyText")
+);
@@ -0,0 +1,5 @@
+-- Trigram similarity for search suggestions and typo tolerance
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "blogs_title_trgm_idx" ON "blogs" USING GIN (title gin_trgm_ops);
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "search_log" (
+    "id" SERIAL NOT NULL,
+    "query" TEXT NOT NULL,
+    "clientHash" TEXT,
+    "resultCount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_log_createdAt_idx" ON "search_log"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "search_log_query_createdAt_idx" ON "search_log"("query", "createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN     "canonicalUrl" TEXT,
+ADD COLUMN     "metaDescription" TEXT,
+ADD COLUMN     "noindex" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "ogImageUrl" TEXT;
@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "tags" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "coverImageUrl" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_slug_key" ON "tags"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_name_key" ON "tags"("name");
+
+-- CreateIndex
+CREATE INDEX "blogs_tags_idx" ON "blogs" USING GIN ("tags");
+
+-- Backfill tags already used on blogs and rewrite blogs.tags to the canonical names, so
+-- spelling variants ("Meditation", "meditation ") become one tag. Slugs follow toTagSlug in
+-- src/utils/tags.js; a tag spelled several ways keeps the spelling of the oldest blog using it.
+-- Trashed blogs are included - they keep their tags when restored
+CREATE TEMPORARY TABLE "tag_usage" AS
+SELECT "blogId", "position", "name", "createdAt", CASE
+        WHEN "slug" = '' THEN replace(lower("name"), ' ', '-')
+        WHEN length("slug") <= 100 THEN "slug"
+        WHEN strpos(left("slug", 100), '-') > 0 THEN regexp_replace(left("slug", 100), '-[^-]*$', '')
+        ELSE left("slug", 100)
+    END AS "slug"
+FROM (
+    SELECT
+        "blogId",
+        "position",
+        "name",
+        "createdAt",
+        btrim(regexp_replace(lower(regexp_replace(normalize("name", NFKD), U&'[\0300-\036F]', '', 'g')), '[^a-z0-9]+', '-', 'g'), '-') AS "slug"
+    FROM (
+        SELECT b."id" AS "blogId", t."position", btrim(regexp_replace(t."tag", '\s+', ' ', 'g')) AS "name", b."createdAt"
+        FROM "blogs" b, unnest(b."tags") WITH ORDINALITY AS t("tag", "position")
+    ) AS "used"
+    WHERE "name" <> ''
+) AS "slugged";
+
+INSERT INTO "tags" ("slug", "name", "updatedAt")
+SELECT DISTINCT ON ("slug") "slug", "name", CURRENT_TIMESTAMP
+FROM "tag_usage"
+ORDER BY "slug", "createdAt", "blogId", "position";
+
+-- Keeps each blog's tag order, dropping blanks and duplicates. Raw UPDATE, so updatedAt is untouched
+UPDATE "blogs" b
+SET "tags" = COALESCE((
+    SELECT array_agg(t."name" ORDER BY u."position")
+    FROM (
+        SELECT "slug", MIN("position") AS "position"
+        FROM "tag_usage"
+        WHERE "blogId" = b."id"
+        GROUP BY "slug"
+    ) AS u
+    JOIN "tags" t ON t."slug" = u."slug"
+), ARRAY[]::TEXT[])
+WHERE cardinality(b."tags") > 0;
+
+DROP TABLE "tag_usage";
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "series" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "series_posts" (
+    "seriesId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "blogId" INTEGER NOT NULL,
+
+    CONSTRAINT "series_posts_pkey" PRIMARY KEY ("seriesId","position")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "series_posts_blogId_key" ON "series_posts"("blogId");
+
+-- AddForeignKey
+ALTER TABLE "series_posts" ADD CONSTRAINT "series_posts_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "series"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "series_posts" ADD CONSTRAINT "series_posts_blogId_fkey" FOREIGN KEY ("blogId") REFERENCES "blogs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
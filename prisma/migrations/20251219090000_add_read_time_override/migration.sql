@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "blogs" ADD COLUMN "readTimeOverride" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: a readTime that differs from the estimate for its wordCount (200 words/min) was set manually
+UPDATE "blogs"
+SET "readTimeOverride" = true
+WHERE "readTime" IS NOT NULL
+  AND "wordCount" IS NOT NULL
+  AND "readTime" <> GREATEST(1, CEIL("wordCount" / 200.0)::int);
@@ -0,0 +1,14 @@
+-- Vocabulary for "did you mean" corrections: every word of published titles and tags, unstemmed,
+-- with the number of blogs using it. Refreshed by the API every SEARCH_VOCABULARY_TTL_MS, so
+-- searches without results no longer scan every blog
+CREATE MATERIALIZED VIEW "search_vocabulary" AS
+SELECT lexeme AS word, COUNT(*)::int AS ndoc
+FROM blogs, unnest(to_tsvector('simple', title || ' ' || array_to_string(tags, ' '))) AS vector(lexeme, positions, weights)
+WHERE "deletedAt" IS NULL AND status = 'published'
+GROUP BY lexeme;
+
+-- CreateIndex (unique, required for REFRESH MATERIALIZED VIEW CONCURRENTLY)
+CREATE UNIQUE INDEX "search_vocabulary_word_key" ON "search_vocabulary" (word);
+
+-- CreateIndex
+CREATE INDEX "search_vocabulary_word_trgm_idx" ON "search_vocabulary" USING GIN (word gin_trgm_ops);
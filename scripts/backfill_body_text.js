@@ -0,0 +1,65 @@
+/**
+ * Backfill Searchable Body Text
+ * Fills blogs.bodyText (plain text of the rendered content) for blogs created
+ * before article text was indexed for full-text search.
+ * Usage: node scripts/backfill_body_text.js
+ */
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { getFile, extractKeyFromUrl } = require('../src/services/s3Service');
+const {
+  resolveContentType,
+  processContentForStorage,
+  htmlToPlainText,
+} = require('../src/utils/contentProcessor');
+
+const prisma = new PrismaClient();
+
+async function backfillBodyText() {
+  try {
+    const blogs = await prisma.blog.findMany({
+      where: { bodyText: null },
+      select: { id: true, contentUrl: true },
+      orderBy: { id: 'asc' },
+    });
+
+    console.log(`🔧 Found ${blogs.length} blogs without body text`);
+
+    for (const blog of blogs) {
+      try {
+        const contentKey = extractKeyFromUrl(blog.contentUrl);
+        const isHtml = !!contentKey && contentKey.endsWith('.html');
+        const contentType = contentKey && !isHtml ? resolveContentType(contentKey) : null;
+
+        if (!isHtml && !contentType) {
+          console.log(`⏭️  Blog ${blog.id}: unsupported content ${blog.contentUrl}, skipping`);
+          continue;
+        }
+
+        // Legacy blogs that still point at a .docx are rendered the same way as new uploads
+        const buffer = await getFile(contentKey);
+        const bodyText = isHtml
+          ? htmlToPlainText(buffer.toString('utf-8'))
+          : (await processContentForStorage(buffer, contentType)).plainText;
+
+        await prisma.blog.update({
+          where: { id: blog.id },
+          data: { bodyText },
+        });
+
+        console.log(`✅ Blog ${blog.id}: ${bodyText.length} characters indexed`);
+      } catch (error) {
+        console.error(`❌ Blog ${blog.id} failed: ${error.message}`);
+      }
+    }
+
+    console.log('🎉 Backfill complete');
+  } catch (error) {
+    console.error('❌ Error backfilling body text:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillBodyText();
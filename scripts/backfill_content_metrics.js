@@ -0,0 +1,66 @@
+/**
+ * Backfill Rendered Content and Metrics
+ * Renders blogs uploaded before server-side conversion to content.html and
+ * fills in wordCount, excerpt and (if missing) readTime.
+ * Usage: node scripts/backfill_content_metrics.js
+ */
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { getFile, uploadBlogHtml, extractKeyFromUrl } = require('../src/services/s3Service');
+const { resolveContentType, processContentForStorage } = require('../src/utils/contentProcessor');
+
+const prisma = new PrismaClient();
+
+async function backfillContentMetrics() {
+  try {
+    const blogs = await prisma.blog.findMany({
+      where: { wordCount: null },
+      orderBy: { id: 'asc' },
+    });
+
+    console.log(`🔧 Found ${blogs.length} blogs without content metrics`);
+
+    for (const blog of blogs) {
+      try {
+        // Legacy blogs keep the uploaded .docx in contentUrl
+        const sourceUrl = blog.sourceUrl || blog.contentUrl;
+        const sourceKey = extractKeyFromUrl(sourceUrl);
+        const contentType = resolveContentType(sourceKey);
+
+        if (!sourceKey || !contentType) {
+          console.log(`⏭️  Blog ${blog.id}: unsupported source ${sourceUrl}, skipping`);
+          continue;
+        }
+
+        const processed = await processContentForStorage(await getFile(sourceKey), contentType);
+        const contentUrl = await uploadBlogHtml(processed.html, blog.id);
+
+        await prisma.blog.update({
+          where: { id: blog.id },
+          data: {
+            contentUrl,
+            sourceUrl,
+            wordCount: processed.wordCount,
+            excerpt: processed.excerpt,
+            readTime: blog.readTime ?? processed.readTime,
+            // Read times of these blogs predate the computed estimate, so they were entered manually
+            readTimeOverride: blog.readTime !== null,
+          },
+        });
+
+        console.log(`✅ Blog ${blog.id}: ${processed.wordCount} words, ${blog.readTime ?? processed.readTime} min`);
+      } catch (error) {
+        console.error(`❌ Blog ${blog.id} failed: ${error.message}`);
+      }
+    }
+
+    console.log('🎉 Backfill complete');
+  } catch (error) {
+    console.error('❌ Error backfilling content metrics:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillContentMetrics();
@@ -0,0 +1,50 @@
+/**
+ * Create Admin User
+ * Bootstraps the first admin account and prints its API key (shown only once).
+ * Usage: node scripts/create_admin_user.js "<name>" <email>
+ */
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { issueApiKey } = require('../src/utils/apiKeys');
+const { SCOPE_NAMES } = require('../src/middleware/authorize');
+
+const prisma = new PrismaClient();
+
+async function createAdminUser() {
+  const [name, email] = process.argv.slice(2);
+
+  if (!name || !email) {
+    console.error('Usage: node scripts/create_admin_user.js "<name>" <email>');
+    process.exit(1);
+  }
+
+  try {
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) {
+      console.error(`❌ A user with email ${email} already exists`);
+      process.exit(1);
+    }
+
+    const user = await prisma.user.create({
+      data: { name, email, role: 'admin' },
+    });
+
+    const { key } = await issueApiKey({
+      userId: user.id,
+      name: 'bootstrap',
+      scopes: SCOPE_NAMES,
+    }, prisma);
+
+    console.log(`✅ Admin user ${user.id} (${user.email}) created`);
+    console.log('🔑 API key (store it now - it cannot be retrieved again):');
+    console.log(key);
+  } catch (error) {
+    console.error('❌ Failed to create admin user:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createAdminUser();
@@ -0,0 +1,267 @@
+/**
+ * API Key Controller
+ * Handles creating, listing, revoking and rotating staff API keys
+ */
+
+const prisma = require('../prismaClient');
+const { apiKeySelect, issueApiKey } = require('../utils/apiKeys');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// API key columns tracked in audit entries - the key hash is never recorded
+const AUDITED_API_KEY_FIELDS = ['userId', 'name', 'prefix', 'scopes', 'expiresAt', 'revokedAt'];
+
+/**
+ * Get API keys, optionally for a single user
+ * GET /api/admin/keys?userId=1&includeRevoked=true
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.userId) where.userId = parseInt(req.query.userId);
+    if (req.query.includeRevoked !== 'true') where.revokedAt = null;
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where,
+      select: {
+        ...apiKeySelect,
+        user: { select: { id: true, name: true, email: true, role: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys.map(apiKey => ({
+        ...apiKey,
+        expired: !!apiKey.expiresAt && apiKey.expiresAt <= now,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Get API keys error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create an API key for a user
+ * POST /api/admin/keys
+ * The plain-text key is only returned in this response
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { userId, name, scopes, expiresAt } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { id: true, disabledAt: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.disabledAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot issue API keys for a disabled user',
+      });
+    }
+
+    const { apiKey, key } = await prisma.$transaction(async (tx) => {
+      const issued = await issueApiKey({
+        userId: user.id,
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+      }, tx);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        changes: {
+          apiKey: { before: null, after: issued.apiKey.id },
+          ...diffFields(null, issued.apiKey, AUDITED_API_KEY_FIELDS),
+        },
+      }, tx);
+
+      return issued;
+    });
+
+    logger.info(`API key ${apiKey.id} created for user ${user.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it cannot be retrieved again',
+      data: {
+        ...apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    logger.error(`Create API key error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Revoke an API key (it stops working immediately)
+ * DELETE /api/admin/keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+
+    const existingKey = await prisma.apiKey.findUnique({
+      where: { id: keyId },
+    });
+
+    if (!existingKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (existingKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked',
+      });
+    }
+
+    const apiKey = await prisma.$transaction(async (tx) => {
+      const revokedKey = await tx.apiKey.update({
+        where: { id: keyId },
+        data: { revokedAt: new Date() },
+        select: apiKeySelect,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.API_KEY_REVOKE,
+        changes: {
+          apiKey: { before: keyId, after: keyId },
+          ...diffFields(existingKey, revokedKey, AUDITED_API_KEY_FIELDS),
+        },
+      }, tx);
+
+      return revokedKey;
+    });
+
+    logger.info(`API key ${keyId} revoked by user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey,
+    });
+  } catch (error) {
+    logger.error(`Revoke API key error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Rotate an API key
+ * POST /api/admin/keys/:id/rotate
+ * Issues a replacement with the same name, scopes and expiry. The old key keeps
+ * working for graceHours (default 0 = revoked immediately) so clients can switch over.
+ */
+const rotateApiKey = async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+    const graceHours = parseInt(req.body.graceHours) || 0;
+
+    const existingKey = await prisma.apiKey.findUnique({
+      where: { id: keyId },
+    });
+
+    if (!existingKey || existingKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    const now = new Date();
+
+    if (existingKey.expiresAt && existingKey.expiresAt <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key has expired - create a new key instead',
+      });
+    }
+
+    const graceEnd = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+
+    const { apiKey, key, previous } = await prisma.$transaction(async (tx) => {
+      const issued = await issueApiKey({
+        userId: existingKey.userId,
+        name: existingKey.name,
+        scopes: existingKey.scopes,
+        expiresAt: existingKey.expiresAt,
+      }, tx);
+
+      // Old key is revoked now, or expires at the end of the grace period
+      const previousKey = await tx.apiKey.update({
+        where: { id: keyId },
+        data: graceHours > 0
+          ? { expiresAt: existingKey.expiresAt && existingKey.expiresAt < graceEnd ? existingKey.expiresAt : graceEnd }
+          : { revokedAt: now },
+        select: apiKeySelect,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.API_KEY_ROTATE,
+        changes: {
+          apiKey: { before: keyId, after: issued.apiKey.id },
+          ...diffFields(existingKey, previousKey, AUDITED_API_KEY_FIELDS),
+        },
+      }, tx);
+
+      return { ...issued, previous: previousKey };
+    });
+
+    logger.info(`API key ${keyId} rotated to ${apiKey.id} by user ${req.user.id}`, { graceHours });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Store the new key now - it cannot be retrieved again',
+      data: {
+        ...apiKey,
+        key,
+        previous,
+      },
+    });
+  } catch (error) {
+    logger.error(`Rotate API key error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+};
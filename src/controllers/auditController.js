@@ -0,0 +1,76 @@
+/**
+ * Audit Controller
+ * Read access to the audit log of admin mutations
+ */
+
+const prisma = require('../prismaClient');
+const logger = require('../utils/logger');
+
+/**
+ * Get paginated audit entries, newest first
+ * GET /api/admin/audit?blogId=1&apiKeyId=2&userId=3&action=blog.delete&from=2025-01-01&to=2025-02-01&page=1&limit=50
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const { blogId, apiKeyId, userId, action, from, to } = req.query;
+
+    const where = {};
+    if (blogId) where.blogId = parseInt(blogId);
+    if (apiKeyId) where.apiKeyId = parseInt(apiKeyId);
+    if (userId) where.userId = parseInt(userId);
+    if (action) where.action = action;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          apiKey: {
+            select: {
+              id: true,
+              name: true,
+              prefix: true,
+              user: { select: { id: true, name: true, email: true, role: true } },
+            },
+          },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get audit log error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getAuditLog,
+};
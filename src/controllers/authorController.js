@@ -0,0 +1,346 @@
+/**
+ * Author Controller
+ * Handles author profiles (bylines, author pages) and their blogs
+ */
+
+const prisma = require('../prismaClient');
+const {
+  uploadAuthorAvatar,
+  replaceAuthorAvatar,
+  deleteFile,
+  extractKeyFromUrl,
+} = require('../services/s3Service');
+const { publicBlogWhere } = require('../utils/blogStatus');
+const { blogListSelect, addPresignedUrls, addAuthorAvatarUrl } = require('../utils/blogResponse');
+const logger = require('../utils/logger');
+
+/**
+ * Parse social links from a request body
+ * Accepts an object or a JSON string (multipart/form-data)
+ * @param {Object|string} value - Raw socialLinks value
+ * @returns {Object} Map of network name to URL
+ */
+const parseSocialLinks = (value) => {
+  if (!value) return {};
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+};
+
+/**
+ * Get paginated list of authors
+ * GET /api/authors?page=1&limit=20
+ */
+const getAuthors = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const [authors, total] = await Promise.all([
+      prisma.author.findMany({
+        include: {
+          _count: { select: { blogs: { where: publicBlogWhere } } },
+        },
+        orderBy: { name: 'asc' },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.author.count(),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    const authorsWithUrls = await Promise.all(
+      authors.map(async ({ _count, ...author }) => ({
+        ...(await addAuthorAvatarUrl(author)),
+        blogCount: _count.blogs,
+      }))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: authorsWithUrls,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get authors error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch authors',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get single author by ID
+ * GET /api/authors/:id
+ */
+const getAuthorById = async (req, res) => {
+  try {
+    const authorId = parseInt(req.params.id);
+
+    const author = await prisma.author.findUnique({
+      where: { id: authorId },
+      include: {
+        _count: { select: { blogs: { where: publicBlogWhere } } },
+      },
+    });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const { _count, ...authorData } = author;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...(await addAuthorAvatarUrl(authorData)),
+        blogCount: _count.blogs,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get author error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get paginated published blogs by an author
+ * GET /api/authors/:id/blogs?page=1&limit=20
+ */
+const getAuthorBlogs = async (req, res) => {
+  try {
+    const authorId = parseInt(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const author = await prisma.author.findUnique({
+      where: { id: authorId },
+      select: { id: true },
+    });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const where = { ...publicBlogWhere, authorId };
+
+    const [blogs, total] = await Promise.all([
+      prisma.blog.findMany({
+        where,
+        select: blogListSelect,
+        orderBy: [
+          { publishAt: { sort: 'desc', nulls: 'last' } },
+          { createdAt: 'desc' },
+        ],
+        skip: offset,
+        take: limit,
+      }),
+      prisma.blog.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    const blogsWithPresignedUrls = await Promise.all(blogs.map(addPresignedUrls));
+
+    res.status(200).json({
+      success: true,
+      data: blogsWithPresignedUrls,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get author blogs error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author blogs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a new author
+ * POST /api/authors
+ * Expects multipart/form-data with name, bio, socialLinks (JSON) and optional avatar image
+ */
+const createAuthor = async (req, res) => {
+  try {
+    const { name, bio, socialLinks } = req.body;
+    const avatarFile = req.file || null;
+
+    // Create author first to get ID for the avatar key
+    const author = await prisma.author.create({
+      data: {
+        name,
+        bio: bio || null,
+        socialLinks: parseSocialLinks(socialLinks),
+      },
+    });
+
+    let createdAuthor = author;
+    if (avatarFile) {
+      const avatarUrl = await uploadAuthorAvatar(
+        avatarFile.buffer,
+        author.id,
+        avatarFile.originalname,
+        avatarFile.mimetype
+      );
+
+      createdAuthor = await prisma.author.update({
+        where: { id: author.id },
+        data: { avatarUrl },
+      });
+    }
+
+    logger.info(`Author created: ${createdAuthor.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Author created successfully',
+      data: createdAuthor,
+    });
+  } catch (error) {
+    logger.error(`Create author error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create author',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update an author
+ * PUT /api/authors/:id
+ * Can update profile fields and optionally replace the avatar image
+ */
+const updateAuthor = async (req, res) => {
+  try {
+    const authorId = parseInt(req.params.id);
+    const { name, bio, socialLinks } = req.body;
+    const avatarFile = req.file || null;
+
+    const existingAuthor = await prisma.author.findUnique({
+      where: { id: authorId },
+    });
+
+    if (!existingAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (bio !== undefined) updateData.bio = bio || null;
+    if (socialLinks !== undefined) updateData.socialLinks = parseSocialLinks(socialLinks);
+
+    if (avatarFile) {
+      updateData.avatarUrl = await replaceAuthorAvatar(
+        existingAuthor.avatarUrl,
+        avatarFile.buffer,
+        authorId,
+        avatarFile.originalname,
+        avatarFile.mimetype
+      );
+    }
+
+    const updatedAuthor = await prisma.author.update({
+      where: { id: authorId },
+      data: updateData,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Author updated successfully',
+      data: updatedAuthor,
+    });
+  } catch (error) {
+    logger.error(`Update author error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update author',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete an author
+ * DELETE /api/authors/:id
+ * Their blogs are kept and become unattributed
+ */
+const deleteAuthor = async (req, res) => {
+  try {
+    const authorId = parseInt(req.params.id);
+
+    const author = await prisma.author.findUnique({
+      where: { id: authorId },
+    });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    // Blogs keep existing with authorId set to NULL (ON DELETE SET NULL)
+    await prisma.author.delete({
+      where: { id: authorId },
+    });
+
+    if (author.avatarUrl) {
+      const avatarKey = extractKeyFromUrl(author.avatarUrl);
+      if (avatarKey) {
+        await deleteFile(avatarKey).catch(err => logger.warn(`Failed to delete avatar for author ${authorId}: ${err.message}`));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Author deleted successfully',
+    });
+  } catch (error) {
+    logger.error(`Delete author error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete author',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getAuthors,
+  getAuthorById,
+  getAuthorBlogs,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor,
+};
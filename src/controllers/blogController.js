@@ -3,22 +3,83 @@
  * Handles all blog-related business logic and database operations
  */
 
+const crypto = require('crypto');
 const prisma = require('../prismaClient');
-const { searchBlogs } = require('../utils/search');
+const {
+  SEARCH_SORT,
+  advancedSearchBlogs,
+  suggestSearchTerms,
+  suggestQueryCorrection,
+  findRelatedBlogs,
+} = require('../utils/search');
 const {
   uploadBlogContent,
+  uploadBlogHtml,
   uploadBlogCoverImage,
-  replaceBlogContent,
-  replaceBlogCoverImage,
+  deleteFilesByUrl,
   deleteBlogFiles,
+  getFile,
 } = require('../services/s3Service');
 const { generatePresignedUrl, extractS3Key } = require('../utils/presignedUrl');
-const { sanitizeHTMLToBuffer, validateHTMLStructure } = require('../utils/htmlSanitizer');
+const {
+  CONTENT_TYPES,
+  resolveContentType,
+  processContentForStorage,
+  calculateReadTime,
+} = require('../utils/contentProcessor');
+const {
+  isSlugAvailable,
+  isSlugConflictError,
+  createWithUniqueSlug,
+} = require('../utils/slug');
+const {
+  publicBlogWhere,
+  isPubliclyVisible,
+  resolvePublishState,
+} = require('../utils/blogStatus');
+const {
+  blogListSelect,
+  addPresignedUrls,
+  addAuthorAvatarUrl,
+  addFeedUrls,
+} = require('../utils/blogResponse');
+const { ROLES, canEditBlog, canReadDrafts } = require('../middleware/authorize');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const {
+  REVISION_FIELDS,
+  reserveRevisionNumber,
+  storeRevisionFiles,
+  discardRevisionFiles,
+  createRevision,
+  ensureBaselineRevision,
+} = require('../services/revisionService');
+const { recordView } = require('../services/viewTracker');
+const { recordSearch } = require('../utils/searchLog');
+const { TRENDING_WINDOW_NAMES, getTrendingScores } = require('../services/trendingService');
+const { buildBlogMeta, renderSharePage } = require('../utils/seoMeta');
+const { resolveTags, canonicalizeTagFilter } = require('../utils/tags');
+const { getSeriesNavigation } = require('../utils/series');
 const logger = require('../utils/logger');
 
+// YYYY-MM-DD without a time part
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a tags query parameter - can be comma-separated string or array
+ * @param {string|string[]|undefined} value - req.query.tags
+ * @returns {string[]} Tags (empty if none given)
+ */
+const parseTagList = (value) => {
+  if (value && typeof value === 'string') {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  return Array.isArray(value) ? value : [];
+};
+
 /**
  * Get paginated list of blogs
  * GET /api/blogs?page=1&limit=20&tags=tag1,tag2&search=query
+ * Staff (API key with the read-drafts scope) may add status=draft|scheduled|published|archived|all to list unpublished blogs
  */
 const getBlogs = async (req, res) => {
   try {
@@ -26,19 +87,22 @@ const getBlogs = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
     const search = req.query.search;
+    const status = req.query.status;
 
-    // Parse tags - can be comma-separated string or array
-    let tags = req.query.tags;
-    if (tags && typeof tags === 'string') {
-      tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
-    } else if (!Array.isArray(tags)) {
-      tags = [];
+    if (status && !canReadDrafts(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: filtering by status requires an API key with the read-drafts scope',
+      });
     }
 
-    // Build where clause
-    const where = {
-      deletedAt: null,
-    };
+    // Any spelling of a tag (or its slug) filters by the canonical tag
+    const tags = await canonicalizeTagFilter(parseTagList(req.query.tags));
+
+    // Build where clause - public requests only ever see published blogs
+    const where = status
+      ? { deletedAt: null, ...(status !== 'all' && { status }) }
+      : { ...publicBlogWhere };
 
     // Add tags filter if provided
     if (tags.length > 0) {
@@ -58,19 +122,9 @@ const getBlogs = async (req, res) => {
     const [blogs, total] = await Promise.all([
       prisma.blog.findMany({
         where,
-        select: {
-          id: true,
-          title: true,
-          tags: true,
-          contentUrl: true,
-          coverImageUrl: true,
-          readTime: true,
-          views: true,
-          likes: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+        select: blogListSelect,
         orderBy: [
+          { publishAt: { sort: 'desc', nulls: 'last' } },
           { createdAt: 'desc' },
         ],
         skip: offset,
@@ -82,29 +136,7 @@ const getBlogs = async (req, res) => {
     const totalPages = Math.ceil(total / limit);
 
     // Generate presigned URLs for all blogs with S3 content
-    const blogsWithPresignedUrls = await Promise.all(
-      blogs.map(async (blog) => {
-        try {
-          const enhancedBlog = { ...blog };
-          
-          // Generate presigned URL for content if it exists and is an S3 URL
-          if (blog.contentUrl && blog.contentUrl.startsWith('s3://')) {
-            enhancedBlog.presignedContentUrl = await generatePresignedUrl(blog.contentUrl);
-          }
-
-          // Generate presigned URL for cover image if it exists and is an S3 URL
-          if (blog.coverImageUrl && blog.coverImageUrl.startsWith('s3://')) {
-            enhancedBlog.presignedCoverUrl = await generatePresignedUrl(blog.coverImageUrl);
-          }
-
-          return enhancedBlog;
-        } catch (urlError) {
-          logger.warn(`Failed to generate presigned URLs for blog ${blog.id}: ${urlError.message}`);
-          // Return original blog without presigned URLs
-          return blog;
-        }
-      })
-    );
+    const blogsWithPresignedUrls = await Promise.all(blogs.map(addPresignedUrls));
 
     res.status(200).json({
       success: true,
@@ -127,9 +159,48 @@ const getBlogs = async (req, res) => {
   }
 };
 
+/**
+ * Check whether the requester may see a blog
+ * Public requests only see published blogs; keys with the read-drafts scope can preview any non-deleted blog
+ * @param {Object} req - Express request object (after optionalApiKey)
+ * @param {Object} blog - Blog record
+ * @returns {boolean} True if the blog can be returned
+ */
+const canViewBlog = (req, blog) => {
+  if (!blog || blog.deletedAt) return false;
+  return canReadDrafts(req) || isPubliclyVisible(blog);
+};
+
+/**
+ * Send the detail response for a single blog
+ * Shared by the ID and slug lookups: records a view, adds presigned URLs and
+ * the blog's place in its series (previous/next parts)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} blog - Blog record
+ */
+const sendBlogDetail = async (req, res, blog) => {
+  // Deduplicated, buffered view count - admin previews of unpublished blogs don't count
+  if (isPubliclyVisible(blog)) {
+    recordView(req, res, blog.id);
+  }
+
+  // Generate presigned URLs for S3 content (if they exist)
+  const [responseData, series] = await Promise.all([
+    addPresignedUrls(blog),
+    getSeriesNavigation(blog.id, canReadDrafts(req)),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { ...responseData, series },
+  });
+};
+
 /**
  * Get single blog by ID
  * GET /api/blogs/:id
+ * Unpublished blogs are only returned to admins (preview)
  */
 const getBlogById = async (req, res) => {
   try {
@@ -139,45 +210,72 @@ const getBlogById = async (req, res) => {
       where: { 
         id: blogId,
       },
+      include: { author: true },
     });
 
-    if (!blog || blog.deletedAt) {
+    if (!canViewBlog(req, blog)) {
       return res.status(404).json({
         success: false,
         message: 'Blog not found',
       });
     }
 
-    // Increment view count asynchronously (don't wait for it)
-    prisma.blog.update({
-      where: { id: blog.id },
-      data: { views: { increment: 1 } },
-    }).catch(err => logger.error(`Failed to increment views: ${err.message}`));
+    await sendBlogDetail(req, res, blog);
+  } catch (error) {
+    logger.error(`Get blog error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
 
-    // Generate presigned URLs for S3 content (if they exist)
-    let responseData = { ...blog };
-    
-    try {
-      // Generate presigned URL for content if it exists and is an S3 URL
-      if (blog.contentUrl && blog.contentUrl.startsWith('s3://')) {
-        responseData.presignedContentUrl = await generatePresignedUrl(blog.contentUrl);
-      }
+/**
+ * Get single blog by slug
+ * GET /api/blogs/slug/:slug
+ * Old slugs answer with 301 and a Location header pointing at the current slug
+ */
+const getBlogBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params;
 
-      // Generate presigned URL for cover image if it exists and is an S3 URL
-      if (blog.coverImageUrl && blog.coverImageUrl.startsWith('s3://')) {
-        responseData.presignedCoverUrl = await generatePresignedUrl(blog.coverImageUrl);
-      }
-    } catch (urlError) {
-      logger.warn(`Failed to generate presigned URLs for blog ${blogId}: ${urlError.message}`);
-      // Continue without presigned URLs - the frontend can handle S3 URIs
+    const blog = await prisma.blog.findUnique({
+      where: { slug },
+      include: { author: true },
+    });
+
+    if (canViewBlog(req, blog)) {
+      return await sendBlogDetail(req, res, blog);
     }
 
-    res.status(200).json({
+    // Fall back to slug history so renamed posts keep their old URLs
+    const previous = await prisma.blogSlugHistory.findUnique({
+      where: { slug },
+      include: { blog: true },
+    });
+
+    if (!previous || !canViewBlog(req, previous.blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const location = `${req.baseUrl}/slug/${encodeURIComponent(previous.blog.slug)}`;
+    logger.info(`Redirecting old slug ${slug} to ${previous.blog.slug}`);
+
+    res.status(301).set('Location', location).json({
       success: true,
-      data: responseData,
+      message: 'Blog has moved to a new slug',
+      redirect: {
+        id: previous.blog.id,
+        slug: previous.blog.slug,
+        location,
+      },
     });
   } catch (error) {
-    logger.error(`Get blog error: ${error.message}`, { error: error.stack });
+    logger.error(`Get blog by slug error: ${error.message}`, { error: error.stack });
     res.status(500).json({
       success: false,
       message: 'Failed to fetch blog',
@@ -190,18 +288,49 @@ const getBlogById = async (req, res) => {
  * Create a new blog
  * POST /api/blogs
  * Expects multipart/form-data with:
- * - metadata fields (title, tags, readTime, etc.)
- * - content file (HTML or Markdown)
+ * - metadata fields (title, slug, tags, readTime override, status, publishAt, authorId)
+ * - content file (Word document or Markdown, rendered to HTML on upload)
  * - cover image file (optional)
  */
 const createBlog = async (req, res) => {
   try {
     const {
       title,
+      slug,
       tags,
       readTime,
+      status,
+      publishAt,
     } = req.body;
 
+    // Authors always write under their own byline
+    const isAuthorRole = req.user.role === ROLES.AUTHOR;
+    const authorId = isAuthorRole ? req.user.authorId : req.body.authorId;
+
+    if (isAuthorRole && !authorId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: your account is not linked to an author profile',
+      });
+    }
+
+    // Make sure the byline points at a real author
+    if (authorId && !(await prisma.author.findUnique({ where: { id: parseInt(authorId) } }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Author ${authorId} does not exist`,
+      });
+    }
+
+    // New blogs start as drafts unless a status is given
+    const publishState = resolvePublishState({ status, publishAt });
+    if (publishState.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishState.error,
+      });
+    }
+
     // Get uploaded files
     const contentFile = req.files.content[0];
     const coverFile = req.files.cover ? req.files.cover[0] : null;
@@ -228,28 +357,61 @@ const createBlog = async (req, res) => {
         parsedTags = tags;
       }
     }
+    // Use the requested slug if it is free, otherwise a unique one is derived from the title
+    if (slug && !(await isSlugAvailable(slug))) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug "${slug}" is already in use`,
+      });
+    }
+
+    // Render the content file before touching the database so a broken file leaves nothing behind
+    const contentType = resolveContentType(contentFile.originalname);
+    let processed;
+    try {
+      processed = await processContentForStorage(contentFile.buffer, contentType);
+    } catch (conversionError) {
+      logger.warn(`Rejected content file ${contentFile.originalname}: ${conversionError.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Content file could not be converted to HTML',
+        error: process.env.NODE_ENV === 'development' ? conversionError.message : undefined,
+      });
+    }
 
-    // Create blog in database first to get ID
-    const blog = await prisma.blog.create({
+    // Create blog in database first to get ID. Tags are mapped onto canonical tags (creating
+    // new ones) in the same transaction, so a failed create leaves no orphaned tags behind
+    const createBlogRecord = (blogSlug) => prisma.$transaction(async (tx) => tx.blog.create({
       data: {
         title,
-        tags: parsedTags,
+        slug: blogSlug,
+        tags: await resolveTags(parsedTags, tx),
         contentUrl: 'placeholder', // Temporary
         coverImageUrl: null,
-        readTime: readTime ? parseInt(readTime) : null,
+        // A manually supplied readTime overrides the computed estimate
+        readTime: readTime ? parseInt(readTime) : processed.readTime,
+        readTimeOverride: !!readTime,
+        wordCount: processed.wordCount,
+        excerpt: processed.excerpt,
+        bodyText: processed.plainText,
+        status: publishState.status,
+        publishAt: publishState.publishAt,
+        authorId: authorId ? parseInt(authorId) : null,
       },
-    });
+    }));
+    // A generated slug taken by a concurrent create is replaced by the next free one
+    const blog = slug ? await createBlogRecord(slug) : await createWithUniqueSlug(title, createBlogRecord);
 
-    // Since we only accept Word documents now, upload directly without HTML sanitization
-    logger.info(`Uploading Word document for blog ID: ${blog.id}`);
+    logger.info(`Uploading source file and rendered HTML for blog ID: ${blog.id}`);
     
-    // Upload content to S3 using original filename
-    const contentUrl = await uploadBlogContent(
-      contentFile.buffer,        // Original file buffer (not sanitized)
+    // Keep the original upload (.docx or .md) alongside the rendered HTML
+    const sourceUrl = await uploadBlogContent(
+      contentFile.buffer,
       blog.id,
       contentFile.originalname,  // Original filename
-      contentFile.mimetype
+      contentType
     );
+    const contentUrl = await uploadBlogHtml(processed.html, blog.id);
 
     // Upload cover image to S3 if provided
     let coverImageUrl = null;
@@ -262,13 +424,39 @@ const createBlog = async (req, res) => {
       );
     }
 
-    // Update blog with S3 URLs
-    const updatedBlog = await prisma.blog.update({
-      where: { id: blog.id },
-      data: {
-        contentUrl,
-        coverImageUrl,
-      },
+    // Keep the first version as revision 1
+    const revisionFiles = await storeRevisionFiles(blog.id, {
+      html: processed.html,
+      sourceBuffer: contentFile.buffer,
+      sourceFilename: contentFile.originalname,
+      sourceContentType: contentType,
+    });
+
+    // Update blog with S3 URLs and record who created it
+    const updatedBlog = await prisma.$transaction(async (tx) => {
+      const savedBlog = await tx.blog.update({
+        where: { id: blog.id },
+        data: {
+          contentUrl,
+          sourceUrl,
+          coverImageUrl,
+        },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_CREATE,
+        blogId: blog.id,
+        changes: diffFields(null, savedBlog),
+      }, tx);
+
+      await createRevision({
+        blog: savedBlog,
+        revision: 1,
+        files: revisionFiles,
+        userId: req.user.id,
+      }, tx);
+
+      return savedBlog;
     });
 
     res.status(201).json({
@@ -277,6 +465,14 @@ const createBlog = async (req, res) => {
       data: updatedBlog,
     });
   } catch (error) {
+    // The requested slug was taken by a concurrent request after the availability check
+    if (isSlugConflictError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug "${req.body.slug}" is already in use`,
+      });
+    }
+
     logger.error(`Create blog error: ${error.message}`, { error: error.stack });
     res.status(500).json({
       success: false,
@@ -292,15 +488,25 @@ const createBlog = async (req, res) => {
  * Can update metadata and optionally replace S3 files
  */
 const updateBlog = async (req, res) => {
+  // New live files and revision copies of new content, discarded again if the update fails
+  let uploadedUrls = [];
+  let revisionFiles = null;
+
   try {
     const blogId = parseInt(req.params.id);
     
     const {
       title,
+      slug,
       tags,
       readTime,
-      views,
-      likes,
+      status,
+      publishAt,
+      authorId,
+      metaDescription,
+      canonicalUrl,
+      ogImageUrl,
+      noindex,
     } = req.body;
 
     // Check if blog exists
@@ -315,68 +521,224 @@ const updateBlog = async (req, res) => {
       });
     }
 
+    // Authors may only edit their own blogs
+    if (!canEditBlog(req.user, existingBlog)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only edit your own blogs',
+      });
+    }
+
     // Prepare update data
     const updateData = {};
 
     if (title) updateData.title = title;
-    if (readTime !== undefined) updateData.readTime = readTime ? parseInt(readTime) : null;
-    if (views !== undefined) updateData.views = parseInt(views);
-    if (likes !== undefined) updateData.likes = parseInt(likes);
 
-    // Parse tags if provided
+    // Reassign or clear (empty value) the author
+    if (authorId !== undefined) {
+      if (req.user.role === ROLES.AUTHOR) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: authors cannot reassign blogs',
+        });
+      }
+
+      if (authorId && !(await prisma.author.findUnique({ where: { id: parseInt(authorId) } }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Author ${authorId} does not exist`,
+        });
+      }
+      updateData.authorId = authorId ? parseInt(authorId) : null;
+    }
+
+    // Status changes (publish, schedule, archive, back to draft)
+    if (status !== undefined || publishAt !== undefined) {
+      const publishState = resolvePublishState({ status, publishAt }, existingBlog);
+      if (publishState.error) {
+        return res.status(400).json({
+          success: false,
+          message: publishState.error,
+        });
+      }
+      updateData.status = publishState.status;
+      updateData.publishAt = publishState.publishAt;
+    }
+
+    // Slugs only change when explicitly edited - the old one is kept in history for redirects
+    if (slug && slug !== existingBlog.slug) {
+      if (!(await isSlugAvailable(slug, blogId))) {
+        return res.status(409).json({
+          success: false,
+          message: `Slug "${slug}" is already in use`,
+        });
+      }
+      updateData.slug = slug;
+    }
+
+    // An empty readTime clears the manual override and falls back to the computed estimate
+    if (readTime !== undefined) {
+      updateData.readTimeOverride = !!readTime;
+      updateData.readTime = readTime
+        ? parseInt(readTime)
+        : (existingBlog.wordCount !== null ? calculateReadTime(existingBlog.wordCount) : null);
+    }
+    const readTimeOverride = updateData.readTimeOverride ?? existingBlog.readTimeOverride;
+
+    // Parse tags if provided - they are mapped onto canonical tags in the update transaction
+    let submittedTags = null;
     if (tags) {
       if (typeof tags === 'string') {
-        updateData.tags = JSON.parse(tags);
+        submittedTags = JSON.parse(tags);
       } else if (Array.isArray(tags)) {
-        updateData.tags = tags;
+        submittedTags = tags;
       }
     }
 
-    // Handle file uploads if provided
-    if (req.files) {
-      const contentFile = req.files.content ? req.files.content[0] : null;
-      const coverFile = req.files.cover ? req.files.cover[0] : null;
-
-      // Replace content file if provided
-      if (contentFile) {
-        // Upload Word document directly (no HTML sanitization needed)
-        logger.info(`Uploading updated Word document for blog ID: ${blogId}`);
-        
-        const newContentUrl = await replaceBlogContent(
-          existingBlog.contentUrl,
-          contentFile.buffer,        // Original buffer
-          blogId,
-          contentFile.originalname,  // Original filename
-          contentFile.mimetype
-        );
-        updateData.contentUrl = newContentUrl;
+    // SEO overrides - empty values clear them so meta tags fall back to the defaults
+    if (metaDescription !== undefined) updateData.metaDescription = metaDescription || null;
+    if (canonicalUrl !== undefined) updateData.canonicalUrl = canonicalUrl || null;
+    if (ogImageUrl !== undefined) updateData.ogImageUrl = ogImageUrl || null;
+    if (noindex !== undefined) updateData.noindex = noindex;
+
+    const contentFile = req.files && req.files.content ? req.files.content[0] : null;
+    const coverFile = req.files && req.files.cover ? req.files.cover[0] : null;
+
+    // Render a new content file first so a broken file is rejected before anything is stored
+    let contentType = null;
+    let processed = null;
+    if (contentFile) {
+      contentType = resolveContentType(contentFile.originalname);
+      try {
+        processed = await processContentForStorage(contentFile.buffer, contentType);
+      } catch (conversionError) {
+        logger.warn(`Rejected content file ${contentFile.originalname}: ${conversionError.message}`);
+        return res.status(400).json({
+          success: false,
+          message: 'Content file could not be converted to HTML',
+          error: process.env.NODE_ENV === 'development' ? conversionError.message : undefined,
+        });
       }
+    }
+
+    // Blogs created before revision history get their current state saved first
+    await ensureBaselineRevision(existingBlog);
+
+    // New files go to a fresh version folder and the blog switches to them in the transaction
+    // below, so a failed update leaves the live files untouched. The files they replace are
+    // deleted once it has committed
+    const version = crypto.randomUUID();
+    const replacedUrls = [];
+
+    // Replace content file if provided
+    if (contentFile) {
+      logger.info(`Uploading updated source file and rendered HTML for blog ID: ${blogId}`);
+
+      updateData.sourceUrl = await uploadBlogContent(
+        contentFile.buffer,
+        blogId,
+        contentFile.originalname,  // Original filename
+        contentType,
+        version
+      );
+      uploadedUrls.push(updateData.sourceUrl);
+      updateData.contentUrl = await uploadBlogHtml(processed.html, blogId, version);
+      uploadedUrls.push(updateData.contentUrl);
+      // Blogs created before server-side rendering stored the .docx in contentUrl
+      replacedUrls.push(existingBlog.sourceUrl, existingBlog.contentUrl);
+
+      revisionFiles = await storeRevisionFiles(blogId, {
+        html: processed.html,
+        sourceBuffer: contentFile.buffer,
+        sourceFilename: contentFile.originalname,
+        sourceContentType: contentType,
+      });
+      updateData.wordCount = processed.wordCount;
+      updateData.excerpt = processed.excerpt;
+      updateData.bodyText = processed.plainText;
 
-      // Replace cover image if provided
-      if (coverFile) {
-        const newCoverUrl = await replaceBlogCoverImage(
-          existingBlog.coverImageUrl,
-          coverFile.buffer,
-          blogId,
-          coverFile.originalname,
-          coverFile.mimetype
-        );
-        updateData.coverImageUrl = newCoverUrl;
+      // Recompute readTime unless it was set manually
+      if (!readTimeOverride) {
+        updateData.readTime = processed.readTime;
       }
     }
 
-    // Update blog in database
-    const updatedBlog = await prisma.blog.update({
-      where: { id: blogId },
-      data: updateData,
+    // Replace cover image if provided
+    if (coverFile) {
+      updateData.coverImageUrl = await uploadBlogCoverImage(
+        coverFile.buffer,
+        blogId,
+        coverFile.originalname,
+        coverFile.mimetype,
+        version
+      );
+      uploadedUrls.push(updateData.coverImageUrl);
+      replacedUrls.push(existingBlog.coverImageUrl);
+    }
+
+    // Update blog in database, recording the previous slug when it changes,
+    // the changed fields in the audit log and a new revision
+    const updatedBlog = await prisma.$transaction(async (tx) => {
+      if (submittedTags) {
+        updateData.tags = await resolveTags(submittedTags, tx);
+      }
+
+      if (updateData.slug) {
+        // Reclaiming one of this blog's own old slugs removes it from history
+        await tx.blogSlugHistory.deleteMany({
+          where: { blogId, slug: updateData.slug },
+        });
+        await tx.blogSlugHistory.create({
+          data: { blogId, slug: existingBlog.slug },
+        });
+      }
+
+      const savedBlog = await tx.blog.update({
+        where: { id: blogId },
+        data: updateData,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_UPDATE,
+        blogId,
+        changes: diffFields(existingBlog, savedBlog),
+      }, tx);
+
+      // New revision when content or revisioned metadata changed (not for cover-only changes)
+      if (revisionFiles || Object.keys(diffFields(existingBlog, savedBlog, REVISION_FIELDS)).length > 0) {
+        await createRevision({
+          blog: savedBlog,
+          revision: await reserveRevisionNumber(blogId, tx),
+          files: revisionFiles,
+          userId: req.user.id,
+        }, tx);
+      }
+
+      return savedBlog;
     });
 
+    // The blog now points at the new files - only the replaced ones are left to clean up
+    uploadedUrls = [];
+    revisionFiles = null;
+    await deleteFilesByUrl(replacedUrls);
+
     res.status(200).json({
       success: true,
       message: 'Blog updated successfully',
       data: updatedBlog,
     });
   } catch (error) {
+    await deleteFilesByUrl(uploadedUrls);
+    await discardRevisionFiles(revisionFiles);
+
+    // The new slug was taken by a concurrent request after the availability check
+    if (isSlugConflictError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug "${req.body.slug}" is already in use`,
+      });
+    }
+
     logger.error(`Update blog error: ${error.message}`, { error: error.stack });
     res.status(500).json({
       success: false,
@@ -407,9 +769,17 @@ const deleteBlog = async (req, res) => {
     }
 
     // Soft delete - set deletedAt timestamp
-    await prisma.blog.update({
-      where: { id: blogId },
-      data: { deletedAt: new Date() },
+    await prisma.$transaction(async (tx) => {
+      const deletedBlog = await tx.blog.update({
+        where: { id: blogId },
+        data: { deletedAt: new Date() },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_DELETE,
+        blogId,
+        changes: diffFields(blog, deletedBlog, ['deletedAt']),
+      }, tx);
     });
 
     res.status(200).json({
@@ -426,6 +796,55 @@ const deleteBlog = async (req, res) => {
   }
 };
 
+/**
+ * Restore a soft-deleted blog from the trash
+ * POST /api/blogs/:id/restore
+ */
+const restoreBlog = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+
+    const blog = await prisma.blog.findUnique({
+      where: { id: blogId },
+    });
+
+    if (!blog || !blog.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found in trash',
+      });
+    }
+
+    const restoredBlog = await prisma.$transaction(async (tx) => {
+      const savedBlog = await tx.blog.update({
+        where: { id: blogId },
+        data: { deletedAt: null },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_RESTORE,
+        blogId,
+        changes: diffFields(blog, savedBlog, ['deletedAt']),
+      }, tx);
+
+      return savedBlog;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Blog restored successfully',
+      data: restoredBlog,
+    });
+  } catch (error) {
+    logger.error(`Restore blog error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Hard delete a blog (optional - removes from DB and S3)
  * DELETE /api/blogs/:id/permanent
@@ -446,14 +865,22 @@ const permanentDeleteBlog = async (req, res) => {
       });
     }
 
-    // Delete files from S3 using exact URLs
-    await deleteBlogFiles(blogId, blog.contentUrl, blog.coverImageUrl);
+    // Delete from database, keeping a snapshot of the blog in the audit log
+    await prisma.$transaction(async (tx) => {
+      await tx.blog.delete({
+        where: { id: blogId },
+      });
 
-    // Delete from database
-    await prisma.blog.delete({
-      where: { id: blogId },
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_PERMANENT_DELETE,
+        blogId,
+        changes: diffFields(blog, null),
+      }, tx);
     });
 
+    // Delete files from S3 only once the row is gone - a failed transaction keeps the blog intact
+    await deleteBlogFiles(blogId, blog.contentUrl, blog.coverImageUrl, blog.sourceUrl);
+
     res.status(200).json({
       success: true,
       message: 'Blog permanently deleted',
@@ -469,8 +896,9 @@ const permanentDeleteBlog = async (req, res) => {
 };
 
 /**
- * Search blogs using full-text search
- * GET /api/blogs/search?query=death+care&page=1&limit=20
+ * Search blogs using full-text search, with optional filters
+ * GET /api/blogs/search?query=death+care&tags=grief&from=2025-01-01&to=2025-06-30&minReadTime=3&sort=relevance&page=1&limit=20
+ * A date-only `to` includes that whole day
  */
 const searchBlogsController = async (req, res) => {
   try {
@@ -478,42 +906,55 @@ const searchBlogsController = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+    const sort = req.query.sort || SEARCH_SORT.RELEVANCE;
+
+    let to = req.query.to ? new Date(req.query.to) : null;
+    if (to && DATE_ONLY_PATTERN.test(req.query.to)) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    }
 
-    logger.info('Search request', { query, page, limit });
+    const filters = {
+      tags: await canonicalizeTagFilter(parseTagList(req.query.tags)),
+      from: req.query.from ? new Date(req.query.from) : null,
+      to,
+      minReadTime: req.query.minReadTime || null,
+      maxReadTime: req.query.maxReadTime || null,
+    };
+
+    logger.info('Search request', { query, page, limit, sort, filters });
 
-    const results = await searchBlogs(query, limit, offset);
+    const results = await advancedSearchBlogs({
+      query,
+      ...filters,
+      sort,
+      limit,
+      offset,
+    });
 
     // Generate presigned URLs for search results (only if URLs exist)
-    const blogsWithUrls = await Promise.all(
-      results.results.map(async (blog) => {
-        try {
-          return {
-            ...blog,
-            contentUrl: blog.contentUrl ? await generatePresignedUrl(blog.contentUrl) : null,
-            coverImageUrl: blog.coverImageUrl ? await generatePresignedUrl(blog.coverImageUrl) : null,
-          };
-        } catch (error) {
-          // If URL generation fails, return the blog without presigned URLs
-          logger.warn(`Failed to generate URLs for blog ${blog.id}:`, error.message);
-          return {
-            ...blog,
-            contentUrl: null,
-            coverImageUrl: null,
-          };
-        }
-      })
-    );
+    const blogsWithUrls = await Promise.all(results.results.map(addFeedUrls));
+
+    if (query) {
+      recordSearch(req, res, { query, resultCount: results.pagination.total });
+    }
+
+    // Offer a spelling correction when a text search finds nothing
+    const didYouMean = query && results.pagination.total === 0
+      ? await suggestQueryCorrection(query)
+      : null;
 
     logger.info('Search completed', { 
       query, 
       resultsCount: results.results.length, 
-      total: results.pagination.total 
+      total: results.pagination.total,
+      didYouMean,
     });
 
     res.status(200).json({
       success: true,
       data: blogsWithUrls,
       pagination: results.pagination,
+      ...(didYouMean && { didYouMean }),
     });
   } catch (error) {
     logger.error(`Search blogs error: ${error.message}`, { error: error.stack, query: req.query.query });
@@ -525,10 +966,39 @@ const searchBlogsController = async (req, res) => {
   }
 };
 
+/**
+ * Suggest title and tag completions as the reader types
+ * GET /api/blogs/search/suggest?q=medit&limit=5
+ */
+const suggestSearchController = async (req, res) => {
+  try {
+    const partialQuery = req.query.q;
+    const limit = parseInt(req.query.limit) || 5;
+
+    const suggestions = await suggestSearchTerms(partialQuery, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: partialQuery,
+        ...suggestions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Search suggest error: ${error.message}`, { error: error.stack, q: req.query.q });
+    res.status(500).json({
+      success: false,
+      message: 'Search suggestions failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Get blog content with HTML
  * GET /api/blogs/:id/content
- * Returns blog metadata along with the actual HTML content from S3
+ * Returns blog metadata along with the rendered HTML content from S3
+ * Unpublished blogs are only returned to admins (preview)
  */
 const getBlogContent = async (req, res) => {
   try {
@@ -537,30 +1007,18 @@ const getBlogContent = async (req, res) => {
     // Get blog metadata
     const blog = await prisma.blog.findUnique({
       where: { id: blogId },
+      include: { author: true },
     });
 
-    if (!blog || blog.deletedAt) {
+    if (!canViewBlog(req, blog)) {
       return res.status(404).json({
         success: false,
         message: 'Blog not found',
       });
     }
 
-    // Increment view count asynchronously
-    prisma.blog.update({
-      where: { id: blog.id },
-      data: { views: { increment: 1 } },
-    }).catch(err => logger.error(`Failed to increment views: ${err.message}`));
-
-    // Fetch content from S3
-    const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    });
+    // Deduplicated with getBlogById, so a page load calling both counts once
+    const countedView = isPubliclyVisible(blog) && recordView(req, res, blog.id);
 
     // Extract S3 key from contentUrl
     const s3Key = extractS3Key(blog.contentUrl);
@@ -572,13 +1030,12 @@ const getBlogContent = async (req, res) => {
     }
 
     // Fetch content from S3
-    const getCommand = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET,
-      Key: s3Key,
-    });
+    const contentBuffer = await getFile(s3Key);
 
-    const s3Response = await s3Client.send(getCommand);
-    const htmlContent = await s3Response.Body.transformToString();
+    // Blogs uploaded before server-side rendering only have the Word document - render it on the fly
+    const htmlContent = s3Key.toLowerCase().endsWith('.docx')
+      ? (await processContentForStorage(contentBuffer, CONTENT_TYPES.DOCX)).html
+      : contentBuffer.toString('utf-8');
 
     // Generate presigned URL for cover image if exists
     let presignedCoverUrl = blog.coverImageUrl;
@@ -594,13 +1051,19 @@ const getBlogContent = async (req, res) => {
       data: {
         id: blog.id,
         title: blog.title,
+        slug: blog.slug,
         tags: blog.tags,
         coverImageUrl: presignedCoverUrl, // Presigned URL for cover image
         readTime: blog.readTime,
-        views: blog.views + 1, // Return incremented count
+        wordCount: blog.wordCount,
+        excerpt: blog.excerpt,
+        views: countedView ? blog.views + 1 : blog.views, // Include this view (flushed to the DB in batches)
         likes: blog.likes,
+        status: blog.status,
+        publishAt: blog.publishAt,
         createdAt: blog.createdAt,
         updatedAt: blog.updatedAt,
+        author: await addAuthorAvatarUrl(blog.author),
         content: htmlContent, // The actual HTML content from S3
       },
     });
@@ -633,46 +1096,17 @@ const getLatestBlogs = async (req, res) => {
     logger.info('Latest blogs request', { limit });
 
     const latestBlogs = await prisma.blog.findMany({
-      where: {
-        deletedAt: null,
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
+      where: publicBlogWhere,
+      orderBy: [
+        { publishAt: { sort: 'desc', nulls: 'last' } },
+        { createdAt: 'desc' },
+      ],
       take: limit,
-      select: {
-        id: true,
-        title: true,
-        tags: true,
-        contentUrl: true,
-        coverImageUrl: true,
-        readTime: true,
-        views: true,
-        likes: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+      select: blogListSelect,
     });
 
     // Generate presigned URLs for results
-    const blogsWithUrls = await Promise.all(
-      latestBlogs.map(async (blog) => {
-        try {
-          return {
-            ...blog,
-            contentUrl: blog.contentUrl ? await generatePresignedUrl(blog.contentUrl) : null,
-            coverImageUrl: blog.coverImageUrl ? await generatePresignedUrl(blog.coverImageUrl) : null,
-          };
-        } catch (error) {
-          logger.warn(`Failed to generate URLs for blog ${blog.id}:`, error.message);
-          return {
-            ...blog,
-            contentUrl: null,
-            coverImageUrl: null,
-          };
-        }
-      })
-    );
+    const blogsWithUrls = await Promise.all(latestBlogs.map(addFeedUrls));
 
     logger.info('Latest blogs retrieved', { count: blogsWithUrls.length });
 
@@ -710,46 +1144,16 @@ const getPopularBlogs = async (req, res) => {
     logger.info('Popular blogs request', { limit });
 
     const popularBlogs = await prisma.blog.findMany({
-      where: {
-        deletedAt: null,
-      },
+      where: publicBlogWhere,
       orderBy: {
         views: 'desc',
       },
       take: limit,
-      select: {
-        id: true,
-        title: true,
-        tags: true,
-        contentUrl: true,
-        coverImageUrl: true,
-        readTime: true,
-        views: true,
-        likes: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+      select: blogListSelect,
     });
 
     // Generate presigned URLs for results
-    const blogsWithUrls = await Promise.all(
-      popularBlogs.map(async (blog) => {
-        try {
-          return {
-            ...blog,
-            contentUrl: blog.contentUrl ? await generatePresignedUrl(blog.contentUrl) : null,
-            coverImageUrl: blog.coverImageUrl ? await generatePresignedUrl(blog.coverImageUrl) : null,
-          };
-        } catch (error) {
-          logger.warn(`Failed to generate URLs for blog ${blog.id}:`, error.message);
-          return {
-            ...blog,
-            contentUrl: null,
-            coverImageUrl: null,
-          };
-        }
-      })
-    );
+    const blogsWithUrls = await Promise.all(popularBlogs.map(addFeedUrls));
 
     logger.info('Popular blogs retrieved', { count: blogsWithUrls.length });
 
@@ -768,15 +1172,218 @@ const getPopularBlogs = async (req, res) => {
   }
 };
 
+/**
+ * Get trending blogs - ranked by time-decayed views and likes in a recent window
+ * GET /api/blogs/feed/trending?window=7d&limit=5
+ */
+const getTrendingBlogs = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 5;
+    const window = req.query.window || '7d';
+
+    // Validate limit
+    if (limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be between 1 and 50',
+      });
+    }
+
+    if (!TRENDING_WINDOW_NAMES.includes(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `Window must be one of: ${TRENDING_WINDOW_NAMES.join(', ')}`,
+      });
+    }
+
+    logger.info('Trending blogs request', { window, limit });
+
+    const scores = await getTrendingScores(window, limit);
+
+    const blogs = await prisma.blog.findMany({
+      where: { id: { in: scores.map(entry => entry.id) }, ...publicBlogWhere },
+      select: blogListSelect,
+    });
+
+    // Keep the ranking order from the score query
+    const blogsById = new Map(blogs.map(blog => [blog.id, blog]));
+    const trendingBlogs = scores
+      .filter(entry => blogsById.has(entry.id))
+      .map(entry => ({ ...blogsById.get(entry.id), trendingScore: entry.score }));
+
+    // Generate presigned URLs for results
+    const blogsWithUrls = await Promise.all(trendingBlogs.map(addFeedUrls));
+
+    logger.info('Trending blogs retrieved', { window, count: blogsWithUrls.length });
+
+    res.status(200).json({
+      success: true,
+      data: blogsWithUrls,
+      count: blogsWithUrls.length,
+      window,
+    });
+  } catch (error) {
+    logger.error(`Get trending blogs error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trending blogs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get published blogs related to a blog ("read next")
+ * GET /api/blogs/:id/related?limit=5
+ * Ranked by shared tags and full-text similarity; the blog itself and deleted blogs are excluded
+ */
+const getRelatedBlogs = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 5;
+
+    // Validate limit
+    if (limit < 1 || limit > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be between 1 and 20',
+      });
+    }
+
+    const blog = await prisma.blog.findUnique({
+      where: { id: blogId },
+      select: { id: true, status: true, deletedAt: true },
+    });
+
+    if (!canViewBlog(req, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const related = await findRelatedBlogs(blogId, limit);
+
+    const blogs = await prisma.blog.findMany({
+      where: { id: { in: related.map(entry => entry.id) }, ...publicBlogWhere },
+      select: blogListSelect,
+    });
+
+    // Keep the ranking order from the related query
+    const blogsById = new Map(blogs.map(relatedBlog => [relatedBlog.id, relatedBlog]));
+    const relatedBlogs = related
+      .filter(entry => blogsById.has(entry.id))
+      .map(entry => ({
+        ...blogsById.get(entry.id),
+        sharedTags: entry.sharedTags,
+        relatedScore: entry.score,
+      }));
+
+    // Generate presigned URLs for results
+    const blogsWithUrls = await Promise.all(relatedBlogs.map(addFeedUrls));
+
+    res.status(200).json({
+      success: true,
+      data: blogsWithUrls,
+      count: blogsWithUrls.length,
+    });
+  } catch (error) {
+    logger.error(`Get related blogs error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch related blogs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get SEO metadata of a blog (Open Graph, Twitter Card, JSON-LD)
+ * GET /api/blogs/:id/meta
+ * Uses the blog's SEO overrides, falling back to its excerpt, page URL and cover image
+ */
+const getBlogMeta = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+
+    const blog = await prisma.blog.findUnique({
+      where: { id: blogId },
+      include: { author: true },
+    });
+
+    if (!canViewBlog(req, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildBlogMeta(blog),
+    });
+  } catch (error) {
+    logger.error(`Get blog meta error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blog metadata',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Server-rendered share page for social crawlers
+ * GET /share/:id
+ * Link previews (Facebook, Twitter, Slack...) don't run the SPA, so this page carries
+ * the meta tags and redirects browsers to the blog page
+ */
+const getBlogSharePage = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+
+    const blog = await prisma.blog.findFirst({
+      where: { id: blogId, ...publicBlogWhere },
+      include: { author: true },
+    });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const html = renderSharePage(await buildBlogMeta(blog));
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).type('html').send(html);
+  } catch (error) {
+    logger.error(`Get share page error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render share page',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   getBlogs,
   getBlogById,
+  getBlogBySlug,
   createBlog,
   updateBlog,
   deleteBlog,
+  restoreBlog,
   permanentDeleteBlog,
   searchBlogsController,
+  suggestSearchController,
   getBlogContent,
   getLatestBlogs,
   getPopularBlogs,
+  getTrendingBlogs,
+  getRelatedBlogs,
+  getBlogMeta,
+  getBlogSharePage,
 };
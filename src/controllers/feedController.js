@@ -0,0 +1,217 @@
+/**
+ * Feed Controller
+ * RSS 2.0, Atom and JSON Feed syndication of published blogs, site-wide or per tag
+ */
+
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+const { getFile, extractKeyFromUrl } = require('../services/s3Service');
+const { generateShareableUrl } = require('../utils/presignedUrl');
+const { publicBlogWhere } = require('../utils/blogStatus');
+const { toTagSlug } = require('../utils/tags');
+const {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  getSiteUrl,
+  blogPageUrl,
+  tagPageUrl,
+  authorPageUrl,
+  getPublicApiUrl,
+} = require('../utils/siteUrls');
+const {
+  tagUri,
+  imageTypeFromUrl,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+} = require('../utils/feedBuilder');
+const logger = require('../utils/logger');
+
+// Number of most recent blogs in a feed
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT || '20', 10);
+
+// Feed readers poll - let them and any CDN reuse a feed for a few minutes
+const FEED_CACHE_CONTROL = 'public, max-age=300';
+
+const FEED_FORMATS = {
+  rss: { file: 'feed.xml', contentType: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+  atom: { file: 'atom.xml', contentType: 'application/atom+xml; charset=utf-8', build: buildAtomFeed },
+  json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed },
+};
+
+const feedBlogSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  tags: true,
+  excerpt: true,
+  contentUrl: true,
+  coverImageUrl: true,
+  publishAt: true,
+  createdAt: true,
+  updatedAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+/**
+ * Read a blog's rendered HTML from S3 (for ?content=full)
+ * Blogs that only have their Word document stored fall back to the excerpt
+ * @param {Object} blog - Blog record (needs contentUrl)
+ * @returns {Promise<string|null>} HTML, or null if unavailable
+ */
+const loadBlogHtml = async (blog) => {
+  const key = blog.contentUrl ? extractKeyFromUrl(blog.contentUrl) : null;
+  if (!key || !key.toLowerCase().endsWith('.html')) return null;
+
+  try {
+    return (await getFile(key)).toString('utf-8');
+  } catch (error) {
+    logger.warn(`Feed: failed to load content for blog ${blog.id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Convert a blog record into a feed item
+ * @param {Object} blog - Blog record (feedBlogSelect)
+ * @param {boolean} fullContent - Include the rendered HTML
+ * @returns {Promise<Object>} Feed item
+ */
+const toFeedItem = async (blog, fullContent) => {
+  const [contentHtml, imageUrl] = await Promise.all([
+    fullContent ? loadBlogHtml(blog) : null,
+    generateShareableUrl(blog.coverImageUrl),
+  ]);
+
+  return {
+    id: tagUri(`blog:${blog.id}`),
+    url: blogPageUrl(blog),
+    title: blog.title,
+    summary: blog.excerpt || '',
+    contentHtml,
+    published: blog.publishAt || blog.createdAt,
+    updated: blog.updatedAt,
+    tags: blog.tags,
+    author: blog.author
+      ? { name: blog.author.name, url: authorPageUrl(blog.author) }
+      : null,
+    image: imageUrl ? { url: imageUrl, type: imageTypeFromUrl(imageUrl) } : null,
+  };
+};
+
+/**
+ * Build a feed handler for one format
+ * Sets ETag/Last-Modified from the selected blogs and answers conditional
+ * requests with 304 before any S3 work is done
+ * @param {string} format - Key of FEED_FORMATS
+ * @returns {Function} Express handler
+ */
+const createFeedHandler = (format) => async (req, res) => {
+  try {
+    const { file, contentType, build } = FEED_FORMATS[format];
+    const fullContent = req.query.content === 'full';
+
+    // Per-tag feeds accept the tag slug or any spelling of its name
+    const tag = req.params.tag
+      ? await prisma.tag.findUnique({ where: { slug: toTagSlug(req.params.tag) } })
+      : null;
+
+    if (req.params.tag && !tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    const blogs = await prisma.blog.findMany({
+      where: {
+        ...publicBlogWhere,
+        ...(tag && { tags: { has: tag.name } }),
+      },
+      orderBy: [
+        { publishAt: { sort: 'desc', nulls: 'last' } },
+        { id: 'desc' },
+      ],
+      take: FEED_ITEM_LIMIT,
+      select: feedBlogSelect,
+    });
+
+    // Changes whenever a blog enters, leaves or is edited within the feed (or the tag is edited)
+    const lastModified = blogs.reduce(
+      (latest, blog) => (blog.updatedAt > latest ? blog.updatedAt : latest),
+      new Date(0)
+    );
+    const fingerprint = blogs.map(blog => `${blog.id}:${blog.updatedAt.getTime()}`).join(',');
+    const etag = crypto
+      .createHash('sha1')
+      .update(`${format}|${tag ? `${tag.slug}:${tag.updatedAt.getTime()}` : ''}|${fullContent}|${fingerprint}`)
+      .digest('base64url');
+
+    res.set({
+      'Cache-Control': FEED_CACHE_CONTROL,
+      'ETag': `W/"${etag}"`,
+      'Last-Modified': lastModified.toUTCString(),
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const items = await Promise.all(blogs.map(blog => toFeedItem(blog, fullContent)));
+
+    const feedPath = tag ? `/tags/${encodeURIComponent(tag.slug)}/${file}` : `/${file}`;
+    const query = fullContent ? '?content=full' : '';
+
+    const document = build({
+      id: tagUri(tag ? `tag:${tag.slug}` : 'feed'),
+      title: tag ? `${SITE_NAME} - ${tag.name}` : SITE_NAME,
+      description: tag ? (tag.description || `Articles tagged "${tag.name}" on ${SITE_NAME}`) : SITE_DESCRIPTION,
+      siteUrl: tag ? tagPageUrl(tag) : getSiteUrl(),
+      feedUrl: `${getPublicApiUrl(req)}${feedPath}${query}`,
+      updated: blogs.length > 0 ? lastModified : new Date(),
+      items,
+    });
+
+    logger.info('Feed generated', { format, tag: tag ? tag.slug : null, items: items.length, fullContent });
+
+    res.status(200).type(contentType).send(typeof document === 'string' ? document : JSON.stringify(document));
+  } catch (error) {
+    logger.error(`Feed (${format}) error: ${error.message}`, { error: error.stack });
+    // Don't let clients or caches keep the error as this feed version
+    ['Cache-Control', 'ETag', 'Last-Modified'].forEach(header => res.removeHeader(header));
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * RSS 2.0 feed
+ * GET /feed.xml, GET /tags/:tag/feed.xml
+ */
+const getRssFeed = createFeedHandler('rss');
+
+/**
+ * Atom 1.0 feed
+ * GET /atom.xml, GET /tags/:tag/atom.xml
+ */
+const getAtomFeed = createFeedHandler('atom');
+
+/**
+ * JSON Feed 1.1
+ * GET /feed.json, GET /tags/:tag/feed.json
+ */
+const getJsonFeed = createFeedHandler('json');
+
+module.exports = {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed,
+};
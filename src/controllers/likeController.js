@@ -0,0 +1,186 @@
+/**
+ * Like Controller
+ * Handles reader likes, deduplicated per visitor via the blog_likes table
+ */
+
+const prisma = require('../prismaClient');
+const { publicBlogWhere } = require('../utils/blogStatus');
+const { getVisitorHash } = require('../utils/visitor');
+const { recordDailyLike, removeDailyLike } = require('../services/trendingService');
+const logger = require('../utils/logger');
+
+/**
+ * Find a blog that readers can like (published and not deleted)
+ * @param {number} blogId - Blog ID
+ * @returns {Promise<Object|null>} { id, likes }
+ */
+const findLikeableBlog = (blogId) => {
+  return prisma.blog.findFirst({
+    where: { id: blogId, ...publicBlogWhere },
+    select: { id: true, likes: true },
+  });
+};
+
+/**
+ * Get the like count and whether the current visitor liked the blog
+ * GET /api/blogs/:id/like
+ */
+const getLikeStatus = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+    const blog = await findLikeableBlog(blogId);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const like = await prisma.blogLike.findUnique({
+      where: { blogId_visitorHash: { blogId, visitorHash: getVisitorHash(req, res) } },
+      select: { id: true },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blogId,
+        likes: blog.likes,
+        liked: !!like,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get like status error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch like status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Like a blog (idempotent per visitor)
+ * POST /api/blogs/:id/like
+ */
+const likeBlog = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+
+    if (!(await findLikeableBlog(blogId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const visitorHash = getVisitorHash(req, res);
+
+    // The unique (blogId, visitorHash) row decides whether the counter moves
+    const likes = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.blogLike.createMany({
+        data: [{ blogId, visitorHash }],
+        skipDuplicates: true,
+      });
+
+      if (count > 0) {
+        // Raw SQL so updatedAt (managed by Prisma) isn't touched by reader likes
+        await tx.$executeRaw`UPDATE blogs SET likes = likes + 1 WHERE id = ${blogId}`;
+        await recordDailyLike(blogId, tx);
+      }
+
+      const blog = await tx.blog.findUnique({
+        where: { id: blogId },
+        select: { likes: true },
+      });
+
+      return blog.likes;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blogId,
+        likes,
+        liked: true,
+      },
+    });
+  } catch (error) {
+    logger.error(`Like blog error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove the current visitor's like (idempotent)
+ * DELETE /api/blogs/:id/like
+ */
+const unlikeBlog = async (req, res) => {
+  try {
+    const blogId = parseInt(req.params.id);
+
+    if (!(await findLikeableBlog(blogId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found',
+      });
+    }
+
+    const visitorHash = getVisitorHash(req, res);
+
+    const likes = await prisma.$transaction(async (tx) => {
+      const like = await tx.blogLike.findUnique({
+        where: { blogId_visitorHash: { blogId, visitorHash } },
+        select: { id: true, createdAt: true },
+      });
+
+      if (like) {
+        // deleteMany so a concurrent unlike of the same row doesn't throw
+        const { count } = await tx.blogLike.deleteMany({
+          where: { id: like.id },
+        });
+
+        if (count > 0) {
+          // Guard against going negative for likes set before deduplication existed.
+          // Raw SQL so updatedAt isn't touched, as for likes
+          await tx.$executeRaw`UPDATE blogs SET likes = likes - 1 WHERE id = ${blogId} AND likes > 0`;
+          await removeDailyLike(blogId, like.createdAt, tx);
+        }
+      }
+
+      const blog = await tx.blog.findUnique({
+        where: { id: blogId },
+        select: { likes: true },
+      });
+
+      return blog.likes;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blogId,
+        likes,
+        liked: false,
+      },
+    });
+  } catch (error) {
+    logger.error(`Unlike blog error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlike blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getLikeStatus,
+  likeBlog,
+  unlikeBlog,
+};
@@ -0,0 +1,305 @@
+/**
+ * Revision Controller
+ * Lists, fetches, diffs and restores numbered blog revisions
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+const {
+  uploadBlogHtml,
+  copyFile,
+  deleteFilesByUrl,
+  extractKeyFromUrl,
+} = require('../services/s3Service');
+const {
+  RESTORABLE_FIELDS,
+  reserveRevisionNumber,
+  createRevision,
+  readRevisionHtml,
+  diffHtml,
+} = require('../services/revisionService');
+const { htmlToPlainText } = require('../utils/contentProcessor');
+const { resolveTags } = require('../utils/tags');
+const { generatePresignedUrl } = require('../utils/presignedUrl');
+const { canEditBlog } = require('../middleware/authorize');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Load a blog for revision access
+ * Sends the 404/403 response itself and returns null when access is denied
+ * @param {Object} req - Express request object (after requireApiKey)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Blog record
+ */
+const loadEditableBlog = async (req, res) => {
+  const blog = await prisma.blog.findUnique({
+    where: { id: parseInt(req.params.id) },
+  });
+
+  if (!blog || blog.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'Blog not found',
+    });
+    return null;
+  }
+
+  if (!canEditBlog(req.user, blog)) {
+    res.status(403).json({
+      success: false,
+      message: 'Forbidden: you can only access revisions of your own blogs',
+    });
+    return null;
+  }
+
+  return blog;
+};
+
+/**
+ * Find a single revision of a blog
+ * @param {number} blogId - Blog ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>} Revision record
+ */
+const findRevision = (blogId, revision) => {
+  return prisma.blogRevision.findUnique({
+    where: { blogId_revision: { blogId, revision } },
+  });
+};
+
+/**
+ * Get all revisions of a blog, newest first
+ * GET /api/blogs/:id/revisions
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const blog = await loadEditableBlog(req, res);
+    if (!blog) return;
+
+    const revisions = await prisma.blogRevision.findMany({
+      where: { blogId: blog.id },
+      select: {
+        revision: true,
+        metadata: true,
+        userId: true,
+        note: true,
+        createdAt: true,
+      },
+      orderBy: { revision: 'desc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      currentRevision: revisions.length > 0 ? revisions[0].revision : null,
+    });
+  } catch (error) {
+    logger.error(`Get revisions error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a single revision with its HTML content
+ * GET /api/blogs/:id/revisions/:rev
+ */
+const getRevision = async (req, res) => {
+  try {
+    const blog = await loadEditableBlog(req, res);
+    if (!blog) return;
+
+    const revision = await findRevision(blog.id, parseInt(req.params.rev));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    const htmlContent = await readRevisionHtml(revision);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...revision,
+        htmlContent,
+        presignedSourceUrl: revision.sourceUrl ? await generatePresignedUrl(revision.sourceUrl) : null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get revision error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Diff the HTML and metadata of two revisions
+ * GET /api/blogs/:id/revisions/:rev/diff?against=3
+ * Compares against the previous revision unless `against` is given
+ */
+const getRevisionDiff = async (req, res) => {
+  try {
+    const blog = await loadEditableBlog(req, res);
+    if (!blog) return;
+
+    const toNumber = parseInt(req.params.rev);
+    const fromNumber = req.query.against ? parseInt(req.query.against) : toNumber - 1;
+
+    const [from, to] = await Promise.all([
+      findRevision(blog.id, fromNumber),
+      findRevision(blog.id, toNumber),
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${!to ? toNumber : fromNumber} not found`,
+      });
+    }
+
+    const [fromHtml, toHtml] = await Promise.all([
+      readRevisionHtml(from),
+      readRevisionHtml(to),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: from.revision,
+        to: to.revision,
+        metadata: diffFields(from.metadata, to.metadata, Object.keys({ ...from.metadata, ...to.metadata })),
+        content: diffHtml(fromHtml, toHtml),
+      },
+    });
+  } catch (error) {
+    logger.error(`Revision diff error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Roll a blog back to a revision
+ * POST /api/blogs/:id/revisions/:rev/restore
+ * Restores content, title, tags and read time; the result is saved as a new revision
+ */
+const restoreRevision = async (req, res) => {
+  // New live files, deleted again if the restore fails
+  let uploadedUrls = [];
+
+  try {
+    const blog = await loadEditableBlog(req, res);
+    if (!blog) return;
+
+    const revision = await findRevision(blog.id, parseInt(req.params.rev));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    const html = await readRevisionHtml(revision);
+    if (html === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revision has no stored content to restore',
+      });
+    }
+
+    logger.info(`Restoring blog ID ${blog.id} to revision ${revision.revision}`);
+
+    const updateData = Object.fromEntries(
+      RESTORABLE_FIELDS.map(field => [field, revision.metadata[field] ?? null])
+    );
+    // Revisions from before readTimeOverride existed don't record it
+    updateData.readTimeOverride = updateData.readTimeOverride ?? false;
+    updateData.bodyText = htmlToPlainText(html);
+
+    // As in updateBlog, the restored files go to a fresh version folder and the ones they
+    // replace are deleted only after the transaction commits
+    const version = crypto.randomUUID();
+    const replacedUrls = [blog.contentUrl];
+    updateData.contentUrl = await uploadBlogHtml(html, blog.id, version);
+    uploadedUrls.push(updateData.contentUrl);
+
+    // Put the revision's original upload back next to the rendered HTML
+    const revisionSourceKey = revision.sourceUrl ? extractKeyFromUrl(revision.sourceUrl) : null;
+    if (revisionSourceKey) {
+      const sourceKey = `blogs/${blog.id}/${version}/${path.basename(revisionSourceKey)}`;
+      updateData.sourceUrl = await copyFile(revisionSourceKey, sourceKey);
+      uploadedUrls.push(updateData.sourceUrl);
+      replacedUrls.push(blog.sourceUrl);
+    }
+
+    const { restoredBlog, revisionNumber } = await prisma.$transaction(async (tx) => {
+      const revisionNumber = await reserveRevisionNumber(blog.id, tx);
+
+      // Tags renamed or merged since the revision are re-created from their old names
+      updateData.tags = await resolveTags(updateData.tags || [], tx);
+
+      const savedBlog = await tx.blog.update({
+        where: { id: blog.id },
+        data: updateData,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BLOG_REVISION_RESTORE,
+        blogId: blog.id,
+        changes: diffFields(blog, savedBlog),
+      }, tx);
+
+      // The restored state shares the content files of the revision it came from
+      await createRevision({
+        blog: savedBlog,
+        revision: revisionNumber,
+        files: { contentUrl: revision.contentUrl, sourceUrl: revision.sourceUrl },
+        userId: req.user.id,
+        note: `Restored from revision ${revision.revision}`,
+      }, tx);
+
+      return { restoredBlog: savedBlog, revisionNumber };
+    });
+
+    uploadedUrls = [];
+    await deleteFilesByUrl(replacedUrls);
+
+    res.status(200).json({
+      success: true,
+      message: `Blog restored to revision ${revision.revision}`,
+      data: restoredBlog,
+      revision: revisionNumber,
+    });
+  } catch (error) {
+    await deleteFilesByUrl(uploadedUrls);
+
+    logger.error(`Restore revision error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+};
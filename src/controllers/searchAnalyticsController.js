@@ -0,0 +1,98 @@
+/**
+ * Search Analytics Controller
+ * Aggregates the search_log so editors can see what readers look for
+ */
+
+const { query } = require('../db/pool');
+const { getPeriodStart } = require('../utils/searchLog');
+const logger = require('../utils/logger');
+
+/**
+ * Most frequent searches in a period
+ * GET /api/admin/search/top?period=week&limit=20
+ */
+const getTopSearches = async (req, res) => {
+  try {
+    const period = req.query.period || 'week';
+    const limit = parseInt(req.query.limit) || 20;
+    const since = getPeriodStart(period);
+
+    const result = await query(
+      `SELECT
+         query,
+         COUNT(*)::int AS searches,
+         COUNT(DISTINCT "clientHash")::int AS "uniqueClients",
+         ROUND(AVG("resultCount"), 1)::float AS "avgResults",
+         COUNT(*) FILTER (WHERE "resultCount" = 0)::int AS "zeroResultSearches",
+         MAX("createdAt") AS "lastSearchedAt"
+       FROM search_log
+       WHERE "createdAt" >= $1
+       GROUP BY query
+       ORDER BY searches DESC, "lastSearchedAt" DESC
+       LIMIT $2`,
+      [since, limit]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.rows,
+      period,
+      since,
+    });
+  } catch (error) {
+    logger.error(`Get top searches error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top searches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Searches that found nothing in a period - unmet reader demand
+ * GET /api/admin/search/zero-results?period=month&limit=20
+ * Queries that returned results at any point in the period are left out
+ */
+const getZeroResultSearches = async (req, res) => {
+  try {
+    const period = req.query.period || 'week';
+    const limit = parseInt(req.query.limit) || 20;
+    const since = getPeriodStart(period);
+
+    const result = await query(
+      `SELECT
+         query,
+         COUNT(*)::int AS searches,
+         COUNT(DISTINCT "clientHash")::int AS "uniqueClients",
+         MIN("createdAt") AS "firstSearchedAt",
+         MAX("createdAt") AS "lastSearchedAt"
+       FROM search_log
+       WHERE "createdAt" >= $1
+       GROUP BY query
+       HAVING MAX("resultCount") = 0
+       ORDER BY searches DESC, "lastSearchedAt" DESC
+       LIMIT $2`,
+      [since, limit]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.rows,
+      period,
+      since,
+    });
+  } catch (error) {
+    logger.error(`Get zero-result searches error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch zero-result searches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getTopSearches,
+  getZeroResultSearches,
+};
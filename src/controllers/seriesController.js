@@ -0,0 +1,446 @@
+/**
+ * Series Controller
+ * Ordered collections of blogs (multi-part teachings): listings, series pages
+ * and admin endpoints to create, reorder and delete series
+ */
+
+const prisma = require('../prismaClient');
+const { blogListSelect, addPresignedUrls } = require('../utils/blogResponse');
+const { seriesBlogWhere } = require('../utils/series');
+const { canReadDrafts } = require('../middleware/authorize');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Series fields tracked in audit entries (blogIds is the ordered list of parts)
+const AUDITED_SERIES_FIELDS = ['title', 'description', 'blogIds'];
+
+/**
+ * Load a series with its visible parts in order
+ * @param {number} seriesId - Series ID
+ * @param {boolean} includeDrafts - Whether unpublished parts are included
+ * @returns {Promise<Object|null>} Series with postCount and posts (each with its part number), or null
+ */
+const loadSeries = async (seriesId, includeDrafts) => {
+  const series = await prisma.series.findUnique({
+    where: { id: seriesId },
+    include: {
+      posts: {
+        where: { blog: seriesBlogWhere(includeDrafts) },
+        orderBy: { position: 'asc' },
+        select: { blog: { select: blogListSelect } },
+      },
+    },
+  });
+
+  if (!series) return null;
+
+  const posts = await Promise.all(
+    series.posts.map(async ({ blog }, index) => ({
+      part: index + 1,
+      ...(await addPresignedUrls(blog)),
+    }))
+  );
+
+  return {
+    ...series,
+    postCount: posts.length,
+    posts,
+  };
+};
+
+/**
+ * Get the ordered blog IDs of a series (all parts, trashed ones included)
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} seriesId - Series ID
+ * @returns {Promise<number[]>}
+ */
+const getSeriesBlogIds = async (client, seriesId) => {
+  const posts = await client.seriesPost.findMany({
+    where: { seriesId },
+    orderBy: { position: 'asc' },
+    select: { blogId: true },
+  });
+  return posts.map(post => post.blogId);
+};
+
+/**
+ * Check that blogs can become the parts of a series
+ * @param {number[]} blogIds - Requested blog IDs
+ * @param {number|null} seriesId - Series being edited (null for new series)
+ * @returns {Promise<Object|null>} { status, message } describing the problem, or null if all blogs are usable
+ */
+const checkSeriesBlogs = async (blogIds, seriesId = null) => {
+  const blogs = await prisma.blog.findMany({
+    where: { id: { in: blogIds } },
+    select: { id: true, deletedAt: true, seriesPost: { select: { seriesId: true } } },
+  });
+
+  const foundIds = new Set(blogs.map(blog => blog.id));
+  const missingIds = blogIds.filter(id => !foundIds.has(id));
+  if (missingIds.length > 0) {
+    return { status: 400, message: `Blog(s) not found: ${missingIds.join(', ')}` };
+  }
+
+  const trashedIds = blogs.filter(blog => blog.deletedAt !== null).map(blog => blog.id);
+  if (trashedIds.length > 0) {
+    return { status: 400, message: `Blog(s) in the trash: ${trashedIds.join(', ')}` };
+  }
+
+  const takenIds = blogs
+    .filter(blog => blog.seriesPost && blog.seriesPost.seriesId !== seriesId)
+    .map(blog => blog.id);
+  if (takenIds.length > 0) {
+    return { status: 409, message: `Blog(s) already in another series: ${takenIds.join(', ')}` };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether an error is a unique constraint violation on series_posts
+ * (a concurrent request put one of the blogs into a series after checkSeriesBlogs)
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {boolean}
+ */
+const isSeriesPostConflictError = (error) => error?.code === 'P2002';
+
+/**
+ * Replace the parts of a series, numbering them in the given order
+ * @param {Object} tx - Prisma transaction
+ * @param {number} seriesId - Series ID
+ * @param {number[]} blogIds - Ordered blog IDs
+ */
+const writeSeriesPosts = async (tx, seriesId, blogIds) => {
+  await tx.seriesPost.deleteMany({ where: { seriesId } });
+
+  if (blogIds.length > 0) {
+    await tx.seriesPost.createMany({
+      data: blogIds.map((blogId, index) => ({ seriesId, blogId, position: index + 1 })),
+    });
+  }
+};
+
+/**
+ * Get paginated list of series, newest first
+ * GET /api/series?page=1&limit=20
+ * Public requests only see series with at least one published part
+ */
+const getSeries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const includeDrafts = canReadDrafts(req);
+    const blogWhere = seriesBlogWhere(includeDrafts);
+    const where = includeDrafts ? {} : { posts: { some: { blog: blogWhere } } };
+
+    const [seriesList, total] = await Promise.all([
+      prisma.series.findMany({
+        where,
+        include: {
+          _count: { select: { posts: { where: { blog: blogWhere } } } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.series.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: seriesList.map(({ _count, ...series }) => ({
+        ...series,
+        postCount: _count.posts,
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get series error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a single series with its posts in order
+ * GET /api/series/:id
+ * Unpublished parts are only returned to keys with the read-drafts scope
+ */
+const getSeriesById = async (req, res) => {
+  try {
+    const includeDrafts = canReadDrafts(req);
+    const series = await loadSeries(parseInt(req.params.id), includeDrafts);
+
+    if (!series || (!includeDrafts && series.postCount === 0)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    logger.error(`Get series by ID error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a series
+ * POST /api/series
+ * Body: { title, description, blogIds: [ordered blog IDs] }
+ */
+const createSeries = async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    const blogIds = req.body.blogIds || [];
+
+    const blogError = await checkSeriesBlogs(blogIds);
+    if (blogError) {
+      return res.status(blogError.status).json({
+        success: false,
+        message: blogError.message,
+      });
+    }
+
+    const series = await prisma.$transaction(async (tx) => {
+      const createdSeries = await tx.series.create({
+        data: {
+          title,
+          description: description || null,
+        },
+      });
+
+      await writeSeriesPosts(tx, createdSeries.id, blogIds);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SERIES_CREATE,
+        changes: diffFields(null, { ...createdSeries, blogIds }, AUDITED_SERIES_FIELDS),
+      }, tx);
+
+      return createdSeries;
+    });
+
+    logger.info(`Series created: ${series.id} - ${series.title} (${blogIds.length} part(s))`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created successfully',
+      data: await loadSeries(series.id, true),
+    });
+  } catch (error) {
+    if (isSeriesPostConflictError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Blog(s) already in another series',
+      });
+    }
+
+    logger.error(`Create series error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a series' title or description
+ * PUT /api/series/:id
+ */
+const updateSeries = async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.id);
+    const { title, description } = req.body;
+
+    const existingSeries = await prisma.series.findUnique({
+      where: { id: seriesId },
+    });
+
+    if (!existingSeries) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    const updateData = {};
+    if (title) updateData.title = title;
+    if (description !== undefined) updateData.description = description || null;
+
+    await prisma.$transaction(async (tx) => {
+      const savedSeries = await tx.series.update({
+        where: { id: seriesId },
+        data: updateData,
+      });
+
+      const changes = diffFields(existingSeries, savedSeries, AUDITED_SERIES_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        await recordAudit(req, { action: AUDIT_ACTIONS.SERIES_UPDATE, changes }, tx);
+      }
+    });
+
+    logger.info(`Series updated: ${seriesId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Series updated successfully',
+      data: await loadSeries(seriesId, true),
+    });
+  } catch (error) {
+    logger.error(`Update series error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Set the parts of a series in order (reorder, add or remove parts)
+ * PUT /api/series/:id/posts
+ * Body: { blogIds: [ordered blog IDs] } - parts left out are removed from the series
+ */
+const setSeriesPosts = async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.id);
+    const { blogIds } = req.body;
+
+    const existingSeries = await prisma.series.findUnique({
+      where: { id: seriesId },
+    });
+
+    if (!existingSeries) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    const blogError = await checkSeriesBlogs(blogIds, seriesId);
+    if (blogError) {
+      return res.status(blogError.status).json({
+        success: false,
+        message: blogError.message,
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const previousBlogIds = await getSeriesBlogIds(tx, seriesId);
+
+      await writeSeriesPosts(tx, seriesId, blogIds);
+
+      // Bump updatedAt so caches of the series pick up the new order
+      await tx.series.update({
+        where: { id: seriesId },
+        data: { updatedAt: new Date() },
+      });
+
+      const changes = diffFields({ blogIds: previousBlogIds }, { blogIds }, ['blogIds']);
+      if (Object.keys(changes).length > 0) {
+        await recordAudit(req, { action: AUDIT_ACTIONS.SERIES_UPDATE, changes }, tx);
+      }
+    });
+
+    logger.info(`Series ${seriesId} parts set: ${blogIds.join(', ') || '(none)'}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Series posts updated successfully',
+      data: await loadSeries(seriesId, true),
+    });
+  } catch (error) {
+    if (isSeriesPostConflictError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Blog(s) already in another series',
+      });
+    }
+
+    logger.error(`Set series posts error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update series posts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete a series
+ * DELETE /api/series/:id
+ * The blogs themselves are kept
+ */
+const deleteSeries = async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.id);
+
+    const series = await prisma.series.findUnique({
+      where: { id: seriesId },
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const blogIds = await getSeriesBlogIds(tx, seriesId);
+
+      // Parts are removed by the cascade
+      await tx.series.delete({ where: { id: seriesId } });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SERIES_DELETE,
+        changes: diffFields({ ...series, blogIds }, null, AUDITED_SERIES_FIELDS),
+      }, tx);
+    });
+
+    logger.info(`Series deleted: ${seriesId} - ${series.title}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Series deleted successfully',
+    });
+  } catch (error) {
+    logger.error(`Delete series error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  setSeriesPosts,
+  deleteSeries,
+};
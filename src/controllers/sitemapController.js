@@ -0,0 +1,221 @@
+/**
+ * Sitemap Controller
+ * XML sitemaps of public blog, tag and author pages, and robots.txt pointing at them
+ */
+
+const prisma = require('../prismaClient');
+const { query } = require('../db/pool');
+const { BLOG_STATUS, publicBlogWhere } = require('../utils/blogStatus');
+const {
+  blogPageUrl,
+  tagPageUrl,
+  authorPageUrl,
+  getPublicApiUrl,
+} = require('../utils/siteUrls');
+const {
+  SITEMAP_MAX_URLS,
+  SITEMAP_SECTION_NAMES,
+  buildUrlset,
+  buildSitemapIndex,
+} = require('../utils/sitemapBuilder');
+const logger = require('../utils/logger');
+
+// Crawlers fetch sitemaps rarely - an hour of caching is plenty
+const SITEMAP_CACHE_CONTROL = 'public, max-age=3600';
+
+/**
+ * Sitemap sections (SITEMAP_SECTION_NAMES) - each can span several files once it exceeds SITEMAP_MAX_URLS
+ * summary() -> { count, lastmod }; load(offset, limit) -> [{ loc, lastmod }]
+ * Raw SQL timestamps are converted AT TIME ZONE 'UTC' so pg parses them as UTC
+ */
+const SITEMAP_SECTIONS = {
+  // Blogs flagged noindex are left out
+  blogs: {
+    summary: async () => {
+      const result = await prisma.blog.aggregate({
+        where: { ...publicBlogWhere, noindex: false },
+        _count: true,
+        _max: { updatedAt: true },
+      });
+      return { count: result._count, lastmod: result._max.updatedAt };
+    },
+    load: async (offset, limit) => {
+      const blogs = await prisma.blog.findMany({
+        where: { ...publicBlogWhere, noindex: false },
+        orderBy: { id: 'asc' },
+        skip: offset,
+        take: limit,
+        select: { id: true, slug: true, updatedAt: true },
+      });
+      return blogs.map(blog => ({ loc: blogPageUrl(blog), lastmod: blog.updatedAt }));
+    },
+  },
+
+  // Tags in use on published blogs; lastmod is the latest change to any of their blogs
+  tags: {
+    summary: async () => {
+      const result = await query(
+        `SELECT COUNT(DISTINCT t.id)::int AS count,
+                MAX(b."updatedAt") AT TIME ZONE 'UTC' AS lastmod
+         FROM tags AS t
+         JOIN blogs AS b ON b.tags @> ARRAY[t.name]
+         WHERE b."deletedAt" IS NULL AND b.status = $1`,
+        [BLOG_STATUS.PUBLISHED]
+      );
+      return result.rows[0];
+    },
+    load: async (offset, limit) => {
+      const result = await query(
+        `SELECT t.slug, MAX(b."updatedAt") AT TIME ZONE 'UTC' AS lastmod
+         FROM tags AS t
+         JOIN blogs AS b ON b.tags @> ARRAY[t.name]
+         WHERE b."deletedAt" IS NULL AND b.status = $1
+         GROUP BY t.id
+         ORDER BY t.slug
+         LIMIT $2 OFFSET $3`,
+        [BLOG_STATUS.PUBLISHED, limit, offset]
+      );
+      return result.rows.map(row => ({ loc: tagPageUrl(row), lastmod: row.lastmod }));
+    },
+  },
+
+  // Authors with at least one published blog
+  authors: {
+    summary: async () => {
+      const result = await query(
+        `SELECT COUNT(DISTINCT a.id)::int AS count,
+                GREATEST(MAX(a."updatedAt"), MAX(b."updatedAt")) AT TIME ZONE 'UTC' AS lastmod
+         FROM authors AS a
+         JOIN blogs AS b ON b."authorId" = a.id
+         WHERE b."deletedAt" IS NULL AND b.status = $1`,
+        [BLOG_STATUS.PUBLISHED]
+      );
+      return result.rows[0];
+    },
+    load: async (offset, limit) => {
+      const result = await query(
+        `SELECT a.id, GREATEST(a."updatedAt", MAX(b."updatedAt")) AT TIME ZONE 'UTC' AS lastmod
+         FROM authors AS a
+         JOIN blogs AS b ON b."authorId" = a.id
+         WHERE b."deletedAt" IS NULL AND b.status = $1
+         GROUP BY a.id
+         ORDER BY a.id
+         LIMIT $2 OFFSET $3`,
+        [BLOG_STATUS.PUBLISHED, limit, offset]
+      );
+      return result.rows.map(row => ({ loc: authorPageUrl(row), lastmod: row.lastmod }));
+    },
+  },
+};
+
+/**
+ * Send an XML sitemap document
+ * Express adds an ETag and answers matching conditional requests with 304
+ * @param {Object} res - Express response object
+ * @param {string} xml - Document
+ */
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', SITEMAP_CACHE_CONTROL);
+  res.status(200).type('application/xml; charset=utf-8').send(xml);
+};
+
+/**
+ * Sitemap entry point
+ * GET /sitemap.xml
+ * A single urlset while everything fits in SITEMAP_MAX_URLS, otherwise a sitemap
+ * index of /sitemaps/{section}-{page}.xml files
+ */
+const getSitemap = async (req, res) => {
+  try {
+    const summaries = await Promise.all(
+      SITEMAP_SECTION_NAMES.map(name => SITEMAP_SECTIONS[name].summary())
+    );
+    const total = summaries.reduce((sum, summary) => sum + summary.count, 0);
+
+    if (total <= SITEMAP_MAX_URLS) {
+      const sections = await Promise.all(
+        SITEMAP_SECTION_NAMES.map(name => SITEMAP_SECTIONS[name].load(0, SITEMAP_MAX_URLS))
+      );
+
+      logger.info('Sitemap generated', { urls: total });
+      return sendXml(res, buildUrlset(sections.flat()));
+    }
+
+    const baseUrl = getPublicApiUrl(req);
+    const sitemaps = SITEMAP_SECTION_NAMES.flatMap((name, index) => {
+      const { count, lastmod } = summaries[index];
+      const pages = Math.ceil(count / SITEMAP_MAX_URLS);
+
+      return Array.from({ length: pages }, (value, page) => ({
+        loc: `${baseUrl}/sitemaps/${name}-${page + 1}.xml`,
+        lastmod,
+      }));
+    });
+
+    logger.info('Sitemap index generated', { urls: total, sitemaps: sitemaps.length });
+    sendXml(res, buildSitemapIndex(sitemaps));
+  } catch (error) {
+    logger.error(`Get sitemap error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * One file of a split sitemap
+ * GET /sitemaps/:section-:page.xml
+ */
+const getSitemapPage = async (req, res) => {
+  try {
+    const { section } = req.params;
+    const page = parseInt(req.params.page);
+
+    const urls = await SITEMAP_SECTIONS[section].load((page - 1) * SITEMAP_MAX_URLS, SITEMAP_MAX_URLS);
+
+    if (urls.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found',
+      });
+    }
+
+    sendXml(res, buildUrlset(urls));
+  } catch (error) {
+    logger.error(`Get sitemap page error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * robots.txt for the API host
+ * GET /robots.txt
+ * Keeps crawlers out of the JSON API and points them at the sitemap. The sitemap lists
+ * SITE_URL pages, so the frontend's robots.txt must point here too (see README)
+ */
+const getRobotsTxt = (req, res) => {
+  const lines = [
+    'User-agent: *',
+    'Disallow: /api/',
+    'Disallow: /blogs/',
+    'Allow: /',
+    '',
+    `Sitemap: ${getPublicApiUrl(req)}/sitemap.xml`,
+    '',
+  ];
+
+  res.set('Cache-Control', SITEMAP_CACHE_CONTROL);
+  res.status(200).type('text/plain; charset=utf-8').send(lines.join('\n'));
+};
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt,
+};
@@ -0,0 +1,463 @@
+/**
+ * Tag Controller
+ * Canonical tags: listings with post counts, tag pages, and rename/merge/delete
+ * operations that rewrite the tags of affected blogs
+ */
+
+const prisma = require('../prismaClient');
+const { query } = require('../db/pool');
+const {
+  replaceTagCoverImage,
+  deleteFile,
+  extractKeyFromUrl,
+} = require('../services/s3Service');
+const { generatePresignedUrl } = require('../utils/presignedUrl');
+const { BLOG_STATUS, publicBlogWhere } = require('../utils/blogStatus');
+const { blogListSelect, addPresignedUrls } = require('../utils/blogResponse');
+const { normalizeTagName, toTagSlug } = require('../utils/tags');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Rename/merge/delete update every affected blog in one transaction - allow more than Prisma's 5s default
+const TAG_REWRITE_TIMEOUT_MS = 60000;
+
+// Tag columns tracked in audit entries
+const AUDITED_TAG_FIELDS = ['slug', 'name', 'description', 'coverImageUrl'];
+
+/**
+ * Add a presigned cover URL to a tag
+ * @param {Object} tag - Tag record
+ * @returns {Promise<Object>} Tag with presignedCoverUrl (if it has an S3 cover)
+ */
+const addTagCoverUrl = async (tag) => {
+  if (!tag.coverImageUrl || !tag.coverImageUrl.startsWith('s3://')) {
+    return tag;
+  }
+
+  try {
+    return {
+      ...tag,
+      presignedCoverUrl: await generatePresignedUrl(tag.coverImageUrl),
+    };
+  } catch (urlError) {
+    logger.warn(`Failed to generate presigned cover URL for tag ${tag.id}: ${urlError.message}`);
+    return tag;
+  }
+};
+
+/**
+ * Count the published blogs with a tag
+ * @param {Object} tag - Tag record
+ * @returns {Promise<number>}
+ */
+const countTagPosts = (tag) => {
+  return prisma.blog.count({
+    where: { ...publicBlogWhere, tags: { has: tag.name } },
+  });
+};
+
+/**
+ * Replace a tag name in every blog that has it (trashed blogs included)
+ * Each changed blog gets a blog.update audit entry; no revision is created
+ * @param {Object} req - Express request object (actor for the audit entries)
+ * @param {Object} tx - Prisma transaction
+ * @param {string} fromName - Tag name to replace
+ * @param {string|null} toName - Replacement tag name, or null to remove the tag
+ * @returns {Promise<number[]>} IDs of the changed blogs
+ */
+const rewriteBlogTags = async (req, tx, fromName, toName) => {
+  const blogs = await tx.blog.findMany({
+    where: { tags: { has: fromName } },
+    select: { id: true, tags: true },
+  });
+
+  for (const blog of blogs) {
+    // A blog that already has the target tag keeps a single copy
+    const tags = [...new Set(blog.tags.map(tag => (tag === fromName ? toName : tag)))]
+      .filter(Boolean);
+
+    await tx.blog.update({
+      where: { id: blog.id },
+      data: { tags },
+      select: { id: true },
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BLOG_UPDATE,
+      blogId: blog.id,
+      changes: { tags: { before: blog.tags, after: tags } },
+    }, tx);
+  }
+
+  return blogs.map(blog => blog.id);
+};
+
+/**
+ * Delete a tag's cover image from S3 (failures are logged, not raised)
+ * @param {Object} tag - Tag record
+ */
+const deleteTagCover = async (tag) => {
+  const coverKey = tag.coverImageUrl ? extractKeyFromUrl(tag.coverImageUrl) : null;
+  if (coverKey) {
+    await deleteFile(coverKey).catch(err => logger.warn(`Failed to delete cover for tag ${tag.id}: ${err.message}`));
+  }
+};
+
+/**
+ * Get paginated list of tags with published post counts
+ * GET /api/tags?page=1&limit=20
+ * Most used tags first
+ */
+const getTags = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const [result, total] = await Promise.all([
+      query(
+        `SELECT t.id, t.slug, t.name, t.description, t."coverImageUrl",
+                COUNT(b.id)::int AS "postCount"
+         FROM tags AS t
+         LEFT JOIN blogs AS b
+           ON b.tags @> ARRAY[t.name] AND b."deletedAt" IS NULL AND b.status = $1
+         GROUP BY t.id
+         ORDER BY "postCount" DESC, t.name ASC
+         LIMIT $2 OFFSET $3`,
+        [BLOG_STATUS.PUBLISHED, limit, offset]
+      ),
+      prisma.tag.count(),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    const tagsWithUrls = await Promise.all(result.rows.map(addTagCoverUrl));
+
+    res.status(200).json({
+      success: true,
+      data: tagsWithUrls,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get tags error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a single tag
+ * GET /api/tags/:slug
+ */
+const getTag = async (req, res) => {
+  try {
+    const tag = await prisma.tag.findUnique({
+      where: { slug: req.params.slug },
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...(await addTagCoverUrl(tag)),
+        postCount: await countTagPosts(tag),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get tag error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get paginated published blogs with a tag
+ * GET /api/tags/:slug/blogs?page=1&limit=20
+ */
+const getTagBlogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const tag = await prisma.tag.findUnique({
+      where: { slug: req.params.slug },
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    const where = { ...publicBlogWhere, tags: { has: tag.name } };
+
+    const [blogs, total] = await Promise.all([
+      prisma.blog.findMany({
+        where,
+        select: blogListSelect,
+        orderBy: [
+          { publishAt: { sort: 'desc', nulls: 'last' } },
+          { createdAt: 'desc' },
+        ],
+        skip: offset,
+        take: limit,
+      }),
+      prisma.blog.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    const blogsWithPresignedUrls = await Promise.all(blogs.map(addPresignedUrls));
+
+    res.status(200).json({
+      success: true,
+      data: blogsWithPresignedUrls,
+      tag: await addTagCoverUrl(tag),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get tag blogs error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tag blogs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a tag
+ * PUT /api/tags/:slug
+ * Renaming changes the slug and rewrites the tag on every blog that has it.
+ * Renaming onto another tag's slug is refused - merge the tags instead
+ */
+const updateTag = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const coverFile = req.file || null;
+
+    const existingTag = await prisma.tag.findUnique({
+      where: { slug: req.params.slug },
+    });
+
+    if (!existingTag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description || null;
+
+    const newName = name ? normalizeTagName(name) : null;
+    if (newName && newName !== existingTag.name) {
+      const newSlug = toTagSlug(newName);
+
+      if (newSlug !== existingTag.slug) {
+        const conflictingTag = await prisma.tag.findUnique({ where: { slug: newSlug } });
+        if (conflictingTag) {
+          return res.status(409).json({
+            success: false,
+            message: `Tag "${conflictingTag.name}" already exists - merge into it instead`,
+          });
+        }
+      }
+
+      updateData.name = newName;
+      updateData.slug = newSlug;
+    }
+
+    if (coverFile) {
+      updateData.coverImageUrl = await replaceTagCoverImage(
+        existingTag.coverImageUrl,
+        coverFile.buffer,
+        existingTag.id,
+        coverFile.originalname,
+        coverFile.mimetype
+      );
+    }
+
+    const { updatedTag, blogIds } = await prisma.$transaction(async (tx) => {
+      const savedTag = await tx.tag.update({
+        where: { id: existingTag.id },
+        data: updateData,
+      });
+
+      const changedBlogIds = updateData.name
+        ? await rewriteBlogTags(req, tx, existingTag.name, updateData.name)
+        : [];
+
+      const changes = diffFields(existingTag, savedTag, AUDITED_TAG_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        await recordAudit(req, { action: AUDIT_ACTIONS.TAG_UPDATE, changes }, tx);
+      }
+
+      return { updatedTag: savedTag, blogIds: changedBlogIds };
+    }, { timeout: TAG_REWRITE_TIMEOUT_MS });
+
+    if (updateData.name) {
+      logger.info(`Tag renamed: "${existingTag.name}" -> "${updatedTag.name}" (${blogIds.length} blog(s))`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: await addTagCoverUrl(updatedTag),
+      updatedBlogs: blogIds.length,
+    });
+  } catch (error) {
+    logger.error(`Update tag error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Merge a tag into another
+ * POST /api/tags/:slug/merge
+ * Body: { into: "target-slug" }
+ * Blogs with the tag get the target tag instead; the merged tag is deleted
+ */
+const mergeTag = async (req, res) => {
+  try {
+    const [sourceTag, targetTag] = await Promise.all([
+      prisma.tag.findUnique({ where: { slug: req.params.slug } }),
+      prisma.tag.findUnique({ where: { slug: req.body.into } }),
+    ]);
+
+    if (!sourceTag || !targetTag) {
+      return res.status(404).json({
+        success: false,
+        message: `Tag "${!sourceTag ? req.params.slug : req.body.into}" not found`,
+      });
+    }
+
+    if (sourceTag.id === targetTag.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a tag into itself',
+      });
+    }
+
+    const blogIds = await prisma.$transaction(async (tx) => {
+      const changedBlogIds = await rewriteBlogTags(req, tx, sourceTag.name, targetTag.name);
+
+      await tx.tag.delete({ where: { id: sourceTag.id } });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.TAG_MERGE,
+        changes: { tag: { before: sourceTag.name, after: targetTag.name } },
+      }, tx);
+
+      return changedBlogIds;
+    }, { timeout: TAG_REWRITE_TIMEOUT_MS });
+
+    await deleteTagCover(sourceTag);
+
+    logger.info(`Tag merged: "${sourceTag.name}" -> "${targetTag.name}" (${blogIds.length} blog(s))`);
+
+    res.status(200).json({
+      success: true,
+      message: `Tag "${sourceTag.name}" merged into "${targetTag.name}"`,
+      data: {
+        ...(await addTagCoverUrl(targetTag)),
+        postCount: await countTagPosts(targetTag),
+      },
+      updatedBlogs: blogIds.length,
+    });
+  } catch (error) {
+    logger.error(`Merge tag error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge tags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete a tag
+ * DELETE /api/tags/:slug
+ * The tag is removed from every blog that has it
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await prisma.tag.findUnique({
+      where: { slug: req.params.slug },
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    const blogIds = await prisma.$transaction(async (tx) => {
+      const changedBlogIds = await rewriteBlogTags(req, tx, tag.name, null);
+
+      await tx.tag.delete({ where: { id: tag.id } });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.TAG_DELETE,
+        changes: { tag: { before: tag.name, after: null } },
+      }, tx);
+
+      return changedBlogIds;
+    }, { timeout: TAG_REWRITE_TIMEOUT_MS });
+
+    await deleteTagCover(tag);
+
+    logger.info(`Tag deleted: "${tag.name}" (removed from ${blogIds.length} blog(s))`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      updatedBlogs: blogIds.length,
+    });
+  } catch (error) {
+    logger.error(`Delete tag error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  getTag,
+  getTagBlogs,
+  updateTag,
+  mergeTag,
+  deleteTag,
+};
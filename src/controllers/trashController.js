@@ -0,0 +1,100 @@
+/**
+ * Trash Controller
+ * Lists soft-deleted blogs with who deleted them and when they will be purged
+ */
+
+const prisma = require('../prismaClient');
+const { blogListSelect, addPresignedUrls } = require('../utils/blogResponse');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+const { TRASH_RETENTION_DAYS, getPurgeDate } = require('../services/trashPurger');
+const logger = require('../utils/logger');
+
+/**
+ * Get paginated soft-deleted blogs, most recently deleted first
+ * GET /api/admin/trash?page=1&limit=20
+ */
+const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = { deletedAt: { not: null } };
+
+    const [blogs, total] = await Promise.all([
+      prisma.blog.findMany({
+        where,
+        select: { ...blogListSelect, deletedAt: true },
+        orderBy: { deletedAt: 'desc' },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.blog.count({ where }),
+    ]);
+
+    // The actor comes from the latest delete entry in the audit log
+    const deleteEntries = await prisma.auditLog.findMany({
+      where: {
+        action: AUDIT_ACTIONS.BLOG_DELETE,
+        blogId: { in: blogs.map(blog => blog.id) },
+      },
+      include: {
+        apiKey: {
+          select: {
+            id: true,
+            name: true,
+            prefix: true,
+            user: { select: { id: true, name: true, email: true, role: true } },
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const deletedBy = new Map();
+    for (const entry of deleteEntries) {
+      if (!deletedBy.has(entry.blogId)) {
+        deletedBy.set(entry.blogId, {
+          apiKeyId: entry.apiKeyId,
+          userId: entry.userId,
+          apiKey: entry.apiKey,
+          ip: entry.ip,
+        });
+      }
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    const trashedBlogs = await Promise.all(
+      blogs.map(async (blog) => ({
+        ...(await addPresignedUrls(blog)),
+        deletedBy: deletedBy.get(blog.id) || null,
+        purgeAt: getPurgeDate(blog.deletedAt),
+      }))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: trashedBlogs,
+      retentionDays: TRASH_RETENTION_DAYS > 0 ? TRASH_RETENTION_DAYS : null,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get trash error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+};
@@ -0,0 +1,217 @@
+/**
+ * User Controller
+ * Handles staff accounts (admins, editors, authors)
+ */
+
+const prisma = require('../prismaClient');
+const { issueApiKey } = require('../utils/apiKeys');
+const { ROLES, SCOPE_NAMES } = require('../middleware/authorize');
+const logger = require('../utils/logger');
+
+// Fields returned for users (API keys are listed through /api/admin/keys)
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  authorId: true,
+  disabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Check that a user's role and author link are consistent
+ * Authors must be linked to an author profile that exists
+ * @param {string} role - User role
+ * @param {number|null} authorId - Linked author profile ID
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkAuthorLink = async (role, authorId) => {
+  if (role === ROLES.AUTHOR && !authorId) {
+    return 'Users with the author role must be linked to an author profile (authorId)';
+  }
+  if (authorId && !(await prisma.author.findUnique({ where: { id: authorId } }))) {
+    return `Author ${authorId} does not exist`;
+  }
+  return null;
+};
+
+/**
+ * Get all staff users
+ * GET /api/admin/users
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      select: userSelect,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: users,
+    });
+  } catch (error) {
+    logger.error(`Get users error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a staff user and issue their first API key (all scopes)
+ * POST /api/admin/users
+ * The plain-text key is only returned in this response
+ */
+const createUser = async (req, res) => {
+  try {
+    const { name, email, role } = req.body;
+    const authorId = req.body.authorId ? parseInt(req.body.authorId) : null;
+
+    const linkError = await checkAuthorLink(role, authorId);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    const existing = await prisma.user.findFirst({
+      where: { OR: [{ email }, ...(authorId ? [{ authorId }] : [])] },
+      select: { email: true },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.email === email
+          ? `A user with email ${email} already exists`
+          : `Author ${authorId} is already linked to another user`,
+      });
+    }
+
+    const { user, issued } = await prisma.$transaction(async (tx) => {
+      const createdUser = await tx.user.create({
+        data: { name, email, role, authorId },
+        select: userSelect,
+      });
+      const issuedKey = await issueApiKey({
+        userId: createdUser.id,
+        name: 'default',
+        scopes: SCOPE_NAMES,
+      }, tx);
+      return { user: createdUser, issued: issuedKey };
+    });
+
+    logger.info(`User created: ${user.id} (${user.role}) by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully. Store the API key now - it cannot be retrieved again',
+      data: {
+        ...user,
+        apiKey: issued.apiKey,
+        key: issued.key,
+      },
+    });
+  } catch (error) {
+    logger.error(`Create user error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a staff user
+ * PATCH /api/admin/users/:id
+ * Can change name, role, author link, and disable/enable the account
+ */
+const updateUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { name, role, authorId, disabled } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Admins cannot lock themselves out
+    if (userId === req.user.id && ((role && role !== ROLES.ADMIN) || String(disabled) === 'true')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or disable your own account',
+      });
+    }
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (role) updateData.role = role;
+    if (authorId !== undefined) updateData.authorId = authorId ? parseInt(authorId) : null;
+    if (disabled !== undefined) {
+      updateData.disabledAt = String(disabled) === 'true' ? (existingUser.disabledAt || new Date()) : null;
+    }
+
+    const nextRole = updateData.role || existingUser.role;
+    const nextAuthorId = updateData.authorId !== undefined ? updateData.authorId : existingUser.authorId;
+    const linkError = await checkAuthorLink(nextRole, nextAuthorId);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    if (updateData.authorId) {
+      const linkedUser = await prisma.user.findUnique({
+        where: { authorId: updateData.authorId },
+        select: { id: true },
+      });
+      if (linkedUser && linkedUser.id !== userId) {
+        return res.status(409).json({
+          success: false,
+          message: `Author ${updateData.authorId} is already linked to another user`,
+        });
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: updateData,
+      select: userSelect,
+    });
+
+    logger.info(`User updated: ${userId} by user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: updatedUser,
+    });
+  } catch (error) {
+    logger.error(`Update user error: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  createUser,
+  updateUser,
+};
@@ -1,25 +1,97 @@
 /**
  * API Key Authentication Middleware
- * Protects admin endpoints (create/update/delete) with API key
+ * Protects admin endpoints (create/update/delete) with per-user API keys
  */
 
+const prisma = require('../prismaClient');
+const { hashApiKey, extractApiKey } = require('../utils/apiKeys');
 const logger = require('../utils/logger');
 
+// lastUsedAt is only written when older than this, to avoid a DB write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Look up an API key and the user owning it
+ * Revoked or expired keys and keys of disabled users are rejected
+ * @param {string} rawKey - Plain-text API key from the request
+ * @returns {Promise<Object>} { user, apiKey } identities for req, or { error }
+ */
+const resolveApiKey = async (rawKey) => {
+  const record = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(rawKey) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          authorId: true,
+          disabledAt: true,
+        },
+      },
+    },
+  });
+
+  if (!record || record.revokedAt || record.user.disabledAt) {
+    return { error: 'Forbidden: Invalid API key' };
+  }
+
+  const now = new Date();
+  if (record.expiresAt && record.expiresAt <= now) {
+    return { error: 'Forbidden: API key has expired' };
+  }
+
+  if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    prisma.apiKey.update({
+      where: { id: record.id },
+      data: { lastUsedAt: now },
+    }).catch(err => logger.warn(`Failed to update lastUsedAt for API key ${record.id}: ${err.message}`));
+  }
+
+  const { disabledAt, ...user } = record.user;
+
+  return {
+    user,
+    apiKey: {
+      id: record.id,
+      name: record.name,
+      prefix: record.prefix,
+      scopes: record.scopes,
+      expiresAt: record.expiresAt,
+    },
+  };
+};
+
+/**
+ * Attach an authenticated identity to the request
+ * @param {Object} req - Express request object
+ * @param {Object} identity - { user, apiKey } from resolveApiKey
+ */
+const attachIdentity = (req, { user, apiKey }) => {
+  req.user = user;
+  req.apiKey = apiKey;
+  req.isAuthenticated = true;
+  req.isAdmin = user.role === 'admin';
+};
+
 /**
  * Middleware to require valid API key for admin operations
  * Checks for API key in:
  * 1. X-API-Key header (recommended)
  * 2. Authorization: Bearer <key> header (alternative)
- * 
+ *
+ * On success sets req.user ({ id, name, email, role, authorId }) and
+ * req.apiKey ({ id, name, prefix, scopes, expiresAt })
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const requireApiKey = (req, res, next) => {
+const requireApiKey = async (req, res, next) => {
   try {
     // Extract API key from headers
-    const apiKey = req.headers['x-api-key'] || 
-                   req.headers['authorization']?.replace('Bearer ', '');
+    const apiKey = extractApiKey(req);
 
     // Check if API key is provided
     if (!apiKey) {
@@ -36,37 +108,27 @@ const requireApiKey = (req, res, next) => {
       });
     }
 
-    // Validate API key against environment variable
-    const validApiKey = process.env.ADMIN_API_KEY;
-
-    if (!validApiKey) {
-      logger.error('ADMIN_API_KEY not configured in environment variables');
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error',
-      });
-    }
+    // Validate API key against the api_keys table
+    const identity = await resolveApiKey(apiKey);
 
-    if (apiKey !== validApiKey) {
+    if (identity.error) {
       logger.warn('Invalid API key attempt', {
         path: req.path,
         method: req.method,
         ip: req.ip,
-        providedKey: apiKey.substring(0, 20) + '...', // Log partial key for debugging
+        providedKey: apiKey.substring(0, 12) + '...', // Log partial key for debugging
       });
 
       return res.status(403).json({
         success: false,
-        message: 'Forbidden: Invalid API key',
+        message: identity.error,
       });
     }
 
     // API key is valid - log success and proceed
-    logger.info('API key authenticated successfully', {
-      path: req.path,
-      method: req.method,
-      ip: req.ip,
-    });
+    logger.logAuth('API_KEY', `${identity.user.id} (${identity.user.role}, key ${identity.apiKey.id})`, true);
+
+    attachIdentity(req, identity);
 
     next();
   } catch (error) {
@@ -86,21 +148,30 @@ const requireApiKey = (req, res, next) => {
 /**
  * Optional: Middleware to check if API key is valid but not required
  * Useful for endpoints that want to identify authenticated users but allow public access
+ * (e.g. previewing unpublished blogs)
  */
-const optionalApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || 
-                 req.headers['authorization']?.replace('Bearer ', '');
-
-  if (apiKey && apiKey === process.env.ADMIN_API_KEY) {
-    req.isAuthenticated = true;
-    req.isAdmin = true;
-    logger.info('Optional API key provided and valid', {
-      path: req.path,
-      method: req.method,
-    });
-  } else {
-    req.isAuthenticated = false;
-    req.isAdmin = false;
+const optionalApiKey = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+
+  req.isAuthenticated = false;
+  req.isAdmin = false;
+
+  if (apiKey) {
+    try {
+      const identity = await resolveApiKey(apiKey);
+      if (!identity.error) {
+        attachIdentity(req, identity);
+        logger.info('Optional API key provided and valid', {
+          path: req.path,
+          method: req.method,
+          userId: identity.user.id,
+          apiKeyId: identity.apiKey.id,
+        });
+      }
+    } catch (error) {
+      // Treat lookup failures as anonymous - public routes must keep working
+      logger.error(`Optional API key lookup error: ${error.message}`, { error: error.stack });
+    }
   }
 
   next();
@@ -0,0 +1,163 @@
+/**
+ * Role-Based Authorization Middleware
+ * Maps user roles and API key scopes to permissions; use after requireApiKey
+ */
+
+const logger = require('../utils/logger');
+
+const ROLES = {
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  AUTHOR: 'author',
+};
+
+const ROLE_NAMES = Object.values(ROLES);
+
+const PERMISSIONS = {
+  BLOG_CREATE: 'blog:create',
+  BLOG_UPDATE: 'blog:update', // Authors: own blogs only (checked in the controller)
+  BLOG_DELETE: 'blog:delete',
+  BLOG_PERMANENT_DELETE: 'blog:permanent-delete',
+  AUTHOR_MANAGE: 'author:manage',
+  TAG_MANAGE: 'tag:manage',
+  SERIES_MANAGE: 'series:manage',
+  USER_MANAGE: 'user:manage',
+  SEARCH_ANALYTICS: 'search:analytics',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.EDITOR]: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.BLOG_UPDATE,
+    PERMISSIONS.BLOG_DELETE,
+    PERMISSIONS.AUTHOR_MANAGE,
+    PERMISSIONS.TAG_MANAGE,
+    PERMISSIONS.SERIES_MANAGE,
+    PERMISSIONS.SEARCH_ANALYTICS,
+  ],
+  [ROLES.AUTHOR]: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.BLOG_UPDATE,
+  ],
+};
+
+// API key scopes - a key can only use the permissions of its scopes AND its user's role
+const SCOPES = {
+  READ_DRAFTS: 'read-drafts',
+  WRITE: 'write',
+  DELETE: 'delete',
+  PERMANENT_DELETE: 'permanent-delete',
+};
+
+const SCOPE_NAMES = Object.values(SCOPES);
+
+const PERMISSION_SCOPES = {
+  [PERMISSIONS.BLOG_CREATE]: SCOPES.WRITE,
+  [PERMISSIONS.BLOG_UPDATE]: SCOPES.WRITE,
+  [PERMISSIONS.BLOG_DELETE]: SCOPES.DELETE,
+  [PERMISSIONS.BLOG_PERMANENT_DELETE]: SCOPES.PERMANENT_DELETE,
+  [PERMISSIONS.AUTHOR_MANAGE]: SCOPES.WRITE,
+  [PERMISSIONS.TAG_MANAGE]: SCOPES.WRITE,
+  [PERMISSIONS.SERIES_MANAGE]: SCOPES.WRITE,
+  [PERMISSIONS.USER_MANAGE]: SCOPES.WRITE,
+  // Read-only staff data, so it rides on the read scope
+  [PERMISSIONS.SEARCH_ANALYTICS]: SCOPES.READ_DRAFTS,
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+/**
+ * Check whether an API key carries a scope
+ * @param {Object} apiKey - Authenticated key (req.apiKey)
+ * @param {string} scope - One of SCOPES
+ * @returns {boolean}
+ */
+const hasScope = (apiKey, scope) => {
+  return !!apiKey && apiKey.scopes.includes(scope);
+};
+
+/**
+ * Check whether the requester may see unpublished (draft/scheduled/archived) blogs
+ * @param {Object} req - Express request object (after requireApiKey/optionalApiKey)
+ * @returns {boolean}
+ */
+const canReadDrafts = (req) => {
+  return !!req.isAuthenticated && hasScope(req.apiKey, SCOPES.READ_DRAFTS);
+};
+
+/**
+ * Check whether a user may edit a specific blog
+ * Authors can only edit blogs attributed to their own author profile
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} blog - Blog record
+ * @returns {boolean}
+ */
+const canEditBlog = (user, blog) => {
+  if (!hasPermission(user, PERMISSIONS.BLOG_UPDATE)) return false;
+  if (user.role !== ROLES.AUTHOR) return true;
+  return !!user.authorId && blog.authorId === user.authorId;
+};
+
+/**
+ * Middleware factory requiring a permission
+ * The user's role must grant it and the API key must carry the matching scope
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const scope = PERMISSION_SCOPES[permission];
+
+  if (!hasPermission(req.user, permission)) {
+    logger.warn('Permission denied', {
+      path: req.path,
+      method: req.method,
+      userId: req.user?.id,
+      role: req.user?.role,
+      permission,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: `Forbidden: your role does not allow ${permission}`,
+    });
+  }
+
+  if (!hasScope(req.apiKey, scope)) {
+    logger.warn('API key scope missing', {
+      path: req.path,
+      method: req.method,
+      userId: req.user.id,
+      apiKeyId: req.apiKey?.id,
+      scope,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: `Forbidden: this API key is missing the ${scope} scope`,
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  SCOPES,
+  SCOPE_NAMES,
+  hasPermission,
+  hasScope,
+  canReadDrafts,
+  canEditBlog,
+  requirePermission,
+};
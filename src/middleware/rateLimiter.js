@@ -49,6 +49,42 @@ const publicReadLimiter = rateLimit({
   // It will use req.ip which includes proper IPv6 handling
 });
 
+/**
+ * Rate limiter for search endpoints, on top of publicReadLimiter
+ * Searches run trigram and full-text queries (and spelling corrections when nothing
+ * matches), so bursts are capped per minute
+ * 
+ * Limit: 30 requests per minute per IP
+ * Use case: GET /api/blogs/search, GET /api/blogs/search/suggest
+ */
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: {
+    success: false,
+    message: 'Too many searches from this IP, please try again in a minute',
+    retryAfter: '1 minute',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+
+  handler: (req, res) => {
+    logger.warn('Search rate limit exceeded', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+    });
+
+    res.status(429).json({
+      success: false,
+      message: 'Too many searches from this IP, please try again in a minute',
+      retryAfter: '1 minute',
+    });
+  },
+
+  // Use default key generator (IP-based with proper IPv6 handling)
+});
+
 /**
  * Rate limiter for admin write endpoints
  * Stricter limits for create/update/delete operations
@@ -85,6 +121,41 @@ const adminWriteLimiter = rateLimit({
   // Use default key generator (IP-based with proper IPv6 handling)
 });
 
+/**
+ * Rate limiter for admin read endpoints
+ * Staff dashboards page through listings, so reads get more room than writes
+ * 
+ * Limit: 300 requests per 15 minutes per IP
+ * Use case: GET /api/admin/users, GET /api/admin/audit, GET /api/admin/search/top
+ */
+const adminReadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  message: {
+    success: false,
+    message: 'Too many admin requests, please try again after 15 minutes',
+    retryAfter: '15 minutes',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+
+  handler: (req, res) => {
+    logger.warn('Admin read rate limit exceeded', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+    });
+
+    res.status(429).json({
+      success: false,
+      message: 'Too many admin requests, please try again after 15 minutes',
+      retryAfter: '15 minutes',
+    });
+  },
+
+  // Use default key generator (IP-based with proper IPv6 handling)
+});
+
 /**
  * Stricter rate limiter for delete operations
  * Extra protection for destructive operations
@@ -161,7 +232,9 @@ const logRateLimitInfo = (req, res, next) => {
 
 module.exports = {
   publicReadLimiter,
+  searchLimiter,
   adminWriteLimiter,
+  adminReadLimiter,
   adminDeleteLimiter,
   healthCheckLimiter,
   logRateLimitInfo,
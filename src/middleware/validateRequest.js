@@ -4,6 +4,14 @@
  */
 
 const { body, query, param, validationResult } = require('express-validator');
+const { CONTENT_TYPES, resolveContentType } = require('../utils/contentProcessor');
+const { SLUG_PATTERN, MAX_SLUG_LENGTH } = require('../utils/slug');
+const { BLOG_STATUSES } = require('../utils/blogStatus');
+const { ROLE_NAMES, SCOPE_NAMES } = require('./authorize');
+const { AUDIT_ACTION_NAMES } = require('../utils/audit');
+const { SEARCH_SORTS } = require('../utils/search');
+const { SEARCH_PERIOD_NAMES } = require('../utils/searchLog');
+const { SITEMAP_SECTION_NAMES } = require('../utils/sitemapBuilder');
 
 /**
  * Middleware to check validation results
@@ -35,6 +43,13 @@ const validateCreateBlog = [
     .notEmpty().withMessage('Title is required')
     .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   
+  // Optional - generated from the title when omitted
+  body('slug')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 3, max: MAX_SLUG_LENGTH }).withMessage(`Slug must be between 3 and ${MAX_SLUG_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  
   body('tags')
     .optional({ values: 'falsy' })
     .customSanitizer((value) => {
@@ -100,10 +115,23 @@ const validateCreateBlog = [
       return true; // Allow other cases
     }),
   
+  // Optional manual override - leave empty to use the estimate computed from the content
   body('readTime')
-    .optional()
+    .optional({ values: 'falsy' })
     .isInt({ min: 1 }).withMessage('Read time must be a positive integer'),
   
+  body('status')
+    .optional()
+    .isIn(BLOG_STATUSES).withMessage(`Status must be one of: ${BLOG_STATUSES.join(', ')}`),
+  
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('publishAt must be an ISO 8601 date'),
+  
+  body('authorId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Author ID must be a positive integer'),
+  
   handleValidationErrors,
 ];
 
@@ -119,6 +147,12 @@ const validateUpdateBlog = [
     .trim()
     .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   
+  body('slug')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 3, max: MAX_SLUG_LENGTH }).withMessage(`Slug must be between 3 and ${MAX_SLUG_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  
   body('tags')
     .optional()
     .isArray().withMessage('Tags must be an array')
@@ -134,17 +168,50 @@ const validateUpdateBlog = [
     .trim()
     .isLength({ min: 2, max: 50 }).withMessage('Each tag must be between 2 and 50 characters'),
   
+  // Optional manual override - leave empty to use the estimate computed from the content
   body('readTime')
-    .optional()
+    .optional({ values: 'falsy' })
     .isInt({ min: 1 }).withMessage('Read time must be a positive integer'),
   
-  body('views')
+  body('status')
     .optional()
-    .isInt({ min: 0 }).withMessage('Views must be a non-negative integer'),
+    .isIn(BLOG_STATUSES).withMessage(`Status must be one of: ${BLOG_STATUSES.join(', ')}`),
   
-  body('likes')
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('publishAt must be an ISO 8601 date'),
+  
+  body('authorId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Author ID must be a positive integer'),
+  
+  // SEO overrides - an empty value clears the override
+  body('metaDescription')
     .optional()
-    .isInt({ min: 0 }).withMessage('Likes must be a non-negative integer'),
+    .trim()
+    .isLength({ max: 300 }).withMessage('Meta description must be at most 300 characters'),
+  
+  body('canonicalUrl')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Canonical URL must be an absolute http(s) URL'),
+  
+  body('ogImageUrl')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('OG image URL must be an absolute http(s) URL'),
+  
+  body('noindex')
+    .optional()
+    .isBoolean().withMessage('noindex must be true or false')
+    .toBoolean(true),
+  
+  // Engagement counters are only changed by readers (views, POST/DELETE /like)
+  body('views')
+    .not().exists().withMessage('Views are tracked automatically and cannot be set'),
+  
+  body('likes')
+    .not().exists().withMessage('Likes are recorded by readers and cannot be set'),
   
   handleValidationErrors,
 ];
@@ -159,6 +226,35 @@ const validateBlogId = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for blog slug parameter
+ */
+const validateBlogSlug = [
+  param('slug')
+    .trim()
+    .isLength({ min: 1, max: MAX_SLUG_LENGTH }).withMessage(`Slug must be at most ${MAX_SLUG_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('Invalid slug format'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for blog revision parameters
+ */
+const validateRevisionParams = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Blog ID must be a positive integer'),
+  
+  param('rev')
+    .isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  
+  query('against')
+    .optional()
+    .isInt({ min: 1 }).withMessage('against must be a positive revision number'),
+  
+  handleValidationErrors,
+];
+
 /**
  * Validation rules for blog list query parameters
  */
@@ -191,18 +287,68 @@ const validateBlogListQuery = [
     .trim()
     .isLength({ min: 2, max: 200 }).withMessage('Search query must be between 2 and 200 characters'),
   
+  // Admin only - checked in the controller
+  query('status')
+    .optional()
+    .isIn([...BLOG_STATUSES, 'all']).withMessage(`Status must be one of: ${BLOG_STATUSES.join(', ')}, all`),
+  
   handleValidationErrors,
 ];
 
 /**
  * Validation rules for search query
+ * A query is required unless at least one filter (tags, from, to, minReadTime, maxReadTime) is given
  */
 const validateSearchQuery = [
   query('query')
+    .optional({ values: 'falsy' })
     .trim()
-    .notEmpty().withMessage('Search query is required')
     .isLength({ min: 2, max: 200 }).withMessage('Search query must be between 2 and 200 characters'),
   
+  query('tags')
+    .optional()
+    .custom((value) => {
+      // Tags can be a comma-separated string or array
+      if (typeof value === 'string' || Array.isArray(value)) {
+        return true;
+      }
+      throw new Error('Tags must be a string or array');
+    }),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    }),
+  
+  query('minReadTime')
+    .optional()
+    .isInt({ min: 1 }).withMessage('minReadTime must be a positive integer')
+    .toInt(),
+  
+  query('maxReadTime')
+    .optional()
+    .isInt({ min: 1 }).withMessage('maxReadTime must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => {
+      if (req.query.minReadTime && value < parseInt(req.query.minReadTime)) {
+        throw new Error('maxReadTime must not be less than minReadTime');
+      }
+      return true;
+    }),
+  
+  query('sort')
+    .optional()
+    .isIn(SEARCH_SORTS).withMessage(`Sort must be one of: ${SEARCH_SORTS.join(', ')}`),
+  
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
@@ -213,83 +359,657 @@ const validateSearchQuery = [
     .isInt({ min: 1 }).withMessage('Page must be a positive integer')
     .toInt(),
   
+  // Runs even when the query is absent, unlike the optional chain above
+  query('query')
+    .custom((value, { req }) => {
+      const { tags, from, to, minReadTime, maxReadTime } = req.query;
+      if (!value && !tags && !from && !to && !minReadTime && !maxReadTime) {
+        throw new Error('Search query is required unless a filter is given');
+      }
+      return true;
+    }),
+  
   handleValidationErrors,
 ];
 
 /**
- * Validate file uploads
+ * Validation rules for search suggestions (autocomplete)
  */
-const validateFileUpload = (req, res, next) => {
-  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '10485760', 10); // 10MB default
+const validateSuggestQuery = [
+  query('q')
+    .trim()
+    .notEmpty().withMessage('q is required')
+    .isLength({ max: 100 }).withMessage('q must be at most 100 characters'),
   
-  // Check if content file is provided
-  if (!req.files || !req.files.content) {
-    return res.status(400).json({
-      success: false,
-      message: 'Content file is required',
-    });
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for plain pagination query parameters
+ */
+const validatePaginationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate author social links
+ * Accepts an object or JSON string mapping network names to http(s) URLs
+ */
+const socialLinksValidator = (value) => {
+  let links = value;
+  if (typeof value === 'string') {
+    try {
+      links = JSON.parse(value);
+    } catch (e) {
+      throw new Error('Social links must be a JSON object');
+    }
   }
 
-  const contentFile = req.files.content[0];
-  const coverFile = req.files.cover ? req.files.cover[0] : null;
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    throw new Error('Social links must be a JSON object');
+  }
 
-  // Validate content file (Word documents only)
-  const allowedContentTypes = (process.env.ALLOWED_CONTENT_TYPES || 'application/vnd.openxmlformats-officedocument.wordprocessingml.document').split(',');
-  
-  // Additional validation for Word files
-  if (!allowedContentTypes.includes(contentFile.mimetype)) {
-    return res.status(400).json({
-      success: false,
-      message: `Content file must be a Word document (.docx). Received: ${contentFile.mimetype}`,
-      allowedTypes: allowedContentTypes,
-    });
+  const entries = Object.entries(links);
+  if (entries.length > 10) {
+    throw new Error('Cannot have more than 10 social links');
   }
 
-  // Validate file extension as additional security
-  const fileName = contentFile.originalname || '';
-  const fileExtension = fileName.split('.').pop()?.toLowerCase();
+  entries.forEach(([network, url]) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      throw new Error(`Social link for ${network} must be a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error(`Social link for ${network} must use http or https`);
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Validation rules for creating an author
+ */
+const validateCreateAuthor = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   
-  if (fileExtension !== 'docx') {
-    return res.status(400).json({
-      success: false,
-      message: `File must have .docx extension. Received: .${fileExtension}`,
-    });
-  }
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Bio must be at most 2000 characters'),
+  
+  body('socialLinks')
+    .optional({ values: 'falsy' })
+    .custom(socialLinksValidator),
+  
+  handleValidationErrors,
+];
 
-  if (contentFile.size > maxFileSize) {
-    return res.status(400).json({
-      success: false,
-      message: `Content file size must not exceed ${maxFileSize / 1024 / 1024}MB`,
-    });
+/**
+ * Validation rules for updating an author
+ */
+const validateUpdateAuthor = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Author ID must be a positive integer'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Bio must be at most 2000 characters'),
+  
+  body('socialLinks')
+    .optional({ values: 'falsy' })
+    .custom(socialLinksValidator),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for author ID parameter
+ */
+const validateAuthorId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Author ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+// Tag slugs are lowercase; non-latin tags keep their letters (see utils/tags)
+const tagSlugParam = () => param('slug')
+  .trim()
+  .toLowerCase()
+  .isLength({ min: 1, max: 100 }).withMessage('Tag slug must be between 1 and 100 characters');
+
+/**
+ * Validation rules for tag slug parameter
+ */
+const validateTagSlug = [
+  tagSlugParam(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating (renaming) a tag
+ */
+const validateUpdateTag = [
+  tagSlugParam(),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for merging a tag into another
+ */
+const validateMergeTag = [
+  tagSlugParam(),
+  
+  body('into')
+    .trim()
+    .toLowerCase()
+    .notEmpty().withMessage('into (target tag slug) is required'),
+  
+  handleValidationErrors,
+];
+
+// Ordered blog IDs of a series (parts 1, 2, 3...)
+const seriesBlogIdsBody = () => body('blogIds')
+  .isArray({ max: 100 }).withMessage('blogIds must be an array of at most 100 blog IDs')
+  .custom((blogIds) => {
+    if (!blogIds.every(id => Number.isInteger(Number(id)) && Number(id) >= 1)) {
+      throw new Error('Each blog ID must be a positive integer');
+    }
+    if (new Set(blogIds.map(Number)).size !== blogIds.length) {
+      throw new Error('A blog can only appear once in a series');
+    }
+    return true;
+  })
+  .customSanitizer(blogIds => blogIds.map(Number));
+
+/**
+ * Validation rules for series ID parameter
+ */
+const validateSeriesId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Series ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for creating a series
+ */
+const validateCreateSeries = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  
+  seriesBlogIdsBody().optional(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a series
+ */
+const validateUpdateSeries = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Series ID must be a positive integer'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for setting (reordering) the posts of a series
+ */
+const validateSeriesPosts = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Series ID must be a positive integer'),
+  
+  seriesBlogIdsBody(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for creating a staff user
+ */
+const validateCreateUser = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  
+  body('email')
+    .trim()
+    .isEmail().withMessage('A valid email is required')
+    .normalizeEmail(),
+  
+  body('role')
+    .isIn(ROLE_NAMES).withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+  
+  body('authorId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Author ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a staff user
+ */
+const validateUpdateUser = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  
+  body('role')
+    .optional()
+    .isIn(ROLE_NAMES).withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+  
+  body('authorId')
+    .optional({ values: 'null' })
+    .custom((value) => value === '' || (Number.isInteger(Number(value)) && Number(value) > 0))
+    .withMessage('Author ID must be a positive integer or empty to unlink'),
+  
+  body('disabled')
+    .optional()
+    .isBoolean().withMessage('Disabled must be a boolean'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for creating an API key
+ */
+const validateCreateApiKey = [
+  body('userId')
+    .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  
+  body('scopes.*')
+    .isIn(SCOPE_NAMES).withMessage(`Scopes must be any of: ${SCOPE_NAMES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom((value) => new Date(value) > new Date()).withMessage('expiresAt must be in the future'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for rotating an API key
+ */
+const validateRotateApiKey = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('API key ID must be a positive integer'),
+  
+  body('graceHours')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 168 }).withMessage('graceHours must be between 0 and 168'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for API key ID parameter
+ */
+const validateApiKeyId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('API key ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for listing API keys
+ */
+const validateApiKeyListQuery = [
+  query('userId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  
+  query('includeRevoked')
+    .optional()
+    .isBoolean().withMessage('includeRevoked must be true or false'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for audit log query parameters
+ */
+const validateAuditQuery = [
+  query('blogId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Blog ID must be a positive integer'),
+  
+  query('apiKeyId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('API key ID must be a positive integer'),
+  
+  query('userId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTION_NAMES).withMessage(`Action must be one of: ${AUDIT_ACTION_NAMES.join(', ')}`),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for search analytics query parameters
+ */
+const validateSearchAnalyticsQuery = [
+  query('period')
+    .optional()
+    .isIn(SEARCH_PERIOD_NAMES).withMessage(`Period must be one of: ${SEARCH_PERIOD_NAMES.join(', ')}`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for syndication feeds (site-wide and per tag)
+ */
+const validateFeedQuery = [
+  param('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('Tag must be between 2 and 50 characters'),
+  
+  query('content')
+    .optional()
+    .isIn(['excerpt', 'full']).withMessage('Content must be one of: excerpt, full'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the files of a split sitemap
+ */
+const validateSitemapPage = [
+  param('section')
+    .isIn(SITEMAP_SECTION_NAMES).withMessage(`Section must be one of: ${SITEMAP_SECTION_NAMES.join(', ')}`),
+  
+  param('page')
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+// Content MIME types that are always accepted - ALLOWED_CONTENT_TYPES adds to these
+const DEFAULT_CONTENT_MIME_TYPES = [
+  CONTENT_TYPES.DOCX,
+  'text/markdown',
+  'text/x-markdown',
+];
+
+// Many clients send .md files with a generic MIME type - these are accepted for Markdown
+// extensions only (the extension decides how the file is rendered)
+const GENERIC_MARKDOWN_MIME_TYPES = ['text/plain', 'application/octet-stream'];
+
+/**
+ * Check uploaded content/cover files against allowed types and size limits
+ * Shared by create (content required) and update (all files optional)
+ * @param {Object} files - req.files populated by multer
+ * @returns {Object|null} Error response body, or null if the files are valid
+ */
+const checkUploadedFiles = (files) => {
+  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '10485760', 10); // 10MB default
+
+  const contentFile = files && files.content ? files.content[0] : null;
+  const coverFile = files && files.cover ? files.cover[0] : null;
+
+  if (contentFile) {
+    // Validate content file (Word documents or Markdown)
+    const allowedContentTypes = [...new Set([
+      ...DEFAULT_CONTENT_MIME_TYPES,
+      ...(process.env.ALLOWED_CONTENT_TYPES || '').split(',').map(type => type.trim()).filter(Boolean),
+    ])];
+    const isGenericMarkdown = GENERIC_MARKDOWN_MIME_TYPES.includes(contentFile.mimetype)
+      && resolveContentType(contentFile.originalname) === CONTENT_TYPES.MARKDOWN;
+
+    if (!allowedContentTypes.includes(contentFile.mimetype) && !isGenericMarkdown) {
+      return {
+        success: false,
+        message: `Content file must be a Word document (.docx) or Markdown file (.md). Received: ${contentFile.mimetype}`,
+        allowedTypes: allowedContentTypes,
+      };
+    }
+
+    // Validate file extension as additional security - it also decides how the file is rendered
+    if (!resolveContentType(contentFile.originalname)) {
+      const fileExtension = (contentFile.originalname || '').split('.').pop()?.toLowerCase();
+      return {
+        success: false,
+        message: `File must have .docx or .md extension. Received: .${fileExtension}`,
+      };
+    }
+
+    if (contentFile.size > maxFileSize) {
+      return {
+        success: false,
+        message: `Content file size must not exceed ${maxFileSize / 1024 / 1024}MB`,
+      };
+    }
   }
 
   // Validate cover image if provided
   if (coverFile) {
     const allowedImageTypes = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp').split(',');
     if (!allowedImageTypes.includes(coverFile.mimetype)) {
-      return res.status(400).json({
+      return {
         success: false,
         message: `Cover image must be one of: ${allowedImageTypes.join(', ')}`,
-      });
+      };
     }
 
     if (coverFile.size > maxFileSize) {
-      return res.status(400).json({
+      return {
         success: false,
         message: `Cover image size must not exceed ${maxFileSize / 1024 / 1024}MB`,
-      });
+      };
     }
   }
 
+  return null;
+};
+
+/**
+ * Validate file uploads
+ */
+const validateFileUpload = (req, res, next) => {
+  // Check if content file is provided
+  if (!req.files || !req.files.content) {
+    return res.status(400).json({
+      success: false,
+      message: 'Content file is required',
+    });
+  }
+
+  const fileError = checkUploadedFiles(req.files);
+  if (fileError) {
+    return res.status(400).json(fileError);
+  }
+
+  next();
+};
+
+/**
+ * Validate file uploads on update (content and cover are both optional)
+ */
+const validateOptionalFileUpload = (req, res, next) => {
+  const fileError = checkUploadedFiles(req.files);
+  if (fileError) {
+    return res.status(400).json(fileError);
+  }
+
   next();
 };
 
+/**
+ * Build a validator for an optional single image upload (req.file)
+ * @param {string} label - Name used in error messages, e.g. "Avatar image"
+ * @returns {Function} Express middleware
+ */
+const validateSingleImageUpload = (label) => (req, res, next) => {
+  const imageFile = req.file;
+  if (!imageFile) {
+    return next();
+  }
+
+  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '10485760', 10); // 10MB default
+  const allowedImageTypes = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp').split(',');
+
+  if (!allowedImageTypes.includes(imageFile.mimetype)) {
+    return res.status(400).json({
+      success: false,
+      message: `${label} must be one of: ${allowedImageTypes.join(', ')}`,
+    });
+  }
+
+  if (imageFile.size > maxFileSize) {
+    return res.status(400).json({
+      success: false,
+      message: `${label} size must not exceed ${maxFileSize / 1024 / 1024}MB`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate optional author avatar upload (single file in req.file)
+ */
+const validateAvatarUpload = validateSingleImageUpload('Avatar image');
+
+/**
+ * Validate optional tag cover image upload (single file in req.file)
+ */
+const validateTagCoverUpload = validateSingleImageUpload('Cover image');
+
 module.exports = {
   validateCreateBlog,
   validateUpdateBlog,
   validateBlogId,
+  validateBlogSlug,
+  validateRevisionParams,
   validateBlogListQuery,
   validateSearchQuery,
+  validateSuggestQuery,
   validateFileUpload,
+  validateOptionalFileUpload,
+  validatePaginationQuery,
+  validateCreateAuthor,
+  validateUpdateAuthor,
+  validateAuthorId,
+  validateAvatarUpload,
+  validateTagSlug,
+  validateUpdateTag,
+  validateMergeTag,
+  validateTagCoverUpload,
+  validateSeriesId,
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateSeriesPosts,
+  validateCreateUser,
+  validateUpdateUser,
+  validateCreateApiKey,
+  validateRotateApiKey,
+  validateApiKeyId,
+  validateApiKeyListQuery,
+  validateAuditQuery,
+  validateSearchAnalyticsQuery,
+  validateFeedQuery,
+  validateSitemapPage,
   handleValidationErrors,
 };
@@ -12,6 +12,10 @@ const prismaClientSingleton = () => {
       ? ['query', 'error', 'warn'] 
       : ['error'],
     errorFormat: 'minimal',
+    // Search-only column - request it explicitly with omit: { bodyText: false }
+    omit: {
+      blog: { bodyText: true },
+    },
   });
 };
 
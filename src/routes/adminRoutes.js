@@ -0,0 +1,147 @@
+/**
+ * Admin Routes
+ * Defines API endpoints for staff accounts, API keys, the audit log, the trash and search analytics
+ */
+
+const express = require('express');
+const {
+  getUsers,
+  createUser,
+  updateUser,
+} = require('../controllers/userController');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+} = require('../controllers/apiKeyController');
+const { getAuditLog } = require('../controllers/auditController');
+const { getTrash } = require('../controllers/trashController');
+const {
+  getTopSearches,
+  getZeroResultSearches,
+} = require('../controllers/searchAnalyticsController');
+const {
+  validateCreateUser,
+  validateUpdateUser,
+  validateCreateApiKey,
+  validateRotateApiKey,
+  validateApiKeyId,
+  validateApiKeyListQuery,
+  validateAuditQuery,
+  validatePaginationQuery,
+  validateSearchAnalyticsQuery,
+} = require('../middleware/validateRequest');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/authorize');
+const { adminWriteLimiter, adminReadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Search analytics are open to editors too, so they are registered before the admin-only guard
+const searchAnalyticsAccess = [adminReadLimiter, requireApiKey, requirePermission(PERMISSIONS.SEARCH_ANALYTICS)];
+
+/**
+ * @route   GET /api/admin/search/top
+ * @desc    Most frequent reader searches in a period (searches, unique clients, average results)
+ * @query   period (day, week, month, quarter - default: week), limit (default: 20, max: 100)
+ * @access  Protected - Requires admin or editor API key with the read-drafts scope
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/search/top', searchAnalyticsAccess, validateSearchAnalyticsQuery, getTopSearches);
+
+/**
+ * @route   GET /api/admin/search/zero-results
+ * @desc    Searches that never returned results in a period (unmet demand)
+ * @query   period (day, week, month, quarter - default: week), limit (default: 20, max: 100)
+ * @access  Protected - Requires admin or editor API key with the read-drafts scope
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/search/zero-results', searchAnalyticsAccess, validateSearchAnalyticsQuery, getZeroResultSearches);
+
+// Every other admin route requires an admin API key with the write scope
+const adminAccess = [requireApiKey, requirePermission(PERMISSIONS.USER_MANAGE)];
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List staff users (API keys are never returned)
+ * @access  Protected - Requires admin API key
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/users', adminReadLimiter, adminAccess, getUsers);
+
+/**
+ * @route   POST /api/admin/users
+ * @desc    Create a staff user and issue their first API key (all scopes, shown once)
+ * @body    name, email, role (admin, editor, author), authorId (required for authors)
+ * @access  Protected - Requires admin API key
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post('/users', adminWriteLimiter, adminAccess, validateCreateUser, createUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id
+ * @desc    Update a staff user's name, role, author link or disabled state
+ * @param   id
+ * @body    name, role, authorId (empty to unlink), disabled (true/false)
+ * @access  Protected - Requires admin API key
+ * @rateLimit 50 requests per hour per API key
+ */
+router.patch('/users/:id', adminWriteLimiter, adminAccess, validateUpdateUser, updateUser);
+
+/**
+ * @route   GET /api/admin/keys
+ * @desc    List API keys (hashes are never returned)
+ * @query   userId, includeRevoked
+ * @access  Protected - Requires admin API key
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/keys', adminReadLimiter, adminAccess, validateApiKeyListQuery, getApiKeys);
+
+/**
+ * @route   POST /api/admin/keys
+ * @desc    Create an API key for a user (shown once)
+ * @body    userId, name, scopes (read-drafts, write, delete, permanent-delete), expiresAt
+ * @access  Protected - Requires admin API key
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post('/keys', adminWriteLimiter, adminAccess, validateCreateApiKey, createApiKey);
+
+/**
+ * @route   POST /api/admin/keys/:id/rotate
+ * @desc    Replace an API key with a new one (same name, scopes and expiry)
+ * @param   id
+ * @body    graceHours (optional, 0-168) - how long the old key keeps working
+ * @access  Protected - Requires admin API key
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post('/keys/:id/rotate', adminWriteLimiter, adminAccess, validateRotateApiKey, rotateApiKey);
+
+/**
+ * @route   DELETE /api/admin/keys/:id
+ * @desc    Revoke an API key immediately
+ * @param   id
+ * @access  Protected - Requires admin API key
+ * @rateLimit 50 requests per hour per API key
+ */
+router.delete('/keys/:id', adminWriteLimiter, adminAccess, validateApiKeyId, revokeApiKey);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Audit log of blog mutations (actor, action, changed fields, IP), newest first
+ * @query   blogId, apiKeyId (actor), userId, action, from, to (ISO 8601), page, limit
+ * @access  Protected - Requires admin API key
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/audit', adminReadLimiter, adminAccess, validateAuditQuery, getAuditLog);
+
+/**
+ * @route   GET /api/admin/trash
+ * @desc    Soft-deleted blogs with deletion time, actor and scheduled purge time
+ * @query   page, limit
+ * @access  Protected - Requires admin API key
+ * @rateLimit 300 requests per 15 minutes per IP
+ */
+router.get('/trash', adminReadLimiter, adminAccess, validatePaginationQuery, getTrash);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+/**
+ * Author Routes
+ * Defines API endpoints for author profiles and author pages
+ */
+
+const express = require('express');
+const multer = require('multer');
+const {
+  getAuthors,
+  getAuthorById,
+  getAuthorBlogs,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor,
+} = require('../controllers/authorController');
+const {
+  validatePaginationQuery,
+  validateCreateAuthor,
+  validateUpdateAuthor,
+  validateAuthorId,
+  validateAvatarUpload,
+} = require('../middleware/validateRequest');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/authorize');
+const {
+  publicReadLimiter,
+  adminWriteLimiter,
+  adminDeleteLimiter,
+} = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Configure multer for avatar uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10), // 10MB default
+  },
+});
+
+/**
+ * @route   GET /api/authors
+ * @desc    Get paginated list of authors with published blog counts
+ * @query   page, limit
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/', publicReadLimiter, validatePaginationQuery, getAuthors);
+
+/**
+ * @route   GET /api/authors/:id
+ * @desc    Get single author profile
+ * @param   id
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id', publicReadLimiter, validateAuthorId, getAuthorById);
+
+/**
+ * @route   GET /api/authors/:id/blogs
+ * @desc    Get paginated published blogs by an author
+ * @param   id
+ * @query   page, limit
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id/blogs', publicReadLimiter, validateAuthorId, validatePaginationQuery, getAuthorBlogs);
+
+/**
+ * @route   POST /api/authors
+ * @desc    Create a new author
+ * @body    name, bio, socialLinks (JSON object)
+ * @files   avatar (optional)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post(
+  '/',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  upload.single('avatar'),
+  validateAvatarUpload,
+  validateCreateAuthor,
+  createAuthor
+);
+
+/**
+ * @route   PUT /api/authors/:id
+ * @desc    Update author profile and optionally replace avatar
+ * @param   id
+ * @body    name, bio, socialLinks (JSON object)
+ * @files   avatar (optional)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.put(
+  '/:id',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  upload.single('avatar'),
+  validateAvatarUpload,
+  validateUpdateAuthor,
+  updateAuthor
+);
+
+/**
+ * @route   DELETE /api/authors/:id
+ * @desc    Delete an author (their blogs become unattributed)
+ * @param   id
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 20 requests per hour per API key
+ */
+router.delete(
+  '/:id',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  validateAuthorId,
+  deleteAuthor
+);
+
+module.exports = router;
@@ -8,26 +8,49 @@ const multer = require('multer');
 const {
   getBlogs,
   getBlogById,
+  getBlogBySlug,
   createBlog,
   updateBlog,
   deleteBlog,
+  restoreBlog,
   permanentDeleteBlog,
   searchBlogsController,
+  suggestSearchController,
   getBlogContent,
   getLatestBlogs,
   getPopularBlogs,
+  getTrendingBlogs,
+  getRelatedBlogs,
+  getBlogMeta,
 } = require('../controllers/blogController');
+const {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+} = require('../controllers/revisionController');
+const {
+  getLikeStatus,
+  likeBlog,
+  unlikeBlog,
+} = require('../controllers/likeController');
 const {
   validateCreateBlog,
   validateUpdateBlog,
   validateBlogId,
+  validateBlogSlug,
+  validateRevisionParams,
   validateBlogListQuery,
   validateSearchQuery,
+  validateSuggestQuery,
   validateFileUpload,
+  validateOptionalFileUpload,
 } = require('../middleware/validateRequest');
-const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { requireApiKey, optionalApiKey } = require('../middleware/apiKeyAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/authorize');
 const {
   publicReadLimiter,
+  searchLimiter,
   adminWriteLimiter,
   adminDeleteLimiter,
 } = require('../middleware/rateLimiter');
@@ -44,12 +67,12 @@ const upload = multer({
 
 /**
  * @route   GET /api/blogs
- * @desc    Get paginated list of blogs with optional filters
- * @query   page, limit, tags, search
- * @access  Public
+ * @desc    Get paginated list of published blogs with optional filters
+ * @query   page, limit, tags, search, status (admin only: draft, scheduled, published, archived, all)
+ * @access  Public (staff API key required for status filter)
  * @rateLimit 100 requests per 15 minutes per IP
  */
-router.get('/', publicReadLimiter, validateBlogListQuery, getBlogs);
+router.get('/', publicReadLimiter, optionalApiKey, validateBlogListQuery, getBlogs);
 
 /**
  * @route   GET /api/blogs/feed/latest
@@ -69,45 +92,186 @@ router.get('/feed/latest', publicReadLimiter, getLatestBlogs);
  */
 router.get('/feed/popular', publicReadLimiter, getPopularBlogs);
 
+/**
+ * @route   GET /api/blogs/feed/trending
+ * @desc    Get trending blogs ranked by time-decayed views and likes in a recent window
+ * @query   window (optional: 24h, 7d, 30d - default: 7d), limit (optional, default: 5, max: 50)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/feed/trending', publicReadLimiter, getTrendingBlogs);
+
 /**
  * @route   GET /api/blogs/search
- * @desc    Full-text search across blogs (title, tags)
- * @query   query, page, limit
+ * @desc    Full-text search across blogs (title, tags, body) with optional filters
+ * @query   query (required unless a filter is given; supports "phrases", -exclusions, OR, tag:x, title:x),
+ *          tags, from, to (ISO 8601 publish dates),
+ *          minReadTime, maxReadTime, sort (relevance, newest, popular), page, limit
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes and 30 per minute per IP
+ */
+router.get('/search', publicReadLimiter, searchLimiter, validateSearchQuery, searchBlogsController);
+
+/**
+ * @route   GET /api/blogs/search/suggest
+ * @desc    Title and tag completions for a partial query (prefix and typo-tolerant matches)
+ * @query   q, limit (optional, default: 5, max: 10)
  * @access  Public
+ * @rateLimit 100 requests per 15 minutes and 30 per minute per IP
+ */
+router.get('/search/suggest', publicReadLimiter, searchLimiter, validateSuggestQuery, suggestSearchController);
+
+/**
+ * @route   GET /api/blogs/slug/:slug
+ * @desc    Get single blog by slug (old slugs respond 301 with the current location)
+ * @param   slug
+ * @access  Public (API key allows previewing unpublished blogs)
  * @rateLimit 100 requests per 15 minutes per IP
  */
-router.get('/search', publicReadLimiter, validateSearchQuery, searchBlogsController);
+router.get('/slug/:slug', publicReadLimiter, optionalApiKey, validateBlogSlug, getBlogBySlug);
 
 /**
  * @route   GET /api/blogs/:id
  * @desc    Get single blog by ID
  * @param   id
- * @access  Public
+ * @access  Public (API key allows previewing unpublished blogs)
  * @rateLimit 100 requests per 15 minutes per IP
  */
-router.get('/:id', publicReadLimiter, validateBlogId, getBlogById);
+router.get('/:id', publicReadLimiter, optionalApiKey, validateBlogId, getBlogById);
 
 /**
  * @route   GET /api/blogs/:id/content
  * @desc    Get blog with full HTML content from S3
  * @param   id
- * @access  Public
+ * @access  Public (API key allows previewing unpublished blogs)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id/content', publicReadLimiter, optionalApiKey, validateBlogId, getBlogContent);
+
+/**
+ * @route   GET /api/blogs/:id/related
+ * @desc    Get published blogs related by shared tags and full-text similarity ("read next")
+ * @param   id
+ * @query   limit (optional, default: 5, max: 20)
+ * @access  Public (API key allows related posts for unpublished blogs)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id/related', publicReadLimiter, optionalApiKey, validateBlogId, getRelatedBlogs);
+
+/**
+ * @route   GET /api/blogs/:id/meta
+ * @desc    Get SEO metadata: Open Graph, Twitter Card and schema.org BlogPosting JSON-LD
+ * @param   id
+ * @access  Public (API key allows metadata of unpublished blogs)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id/meta', publicReadLimiter, optionalApiKey, validateBlogId, getBlogMeta);
+
+/**
+ * @route   GET /api/blogs/:id/like
+ * @desc    Get like count and whether this visitor liked the blog
+ * @param   id
+ * @access  Public (visitor identified by X-Visitor-Id header or bm_vid cookie)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id/like', publicReadLimiter, validateBlogId, getLikeStatus);
+
+/**
+ * @route   POST /api/blogs/:id/like
+ * @desc    Like a published blog (once per visitor)
+ * @param   id
+ * @access  Public (visitor identified by X-Visitor-Id header or bm_vid cookie)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.post('/:id/like', publicReadLimiter, validateBlogId, likeBlog);
+
+/**
+ * @route   DELETE /api/blogs/:id/like
+ * @desc    Remove this visitor's like
+ * @param   id
+ * @access  Public (visitor identified by X-Visitor-Id header or bm_vid cookie)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.delete('/:id/like', publicReadLimiter, validateBlogId, unlikeBlog);
+
+/**
+ * @route   GET /api/blogs/:id/revisions
+ * @desc    List numbered revisions of a blog, newest first
+ * @param   id
+ * @access  Protected - Requires valid API key (admin, editor, author - own blogs only)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get(
+  '/:id/revisions',
+  publicReadLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_UPDATE),
+  validateBlogId,
+  getRevisions
+);
+
+/**
+ * @route   GET /api/blogs/:id/revisions/:rev
+ * @desc    Get a revision with its metadata snapshot and HTML content
+ * @param   id, rev
+ * @access  Protected - Requires valid API key (admin, editor, author - own blogs only)
  * @rateLimit 100 requests per 15 minutes per IP
  */
-router.get('/:id/content', publicReadLimiter, validateBlogId, getBlogContent);
+router.get(
+  '/:id/revisions/:rev',
+  publicReadLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_UPDATE),
+  validateRevisionParams,
+  getRevision
+);
+
+/**
+ * @route   GET /api/blogs/:id/revisions/:rev/diff
+ * @desc    Diff a revision's HTML and metadata against another revision
+ * @param   id, rev
+ * @query   against (optional, default: previous revision)
+ * @access  Protected - Requires valid API key (admin, editor, author - own blogs only)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get(
+  '/:id/revisions/:rev/diff',
+  publicReadLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_UPDATE),
+  validateRevisionParams,
+  getRevisionDiff
+);
+
+/**
+ * @route   POST /api/blogs/:id/revisions/:rev/restore
+ * @desc    Roll back content, title, tags and read time to a revision (saved as a new revision)
+ * @param   id, rev
+ * @access  Protected - Requires valid API key (admin, editor, author - own blogs only)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post(
+  '/:id/revisions/:rev/restore',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_UPDATE),
+  validateRevisionParams,
+  restoreRevision
+);
 
 /**
  * @route   POST /api/blogs
  * @desc    Create a new blog
- * @body    title, tags, readTime
- * @files   content (required), cover (optional)
- * @access  Protected - Requires valid API key
+ * @body    title, slug, tags, readTime, status, publishAt, authorId
+ * @files   content (required, .docx or .md), cover (optional)
+ * @access  Protected - Requires valid API key (admin, editor, author - authors write as themselves)
  * @rateLimit 50 requests per hour per API key
  */
 router.post(
   '/',
   adminWriteLimiter,
   requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_CREATE),
   upload.fields([
     { name: 'content', maxCount: 1 },
     { name: 'cover', maxCount: 1 },
@@ -121,19 +285,22 @@ router.post(
  * @route   PUT /api/blogs/:id
  * @desc    Update blog metadata and optionally replace files
  * @param   id
- * @body    title, tags, readTime, views, likes
- * @files   content (optional), cover (optional)
- * @access  Protected - Requires valid API key
+ * @body    title, slug, tags, readTime, status, publishAt, authorId,
+ *          metaDescription, canonicalUrl, ogImageUrl, noindex
+ * @files   content (optional, .docx or .md), cover (optional)
+ * @access  Protected - Requires valid API key (admin, editor, author - own blogs only)
  * @rateLimit 50 requests per hour per API key
  */
 router.put(
   '/:id',
   adminWriteLimiter,
   requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_UPDATE),
   upload.fields([
     { name: 'content', maxCount: 1 },
     { name: 'cover', maxCount: 1 },
   ]),
+  validateOptionalFileUpload,
   validateUpdateBlog,
   updateBlog
 );
@@ -142,18 +309,48 @@ router.put(
  * @route   DELETE /api/blogs/:id
  * @desc    Soft delete a blog (sets deletedAt)
  * @param   id
- * @access  Protected - Requires valid API key
+ * @access  Protected - Requires valid API key (admin, editor)
  * @rateLimit 20 requests per hour per API key
  */
-router.delete('/:id', adminDeleteLimiter, requireApiKey, validateBlogId, deleteBlog);
+router.delete(
+  '/:id',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_DELETE),
+  validateBlogId,
+  deleteBlog
+);
+
+/**
+ * @route   POST /api/blogs/:id/restore
+ * @desc    Restore a soft-deleted blog from the trash (clears deletedAt)
+ * @param   id
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 20 requests per hour per API key
+ */
+router.post(
+  '/:id/restore',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_DELETE),
+  validateBlogId,
+  restoreBlog
+);
 
 /**
  * @route   DELETE /api/blogs/:id/permanent
  * @desc    Permanently delete blog from DB and S3
  * @param   id
- * @access  Protected - Requires valid API key
+ * @access  Protected - Requires valid API key (admin)
  * @rateLimit 20 requests per hour per API key
  */
-router.delete('/:id/permanent', adminDeleteLimiter, requireApiKey, validateBlogId, permanentDeleteBlog);
+router.delete(
+  '/:id/permanent',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.BLOG_PERMANENT_DELETE),
+  validateBlogId,
+  permanentDeleteBlog
+);
 
 module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Feed Routes
+ * RSS, Atom and JSON Feed endpoints, mounted at the site root so feed URLs stay short
+ */
+
+const express = require('express');
+const {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed,
+} = require('../controllers/feedController');
+const { validateFeedQuery } = require('../middleware/validateRequest');
+const { publicReadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /feed.xml
+ * @desc    RSS 2.0 feed of the latest published blogs
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/feed.xml', publicReadLimiter, validateFeedQuery, getRssFeed);
+
+/**
+ * @route   GET /atom.xml
+ * @desc    Atom 1.0 feed of the latest published blogs
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/atom.xml', publicReadLimiter, validateFeedQuery, getAtomFeed);
+
+/**
+ * @route   GET /feed.json
+ * @desc    JSON Feed 1.1 of the latest published blogs
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/feed.json', publicReadLimiter, validateFeedQuery, getJsonFeed);
+
+/**
+ * @route   GET /tags/:tag/feed.xml
+ * @desc    RSS 2.0 feed of the latest published blogs with a tag
+ * @param   tag
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/tags/:tag/feed.xml', publicReadLimiter, validateFeedQuery, getRssFeed);
+
+/**
+ * @route   GET /tags/:tag/atom.xml
+ * @desc    Atom 1.0 feed of the latest published blogs with a tag
+ * @param   tag
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/tags/:tag/atom.xml', publicReadLimiter, validateFeedQuery, getAtomFeed);
+
+/**
+ * @route   GET /tags/:tag/feed.json
+ * @desc    JSON Feed 1.1 of the latest published blogs with a tag
+ * @param   tag
+ * @query   content (excerpt | full, default excerpt)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/tags/:tag/feed.json', publicReadLimiter, validateFeedQuery, getJsonFeed);
+
+module.exports = router;
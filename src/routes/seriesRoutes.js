@@ -0,0 +1,116 @@
+/**
+ * Series Routes
+ * Defines API endpoints for series listings, series pages and series management
+ */
+
+const express = require('express');
+const {
+  getSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  setSeriesPosts,
+  deleteSeries,
+} = require('../controllers/seriesController');
+const {
+  validatePaginationQuery,
+  validateSeriesId,
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateSeriesPosts,
+} = require('../middleware/validateRequest');
+const { requireApiKey, optionalApiKey } = require('../middleware/apiKeyAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/authorize');
+const {
+  publicReadLimiter,
+  adminWriteLimiter,
+  adminDeleteLimiter,
+} = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/series
+ * @desc    Get paginated list of series with their post counts (newest first)
+ * @query   page, limit
+ * @access  Public (series without published parts require a key with the read-drafts scope)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/', publicReadLimiter, optionalApiKey, validatePaginationQuery, getSeries);
+
+/**
+ * @route   GET /api/series/:id
+ * @desc    Get single series with its posts in order
+ * @param   id
+ * @access  Public (unpublished parts require a key with the read-drafts scope)
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id', publicReadLimiter, optionalApiKey, validateSeriesId, getSeriesById);
+
+/**
+ * @route   POST /api/series
+ * @desc    Create a series
+ * @body    title, description, blogIds (ordered)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post(
+  '/',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.SERIES_MANAGE),
+  validateCreateSeries,
+  createSeries
+);
+
+/**
+ * @route   PUT /api/series/:id
+ * @desc    Update a series' title or description
+ * @param   id
+ * @body    title, description
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.put(
+  '/:id',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.SERIES_MANAGE),
+  validateUpdateSeries,
+  updateSeries
+);
+
+/**
+ * @route   PUT /api/series/:id/posts
+ * @desc    Set the parts of a series in order (reorder, add or remove parts)
+ * @param   id
+ * @body    blogIds (ordered)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.put(
+  '/:id/posts',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.SERIES_MANAGE),
+  validateSeriesPosts,
+  setSeriesPosts
+);
+
+/**
+ * @route   DELETE /api/series/:id
+ * @desc    Delete a series (its blogs are kept)
+ * @param   id
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 20 requests per hour per API key
+ */
+router.delete(
+  '/:id',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.SERIES_MANAGE),
+  validateSeriesId,
+  deleteSeries
+);
+
+module.exports = router;
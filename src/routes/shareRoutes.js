@@ -0,0 +1,23 @@
+/**
+ * Share Routes
+ * Server-rendered pages for social crawlers, which read meta tags but don't run the SPA
+ */
+
+const express = require('express');
+const { getBlogSharePage } = require('../controllers/blogController');
+const { validateBlogId } = require('../middleware/validateRequest');
+const { publicReadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /share/:id
+ * @desc    HTML page with Open Graph, Twitter Card and JSON-LD metadata of a published blog;
+ *          browsers are redirected to the blog page
+ * @param   id
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:id', publicReadLimiter, validateBlogId, getBlogSharePage);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Sitemap Routes
+ * Sitemap and robots.txt endpoints for search engines, mounted at the site root
+ */
+
+const express = require('express');
+const {
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt,
+} = require('../controllers/sitemapController');
+const { validateSitemapPage } = require('../middleware/validateRequest');
+const { publicReadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /sitemap.xml
+ * @desc    Sitemap of published blogs, tag pages and author pages
+ *          (a sitemap index once there are more than 50,000 URLs)
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/sitemap.xml', publicReadLimiter, getSitemap);
+
+/**
+ * @route   GET /sitemaps/:section-:page.xml
+ * @desc    One file of a split sitemap, listed in the sitemap index
+ * @param   section (blogs | tags | authors), page
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/sitemaps/:section-:page.xml', publicReadLimiter, validateSitemapPage, getSitemapPage);
+
+/**
+ * @route   GET /robots.txt
+ * @desc    Crawler rules with the sitemap location
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/robots.txt', publicReadLimiter, getRobotsTxt);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * Tag Routes
+ * Defines API endpoints for tag listings, tag pages and tag management
+ */
+
+const express = require('express');
+const multer = require('multer');
+const {
+  getTags,
+  getTag,
+  getTagBlogs,
+  updateTag,
+  mergeTag,
+  deleteTag,
+} = require('../controllers/tagController');
+const {
+  validatePaginationQuery,
+  validateTagSlug,
+  validateUpdateTag,
+  validateMergeTag,
+  validateTagCoverUpload,
+} = require('../middleware/validateRequest');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/authorize');
+const {
+  publicReadLimiter,
+  adminWriteLimiter,
+  adminDeleteLimiter,
+} = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Configure multer for cover image uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10), // 10MB default
+  },
+});
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get paginated list of tags with published post counts (most used first)
+ * @query   page, limit
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/', publicReadLimiter, validatePaginationQuery, getTags);
+
+/**
+ * @route   GET /api/tags/:slug
+ * @desc    Get single tag with its published post count
+ * @param   slug
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:slug', publicReadLimiter, validateTagSlug, getTag);
+
+/**
+ * @route   GET /api/tags/:slug/blogs
+ * @desc    Get paginated published blogs with a tag
+ * @param   slug
+ * @query   page, limit
+ * @access  Public
+ * @rateLimit 100 requests per 15 minutes per IP
+ */
+router.get('/:slug/blogs', publicReadLimiter, validateTagSlug, validatePaginationQuery, getTagBlogs);
+
+/**
+ * @route   PUT /api/tags/:slug
+ * @desc    Update a tag; a new name renames it on every blog
+ * @param   slug
+ * @body    name, description
+ * @files   cover (optional)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.put(
+  '/:slug',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.TAG_MANAGE),
+  upload.single('cover'),
+  validateTagCoverUpload,
+  validateUpdateTag,
+  updateTag
+);
+
+/**
+ * @route   POST /api/tags/:slug/merge
+ * @desc    Merge a tag into another tag (blogs are retagged, the tag is deleted)
+ * @param   slug
+ * @body    into (target tag slug)
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 50 requests per hour per API key
+ */
+router.post(
+  '/:slug/merge',
+  adminWriteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.TAG_MANAGE),
+  validateMergeTag,
+  mergeTag
+);
+
+/**
+ * @route   DELETE /api/tags/:slug
+ * @desc    Delete a tag and remove it from every blog
+ * @param   slug
+ * @access  Protected - Requires valid API key (admin, editor)
+ * @rateLimit 20 requests per hour per API key
+ */
+router.delete(
+  '/:slug',
+  adminDeleteLimiter,
+  requireApiKey,
+  requirePermission(PERMISSIONS.TAG_MANAGE),
+  validateTagSlug,
+  deleteTag
+);
+
+module.exports = router;
@@ -11,6 +11,18 @@ const helmet = require('helmet');
 const compression = require('compression');
 const logger = require('./utils/logger');
 const blogRoutes = require('./routes/blogRoutes');
+const authorRoutes = require('./routes/authorRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const sitemapRoutes = require('./routes/sitemapRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const { startPublishScheduler, stopPublishScheduler } = require('./services/publishScheduler');
+const { startTrashPurger, stopTrashPurger } = require('./services/trashPurger');
+const { startSearchLogPurger, stopSearchLogPurger } = require('./services/searchLogPurger');
+const { startViewTracker, stopViewTracker } = require('./services/viewTracker');
+const { importLegacyAdminKey } = require('./services/legacyAdminKey');
 const { healthCheckLimiter } = require('./middleware/rateLimiter');
 
 // Validate required environment variables
@@ -20,6 +32,8 @@ const requiredEnvVars = [
   'AWS_SECRET_ACCESS_KEY',
   'AWS_REGION',
   'S3_BUCKET',
+  'VISITOR_ID_SALT',
+  'SITE_URL',
 ];
 
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -131,6 +145,27 @@ app.use(`${API_PREFIX}/blogs`, blogRoutes);
 // Frontend compatibility alias (for routes like /blogs/30)
 app.use('/blogs', blogRoutes);
 
+// Author routes
+app.use(`${API_PREFIX}/authors`, authorRoutes);
+
+// Tag routes
+app.use(`${API_PREFIX}/tags`, tagRoutes);
+
+// Series routes
+app.use(`${API_PREFIX}/series`, seriesRoutes);
+
+// Admin routes (staff user management)
+app.use(`${API_PREFIX}/admin`, adminRoutes);
+
+// Syndication feeds (/feed.xml, /atom.xml, /feed.json and per-tag variants)
+app.use('/', feedRoutes);
+
+// Sitemaps and robots.txt
+app.use('/', sitemapRoutes);
+
+// Share pages for social crawlers (/share/:id)
+app.use('/share', shareRoutes);
+
 // ===========================
 // TEMPORARILY DISABLED: Search endpoint
 // Uncomment when ready to test search functionality
@@ -207,6 +242,20 @@ const server = app.listen(PORT, () => {
   logger.info(`API Base URL: http://localhost:${PORT}${API_PREFIX}`);
   logger.info(`Health Check: http://localhost:${PORT}/health`);
   logger.info('================================\n');
+
+  // Flip scheduled blogs to published when their time arrives
+  startPublishScheduler();
+  // Permanently delete blogs trashed longer than TRASH_RETENTION_DAYS
+  startTrashPurger();
+  // Delete search analytics older than SEARCH_LOG_RETENTION_DAYS
+  startSearchLogPurger();
+  // Write buffered blog views to the database in batches
+  startViewTracker();
+
+  // Keep the pre-user shared ADMIN_API_KEY working on first boot
+  importLegacyAdminKey().catch(error => {
+    logger.error(`ADMIN_API_KEY import error: ${error.message}`, { error: error.stack });
+  });
 });
 
 // ===========================
@@ -216,6 +265,12 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = async (signal) => {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
 
+  stopPublishScheduler();
+  stopTrashPurger();
+  stopSearchLogPurger();
+  // Flush buffered views before the database connections close
+  await stopViewTracker();
+
   server.close(async () => {
     logger.info('HTTP server closed');
 
@@ -0,0 +1,62 @@
+/**
+ * Legacy Admin Key Import
+ * Deployments from before per-user API keys authenticated with the shared ADMIN_API_KEY.
+ * On first boot (no staff users yet) that key is stored as the API key of an admin user,
+ * so existing clients keep working until they are switched to their own keys.
+ */
+
+const prisma = require('../prismaClient');
+const { hashApiKey, importApiKey } = require('../utils/apiKeys');
+const { ROLES, SCOPE_NAMES } = require('../middleware/authorize');
+const logger = require('../utils/logger');
+
+const LEGACY_KEY_NAME = 'ADMIN_API_KEY (imported)';
+
+/**
+ * Import ADMIN_API_KEY as an admin API key if no staff users exist yet
+ * @returns {Promise<Object|null>} Created admin user, or null if nothing was imported
+ */
+const importLegacyAdminKey = async () => {
+  const legacyKey = process.env.ADMIN_API_KEY;
+  if (!legacyKey) return null;
+
+  const imported = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(legacyKey) },
+    select: { id: true },
+  });
+  if (imported) {
+    logger.warn('ADMIN_API_KEY is still set - remove it once clients use their own API keys');
+    return null;
+  }
+
+  if (await prisma.user.count() > 0) {
+    logger.warn('ADMIN_API_KEY is ignored because staff users exist - create API keys via /api/admin/keys');
+    return null;
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    const admin = await tx.user.create({
+      data: {
+        name: 'Admin',
+        email: process.env.ADMIN_EMAIL || 'admin@localhost',
+        role: ROLES.ADMIN,
+      },
+    });
+
+    await importApiKey({
+      userId: admin.id,
+      name: LEGACY_KEY_NAME,
+      key: legacyKey,
+      scopes: SCOPE_NAMES,
+    }, tx);
+
+    return admin;
+  });
+
+  logger.info(`Imported ADMIN_API_KEY as an API key of admin user ${user.id} (${user.email})`);
+  return user;
+};
+
+module.exports = {
+  importLegacyAdminKey,
+};
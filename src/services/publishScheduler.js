@@ -0,0 +1,102 @@
+/**
+ * Publish Scheduler
+ * Periodically flips scheduled blogs to published once their publishAt time arrives
+ * Runs in-process; safe to run on several instances since each blog is only published (and audited) once
+ */
+
+const prisma = require('../prismaClient');
+const { BLOG_STATUS } = require('../utils/blogStatus');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '60000', 10); // 1 minute default
+
+let schedulerTimer = null;
+
+/**
+ * Publish every scheduled blog whose publishAt is in the past, with an audit entry per blog
+ * @returns {Promise<number>} Number of blogs published
+ */
+const publishDueBlogs = async () => {
+  try {
+    const dueWhere = {
+      status: BLOG_STATUS.SCHEDULED,
+      publishAt: { lte: new Date() },
+      deletedAt: null,
+    };
+
+    const dueBlogs = await prisma.blog.findMany({
+      where: dueWhere,
+      select: { id: true, status: true },
+    });
+
+    let published = 0;
+    for (const blog of dueBlogs) {
+      try {
+        // Re-check the schedule so a blog rescheduled, unpublished or published by another
+        // instance since it was listed is left alone
+        const updated = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.blog.updateMany({
+            where: { id: blog.id, ...dueWhere },
+            data: { status: BLOG_STATUS.PUBLISHED },
+          });
+          if (count === 0) return false;
+
+          // No request - the publish is recorded without an actor
+          await recordAudit(null, {
+            action: AUDIT_ACTIONS.BLOG_SCHEDULED_PUBLISH,
+            blogId: blog.id,
+            changes: diffFields(blog, { status: BLOG_STATUS.PUBLISHED }, ['status']),
+          }, tx);
+          return true;
+        });
+
+        if (updated) published++;
+      } catch (error) {
+        logger.error(`Publish scheduler failed for blog ${blog.id}: ${error.message}`, { error: error.stack });
+      }
+    }
+
+    if (published > 0) {
+      logger.info(`Publish scheduler: published ${published} scheduled blog(s)`);
+    }
+
+    return published;
+  } catch (error) {
+    logger.error(`Publish scheduler error: ${error.message}`, { error: error.stack });
+    return 0;
+  }
+};
+
+/**
+ * Start the scheduler (no-op if already running)
+ */
+const startPublishScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(publishDueBlogs, SCHEDULER_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+
+  // Catch up on anything that became due while the server was down
+  publishDueBlogs();
+
+  logger.info(`Publish scheduler started (every ${SCHEDULER_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopPublishScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    logger.info('Publish scheduler stopped');
+  }
+};
+
+module.exports = {
+  publishDueBlogs,
+  startPublishScheduler,
+  stopPublishScheduler,
+};
@@ -0,0 +1,229 @@
+/**
+ * Blog Revision Service
+ * Keeps a numbered snapshot (metadata + S3 content) of every blog edit so edits can be rolled back
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { diffLines } = require('diff');
+const prisma = require('../prismaClient');
+const {
+  getFile,
+  copyFile,
+  deleteFilesByUrl,
+  uploadRevisionFile,
+  extractKeyFromUrl,
+} = require('./s3Service');
+const { resolveContentType, processContentForStorage } = require('../utils/contentProcessor');
+const logger = require('../utils/logger');
+
+// Blog fields captured in each revision's metadata snapshot
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'tags',
+  'readTime',
+  'readTimeOverride',
+  'wordCount',
+  'excerpt',
+  'status',
+  'publishAt',
+  'authorId',
+];
+
+// Fields written back on restore - slug, status and author are left as they are
+const RESTORABLE_FIELDS = ['title', 'tags', 'readTime', 'readTimeOverride', 'wordCount', 'excerpt'];
+
+// Closing tags after which a line break is inserted so HTML diffs are per block, not per document
+const BLOCK_END_PATTERN = /(<\/(?:p|h[1-6]|li|ul|ol|blockquote|pre|table|thead|tbody|tr|div|figure|section)>)/gi;
+
+/**
+ * Pick the metadata snapshot stored with a revision
+ * @param {Object} blog - Blog record
+ * @returns {Object} Snapshot of REVISION_FIELDS
+ */
+const pickRevisionMetadata = (blog) => {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, blog[field] ?? null]));
+};
+
+/**
+ * Get the number the next revision of a blog will get
+ * @param {number} blogId - Blog ID
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<number>} Next revision number (1 for blogs without revisions)
+ */
+const getNextRevisionNumber = async (blogId, client = prisma) => {
+  const result = await client.blogRevision.aggregate({
+    where: { blogId },
+    _max: { revision: true },
+  });
+  return (result._max.revision || 0) + 1;
+};
+
+/**
+ * Reserve the next revision number of a blog inside a transaction
+ * Locks the blog row so concurrent edits are numbered one after the other
+ * @param {number} blogId - Blog ID
+ * @param {Object} tx - Prisma transaction
+ * @returns {Promise<number>} Next revision number
+ */
+const reserveRevisionNumber = async (blogId, tx) => {
+  await tx.$queryRaw`SELECT id FROM blogs WHERE id = ${blogId} FOR UPDATE`;
+  return getNextRevisionNumber(blogId, tx);
+};
+
+/**
+ * Upload the content files of a new revision
+ * Files go under a unique folder rather than the revision number, which is only
+ * known once the revision is saved
+ * @param {number} blogId - Blog ID
+ * @param {Object} content - { html, sourceBuffer, sourceFilename, sourceContentType }
+ * @returns {Promise<Object>} { contentUrl, sourceUrl } of the revision copies
+ */
+const storeRevisionFiles = async (blogId, { html, sourceBuffer, sourceFilename, sourceContentType }) => {
+  const folder = crypto.randomUUID();
+  const contentUrl = await uploadRevisionFile(
+    Buffer.from(html, 'utf-8'),
+    blogId,
+    folder,
+    'content.html',
+    'text/html; charset=utf-8'
+  );
+  const sourceUrl = sourceBuffer
+    ? await uploadRevisionFile(sourceBuffer, blogId, folder, sourceFilename, sourceContentType)
+    : null;
+
+  return { contentUrl, sourceUrl };
+};
+
+/**
+ * Remove revision files whose revision was never saved (e.g. the transaction rolled back)
+ * Failures are logged, not thrown, so the original error reaches the client
+ * @param {Object|null} files - { contentUrl, sourceUrl } from storeRevisionFiles
+ * @returns {Promise<void>}
+ */
+const discardRevisionFiles = async (files) => {
+  if (!files) return;
+  await deleteFilesByUrl([files.contentUrl, files.sourceUrl]);
+};
+
+/**
+ * Create a revision record for a blog's current state
+ * Without new files the revision shares the content files of the previous revision
+ * @param {Object} options - { blog, revision, files, userId, note }
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<Object>} Created revision
+ */
+const createRevision = async ({ blog, revision, files = null, userId = null, note = null }, client = prisma) => {
+  let contentFiles = files;
+
+  if (!contentFiles) {
+    const previous = await client.blogRevision.findFirst({
+      where: { blogId: blog.id },
+      orderBy: { revision: 'desc' },
+      select: { contentUrl: true, sourceUrl: true },
+    });
+    contentFiles = {
+      contentUrl: previous?.contentUrl ?? null,
+      sourceUrl: previous?.sourceUrl ?? null,
+    };
+  }
+
+  return client.blogRevision.create({
+    data: {
+      blogId: blog.id,
+      revision,
+      metadata: pickRevisionMetadata(blog),
+      contentUrl: contentFiles.contentUrl,
+      sourceUrl: contentFiles.sourceUrl,
+      userId,
+      note,
+    },
+  });
+};
+
+/**
+ * Snapshot a blog that has no revisions yet (created before revision history existed)
+ * Copies its current content objects so the first edit can be rolled back
+ * @param {Object} blog - Blog record, before it is changed
+ * @returns {Promise<void>}
+ */
+const ensureBaselineRevision = async (blog) => {
+  const revisionCount = await prisma.blogRevision.count({
+    where: { blogId: blog.id },
+  });
+  if (revisionCount > 0) return;
+
+  const copyToRevision = async (url) => {
+    const key = url ? extractKeyFromUrl(url) : null;
+    if (!key) return null;
+    return copyFile(key, `blogs/${blog.id}/revisions/1/${path.basename(key)}`);
+  };
+
+  const files = {
+    contentUrl: await copyToRevision(blog.contentUrl),
+    sourceUrl: await copyToRevision(blog.sourceUrl),
+  };
+
+  await createRevision({ blog, revision: 1, files, note: 'Baseline' });
+  logger.info(`Created baseline revision for blog ID: ${blog.id}`);
+};
+
+/**
+ * Read the rendered HTML of a revision
+ * Baselines of legacy blogs may point at a .docx, which is rendered on the fly
+ * @param {Object} revision - Revision record
+ * @returns {Promise<string|null>} HTML, or null if the revision has no (renderable) content file
+ */
+const readRevisionHtml = async (revision) => {
+  const key = revision.contentUrl ? extractKeyFromUrl(revision.contentUrl) : null;
+  if (!key) return null;
+
+  if (key.endsWith('.html')) {
+    const buffer = await getFile(key);
+    return buffer.toString('utf-8');
+  }
+
+  // A legacy file that can't be rendered is treated like a missing one
+  const contentType = resolveContentType(key);
+  if (!contentType) {
+    logger.warn(`Revision ${revision.revision} of blog ${revision.blogId} has unsupported content file: ${key}`);
+    return null;
+  }
+
+  const buffer = await getFile(key);
+  const processed = await processContentForStorage(buffer, contentType);
+  return processed.html;
+};
+
+/**
+ * Line-based diff of two HTML documents, split at block-level closing tags
+ * @param {string} fromHtml - Older HTML
+ * @param {string} toHtml - Newer HTML
+ * @returns {Object} { changes: [{ type, value }], stats: { added, removed } }
+ */
+const diffHtml = (fromHtml, toHtml) => {
+  const split = (html) => (html || '').replace(BLOCK_END_PATTERN, '$1\n');
+  const stats = { added: 0, removed: 0 };
+
+  const changes = diffLines(split(fromHtml), split(toHtml)).map((part) => {
+    const type = part.added ? 'added' : (part.removed ? 'removed' : 'unchanged');
+    if (type !== 'unchanged') stats[type] += part.count;
+    return { type, value: part.value };
+  });
+
+  return { changes, stats };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  RESTORABLE_FIELDS,
+  getNextRevisionNumber,
+  reserveRevisionNumber,
+  storeRevisionFiles,
+  discardRevisionFiles,
+  createRevision,
+  ensureBaselineRevision,
+  readRevisionHtml,
+  diffHtml,
+};
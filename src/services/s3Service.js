@@ -6,8 +6,11 @@
 const { 
   S3Client, 
   PutObjectCommand, 
+  GetObjectCommand,
   DeleteObjectCommand,
-  HeadObjectCommand 
+  HeadObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
 } = require('@aws-sdk/client-s3');
 const path = require('path');
 const logger = require('../utils/logger');
@@ -77,6 +80,80 @@ const deleteFile = async (key) => {
   }
 };
 
+/**
+ * Download a file from S3
+ * @param {string} key - S3 object key (path)
+ * @returns {Promise<Buffer>} File contents
+ */
+const getFile = async (key) => {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: key,
+    });
+
+    const response = await s3Client.send(command);
+    const bytes = await response.Body.transformToByteArray();
+    logger.logS3Operation('GET', key, true);
+    return Buffer.from(bytes);
+  } catch (error) {
+    logger.logS3Operation('GET', key, false);
+    logger.error(`S3 get error: ${error.message}`);
+    throw new Error(`Failed to download file from S3: ${error.message}`);
+  }
+};
+
+/**
+ * Copy a file within the bucket
+ * @param {string} sourceKey - S3 object key to copy
+ * @param {string} destinationKey - S3 object key to create
+ * @returns {Promise<string>} S3 URI of the copy
+ */
+const copyFile = async (sourceKey, destinationKey) => {
+  try {
+    const command = new CopyObjectCommand({
+      Bucket: S3_BUCKET,
+      CopySource: encodeURI(`${S3_BUCKET}/${sourceKey}`),
+      Key: destinationKey,
+    });
+
+    await s3Client.send(command);
+    logger.logS3Operation('COPY', `${sourceKey} -> ${destinationKey}`, true);
+    return `s3://${S3_BUCKET}/${destinationKey}`;
+  } catch (error) {
+    logger.logS3Operation('COPY', `${sourceKey} -> ${destinationKey}`, false);
+    logger.error(`S3 copy error: ${error.message}`);
+    throw new Error(`Failed to copy file in S3: ${error.message}`);
+  }
+};
+
+/**
+ * Delete every file under a key prefix
+ * @param {string} prefix - Key prefix, e.g. blogs/12/revisions/
+ * @returns {Promise<number>} Number of deleted files
+ */
+const deleteFilesWithPrefix = async (prefix) => {
+  let deleted = 0;
+  let continuationToken;
+
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: S3_BUCKET,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+    }));
+
+    for (const object of response.Contents || []) {
+      await deleteFile(object.Key);
+      deleted++;
+    }
+
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return deleted;
+};
+
 /**
  * Check if file exists in S3
  * @param {string} key - S3 object key (path)
@@ -99,43 +176,115 @@ const fileExists = async (key) => {
   }
 };
 
+/**
+ * Build the key of a blog file
+ * Versioned files go under blogs/{id}/{version}/ so replacing a file never overwrites
+ * the object the blog currently points at
+ * @param {number} blogId - Blog ID
+ * @param {string} filename - File name
+ * @param {string|null} version - Unique folder (null for the unversioned key)
+ * @returns {string} S3 key
+ */
+const blogFileKey = (blogId, filename, version = null) => {
+  return version ? `blogs/${blogId}/${version}/${filename}` : `blogs/${blogId}/${filename}`;
+};
+
 /**
  * Upload blog content file
  * @param {Buffer} contentBuffer - File buffer
  * @param {number} blogId - Blog ID
  * @param {string} originalFilename - Original filename with extension
  * @param {string} contentType - MIME type
+ * @param {string|null} version - Unique folder for replacements (optional)
  * @returns {Promise<string>} S3 URI of content file
  */
-const uploadBlogContent = async (contentBuffer, blogId, originalFilename, contentType) => {
+const uploadBlogContent = async (contentBuffer, blogId, originalFilename, contentType, version = null) => {
   // Use original filename as provided by user
-  const key = `blogs/${blogId}/${originalFilename}`;
+  const key = blogFileKey(blogId, originalFilename, version);
   return await uploadFile(contentBuffer, key, contentType);
 };
 
+/**
+ * Upload rendered blog HTML
+ * Stored as blogs/{id}/content.html, or under a version folder when replacing live content
+ * @param {string} html - Sanitized HTML content
+ * @param {number} blogId - Blog ID
+ * @param {string|null} version - Unique folder for replacements (optional)
+ * @returns {Promise<string>} S3 URI of rendered HTML
+ */
+const uploadBlogHtml = async (html, blogId, version = null) => {
+  const key = blogFileKey(blogId, 'content.html', version);
+  return await uploadFile(Buffer.from(html, 'utf-8'), key, 'text/html; charset=utf-8');
+};
+
+/**
+ * Upload a file belonging to a blog revision
+ * Stored under blogs/{id}/revisions/{folder}/ so later edits never overwrite it
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {number} blogId - Blog ID
+ * @param {number|string} folder - Revision number or unique upload folder
+ * @param {string} filename - File name (content.html or the original upload name)
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} S3 URI of the revision file
+ */
+const uploadRevisionFile = async (fileBuffer, blogId, folder, filename, contentType) => {
+  const key = `blogs/${blogId}/revisions/${folder}/${filename}`;
+  return await uploadFile(fileBuffer, key, contentType);
+};
+
 /**
  * Upload blog cover image
  * @param {Buffer} imageBuffer - Image file buffer
  * @param {number} blogId - Blog ID
  * @param {string} originalName - Original filename
  * @param {string} mimeType - Image MIME type
+ * @param {string|null} version - Unique folder for replacements (optional)
  * @returns {Promise<string>} Public URL of cover image
  */
-const uploadBlogCoverImage = async (imageBuffer, blogId, originalName, mimeType) => {
+const uploadBlogCoverImage = async (imageBuffer, blogId, originalName, mimeType, version = null) => {
   const extension = path.extname(originalName);
-  const key = `blogs/${blogId}/cover${extension}`;
+  const key = blogFileKey(blogId, `cover${extension}`, version);
   return await uploadFile(imageBuffer, key, mimeType);
 };
 
+/**
+ * Delete files by URL, logging failures instead of throwing
+ * For cleanup once a database change has committed (old files) or failed (new files),
+ * so a failed delete never changes the outcome of the request
+ * @param {Array<string|null>} urls - S3 URLs (null entries are skipped)
+ * @returns {Promise<void>}
+ */
+const deleteFilesByUrl = async (urls) => {
+  for (const url of new Set(urls.filter(Boolean))) {
+    const key = extractKeyFromUrl(url);
+    if (!key) continue;
+    try {
+      await deleteFile(key);
+    } catch (error) {
+      logger.warn(`Failed to delete unused file ${key}: ${error.message}`);
+    }
+  }
+};
+
 /**
  * Delete blog files from S3
  * @param {number} blogId - Blog ID
  * @param {string} contentUrl - Current content URL (to get exact filename)
  * @param {string} coverImageUrl - Current cover image URL (to get exact filename)
+ * @param {string} sourceUrl - Original uploaded file URL (e.g. the .docx behind content.html)
  * @returns {Promise<void>}
  */
-const deleteBlogFiles = async (blogId, contentUrl = null, coverImageUrl = null) => {
+const deleteBlogFiles = async (blogId, contentUrl = null, coverImageUrl = null, sourceUrl = null) => {
   try {
+    // Delete original source file if URL is provided
+    if (sourceUrl) {
+      const sourceKey = extractKeyFromUrl(sourceUrl);
+      if (sourceKey && await fileExists(sourceKey)) {
+        await deleteFile(sourceKey);
+        logger.info(`Deleted source file: ${sourceKey}`);
+      }
+    }
+
     // Delete content file if URL is provided
     if (contentUrl) {
       const contentKey = extractKeyFromUrl(contentUrl);
@@ -178,6 +327,12 @@ const deleteBlogFiles = async (blogId, contentUrl = null, coverImageUrl = null)
       }
     }
     
+    // Delete stored revisions
+    const revisionFiles = await deleteFilesWithPrefix(`blogs/${blogId}/revisions/`);
+    if (revisionFiles > 0) {
+      logger.info(`Deleted ${revisionFiles} revision files for blog ID: ${blogId}`);
+    }
+    
     logger.info(`Completed file deletion for blog ID: ${blogId}`);
   } catch (error) {
     logger.error(`Error deleting blog files for ID ${blogId}: ${error.message}`);
@@ -271,15 +426,91 @@ const replaceBlogCoverImage = async (oldUrl, newImageBuffer, blogId, originalNam
   return await uploadBlogCoverImage(newImageBuffer, blogId, originalName, mimeType);
 };
 
+/**
+ * Upload author avatar image
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {number} authorId - Author ID
+ * @param {string} originalName - Original filename
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<string>} S3 URI of avatar image
+ */
+const uploadAuthorAvatar = async (imageBuffer, authorId, originalName, mimeType) => {
+  const extension = path.extname(originalName);
+  const key = `authors/${authorId}/avatar${extension}`;
+  return await uploadFile(imageBuffer, key, mimeType);
+};
+
+/**
+ * Replace author avatar image
+ * @param {string} oldUrl - Old avatar URL (may be null)
+ * @param {Buffer} newImageBuffer - New image buffer
+ * @param {number} authorId - Author ID
+ * @param {string} originalName - Original filename
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<string>} New avatar URL
+ */
+const replaceAuthorAvatar = async (oldUrl, newImageBuffer, authorId, originalName, mimeType) => {
+  // Delete old file if it exists
+  const oldKey = oldUrl ? extractKeyFromUrl(oldUrl) : null;
+  if (oldKey && await fileExists(oldKey)) {
+    await deleteFile(oldKey);
+  }
+
+  return await uploadAuthorAvatar(newImageBuffer, authorId, originalName, mimeType);
+};
+
+/**
+ * Upload tag cover image
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {number} tagId - Tag ID
+ * @param {string} originalName - Original filename
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<string>} S3 URI of cover image
+ */
+const uploadTagCoverImage = async (imageBuffer, tagId, originalName, mimeType) => {
+  const extension = path.extname(originalName);
+  const key = `tags/${tagId}/cover${extension}`;
+  return await uploadFile(imageBuffer, key, mimeType);
+};
+
+/**
+ * Replace tag cover image
+ * @param {string} oldUrl - Old cover URL (may be null)
+ * @param {Buffer} newImageBuffer - New image buffer
+ * @param {number} tagId - Tag ID
+ * @param {string} originalName - Original filename
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<string>} New cover URL
+ */
+const replaceTagCoverImage = async (oldUrl, newImageBuffer, tagId, originalName, mimeType) => {
+  // Delete old file if it exists
+  const oldKey = oldUrl ? extractKeyFromUrl(oldUrl) : null;
+  if (oldKey && await fileExists(oldKey)) {
+    await deleteFile(oldKey);
+  }
+
+  return await uploadTagCoverImage(newImageBuffer, tagId, originalName, mimeType);
+};
+
 module.exports = {
   uploadFile,
   deleteFile,
+  getFile,
+  copyFile,
+  deleteFilesWithPrefix,
   fileExists,
   uploadBlogContent,
+  uploadBlogHtml,
+  uploadRevisionFile,
   uploadBlogCoverImage,
+  deleteFilesByUrl,
   deleteBlogFiles,
   extractKeyFromUrl,
   replaceBlogContent,
   replaceBlogCoverImage,
+  uploadAuthorAvatar,
+  replaceAuthorAvatar,
+  uploadTagCoverImage,
+  replaceTagCoverImage,
   s3Client, // Export for health checks
 };
@@ -0,0 +1,71 @@
+/**
+ * Search Log Purger
+ * Periodically deletes search_log entries older than the retention period
+ * Runs in-process; several instances purging at once simply delete nothing the second time
+ */
+
+const prisma = require('../prismaClient');
+const logger = require('../utils/logger');
+
+const SEARCH_LOG_RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS || '90', 10); // 0 keeps entries forever
+const PURGE_INTERVAL_MS = parseInt(process.env.SEARCH_LOG_PURGE_INTERVAL_MS || '86400000', 10); // 24 hours default
+
+let purgeTimer = null;
+
+/**
+ * Delete every search_log entry older than SEARCH_LOG_RETENTION_DAYS
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const purgeSearchLog = async () => {
+  if (SEARCH_LOG_RETENTION_DAYS <= 0) return 0;
+
+  try {
+    const cutoff = new Date(Date.now() - SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const { count } = await prisma.searchLog.deleteMany({
+      where: { createdAt: { lt: cutoff } },
+    });
+
+    if (count > 0) {
+      logger.info(`Search log purger: deleted ${count} search(es) older than ${SEARCH_LOG_RETENTION_DAYS} days`);
+    }
+
+    return count;
+  } catch (error) {
+    logger.error(`Search log purger error: ${error.message}`, { error: error.stack });
+    return 0;
+  }
+};
+
+/**
+ * Start the purger (no-op if already running or retention is disabled)
+ */
+const startSearchLogPurger = () => {
+  if (purgeTimer || SEARCH_LOG_RETENTION_DAYS <= 0) return;
+
+  purgeTimer = setInterval(purgeSearchLog, PURGE_INTERVAL_MS);
+  // Don't keep the process alive just for the purger
+  purgeTimer.unref();
+
+  purgeSearchLog();
+
+  logger.info(`Search log purger started (retention ${SEARCH_LOG_RETENTION_DAYS} days, every ${PURGE_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the purger
+ */
+const stopSearchLogPurger = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+    logger.info('Search log purger stopped');
+  }
+};
+
+module.exports = {
+  SEARCH_LOG_RETENTION_DAYS,
+  purgeSearchLog,
+  startSearchLogPurger,
+  stopSearchLogPurger,
+};
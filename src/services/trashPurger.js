@@ -0,0 +1,114 @@
+/**
+ * Trash Purger
+ * Periodically and permanently deletes blogs that have been in the trash longer than the retention period
+ * Runs in-process; a blog already purged or restored in the meantime is simply skipped
+ */
+
+const prisma = require('../prismaClient');
+const { deleteBlogFiles } = require('./s3Service');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10); // 0 disables purging
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || '21600000', 10); // 6 hours default
+
+let purgeTimer = null;
+
+/**
+ * Get the date a trashed blog becomes eligible for purging
+ * @param {Date} deletedAt - When the blog was soft deleted
+ * @returns {Date|null} Purge date, or null when purging is disabled
+ */
+const getPurgeDate = (deletedAt) => {
+  if (TRASH_RETENTION_DAYS <= 0 || !deletedAt) return null;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Permanently delete every blog trashed longer than TRASH_RETENTION_DAYS
+ * Removes the DB row, then its S3 files (content, source, cover, revisions) once that has committed
+ * @returns {Promise<number>} Number of blogs purged
+ */
+const purgeExpiredTrash = async () => {
+  if (TRASH_RETENTION_DAYS <= 0) return 0;
+
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const expiredBlogs = await prisma.blog.findMany({
+      where: { deletedAt: { lt: cutoff } },
+    });
+
+    let purged = 0;
+    for (const blog of expiredBlogs) {
+      try {
+        // Re-check deletedAt so a blog restored since it was listed is kept
+        const deleted = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.blog.deleteMany({
+            where: { id: blog.id, deletedAt: { lt: cutoff } },
+          });
+          if (count === 0) return false;
+
+          // No request - the purge is recorded without an actor
+          await recordAudit(null, {
+            action: AUDIT_ACTIONS.BLOG_PURGE,
+            blogId: blog.id,
+            changes: diffFields(blog, null),
+          }, tx);
+          return true;
+        });
+
+        // Restored, or already purged by another instance
+        if (!deleted) continue;
+
+        await deleteBlogFiles(blog.id, blog.contentUrl, blog.coverImageUrl, blog.sourceUrl);
+        purged++;
+      } catch (error) {
+        logger.error(`Trash purge failed for blog ${blog.id}: ${error.message}`, { error: error.stack });
+      }
+    }
+
+    if (purged > 0) {
+      logger.info(`Trash purger: permanently deleted ${purged} blog(s) trashed over ${TRASH_RETENTION_DAYS} days ago`);
+    }
+
+    return purged;
+  } catch (error) {
+    logger.error(`Trash purger error: ${error.message}`, { error: error.stack });
+    return 0;
+  }
+};
+
+/**
+ * Start the purger (no-op if already running or retention is disabled)
+ */
+const startTrashPurger = () => {
+  if (purgeTimer || TRASH_RETENTION_DAYS <= 0) return;
+
+  purgeTimer = setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+  // Don't keep the process alive just for the purger
+  purgeTimer.unref();
+
+  purgeExpiredTrash();
+
+  logger.info(`Trash purger started (retention ${TRASH_RETENTION_DAYS} days, every ${PURGE_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the purger
+ */
+const stopTrashPurger = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+    logger.info('Trash purger stopped');
+  }
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeExpiredTrash,
+  startTrashPurger,
+  stopTrashPurger,
+};
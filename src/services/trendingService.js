@@ -0,0 +1,128 @@
+/**
+ * Trending Service
+ * Keeps per-day view/like rollups (blog_daily_stats) and ranks blogs by recent,
+ * time-decayed engagement
+ */
+
+const prisma = require('../prismaClient');
+const { query } = require('../db/pool');
+const { BLOG_STATUS } = require('../utils/blogStatus');
+
+// A like counts as much as this many views in the trending score
+const TRENDING_LIKE_WEIGHT = 5;
+
+// Rollups are daily, so a window is a number of UTC days, today included (24h is today's
+// rollup). Each day's engagement is halved every halfLifeDays days.
+const TRENDING_WINDOWS = {
+  '24h': { days: 1, halfLifeDays: 0.5 },
+  '7d': { days: 7, halfLifeDays: 2 },
+  '30d': { days: 30, halfLifeDays: 7 },
+};
+
+const TRENDING_WINDOW_NAMES = Object.keys(TRENDING_WINDOWS);
+
+/**
+ * Get the UTC calendar day of a date, as stored in blog_daily_stats.day
+ * @param {Date} date - Date (defaults to now)
+ * @returns {Date} Midnight UTC of that day
+ */
+const getUtcDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Get today's UTC date as YYYY-MM-DD, for binding to ::date parameters in raw SQL
+ * @returns {string}
+ */
+const getUtcDateString = () => {
+  return getUtcDay().toISOString().slice(0, 10);
+};
+
+/**
+ * Add a like to the daily rollup
+ * @param {number} blogId - Blog ID
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<void>}
+ */
+const recordDailyLike = async (blogId, client = prisma) => {
+  const day = getUtcDay();
+
+  await client.blogDailyStat.upsert({
+    where: { blogId_day: { blogId, day } },
+    create: { blogId, day, likes: 1 },
+    update: { likes: { increment: 1 } },
+  });
+};
+
+/**
+ * Remove a like from the rollup of the day it was given
+ * @param {number} blogId - Blog ID
+ * @param {Date} likedAt - When the like was created
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<void>}
+ */
+const removeDailyLike = async (blogId, likedAt, client = prisma) => {
+  await client.blogDailyStat.updateMany({
+    where: { blogId, day: getUtcDay(likedAt), likes: { gt: 0 } },
+    data: { likes: { decrement: 1 } },
+  });
+};
+
+/**
+ * Score and rank daily engagement within a window
+ * Days outside the window are ignored; blogs without engagement in it are left out
+ * @param {Array} days - [{ id, age, views, likes }] rollups, age in days before today
+ * @param {string} window - One of TRENDING_WINDOW_NAMES
+ * @param {number} limit - Maximum number of blogs
+ * @returns {Array} [{ id, score }] ordered by score, highest first (ties: newest blog first)
+ */
+const rankTrending = (days, window, limit) => {
+  const { days: windowDays, halfLifeDays } = TRENDING_WINDOWS[window];
+  const scores = new Map();
+
+  for (const { id, age, views, likes } of days) {
+    if (age < 0 || age >= windowDays || views + likes <= 0) continue;
+
+    const engagement = views + TRENDING_LIKE_WEIGHT * likes;
+    scores.set(id, (scores.get(id) || 0) + engagement * Math.pow(0.5, age / halfLifeDays));
+  }
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score: Math.round(score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || b.id - a.id)
+    .slice(0, limit);
+};
+
+/**
+ * Rank published blogs by time-decayed views and likes within a window
+ * @param {string} window - One of TRENDING_WINDOW_NAMES
+ * @param {number} limit - Maximum number of blogs
+ * @returns {Promise<Array>} [{ id, score }] ordered by score, highest first
+ */
+const getTrendingScores = async (window, limit) => {
+  const { days } = TRENDING_WINDOWS[window];
+
+  const result = await query(
+    `SELECT s."blogId" AS id, ($1::date - s.day) AS age, s.views, s.likes
+     FROM blog_daily_stats AS s
+     JOIN blogs AS b ON b.id = s."blogId"
+     WHERE s.day > $1::date - $2::int
+       AND s.day <= $1::date
+       AND b."deletedAt" IS NULL
+       AND b.status = $3`,
+    [getUtcDateString(), days, BLOG_STATUS.PUBLISHED]
+  );
+
+  return rankTrending(result.rows, window, limit);
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  TRENDING_WINDOW_NAMES,
+  getUtcDay,
+  getUtcDateString,
+  recordDailyLike,
+  removeDailyLike,
+  rankTrending,
+  getTrendingScores,
+};
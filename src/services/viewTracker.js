@@ -0,0 +1,155 @@
+/**
+ * View Tracker
+ * Counts blog views once per visitor per time window, ignores bots, and buffers
+ * increments in memory so Postgres gets one batched write per flush instead of one per request
+ * Each flush also adds the views to today's row in blog_daily_stats (used by the trending feed)
+ * Dedupe state is per instance - behind several instances a visitor may count once per instance
+ */
+
+const { query } = require('../db/pool');
+const { getVisitorHash } = require('../utils/visitor');
+const { getUtcDateString } = require('./trendingService');
+const logger = require('../utils/logger');
+
+const VIEW_DEDUPE_WINDOW_MS = parseInt(process.env.VIEW_DEDUPE_WINDOW_MS || '1800000', 10); // 30 minutes default
+const VIEW_FLUSH_INTERVAL_MS = parseInt(process.env.VIEW_FLUSH_INTERVAL_MS || '10000', 10); // 10 seconds default
+const MAX_TRACKED_VISITS = 100000; // Upper bound on remembered (blog, visitor) pairs
+
+// Crawlers, link previewers, monitoring and HTTP libraries
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|skypeuripreview|preview|headless|phantomjs|puppeteer|playwright|lighthouse|pingdom|uptime|monitor|curl|wget|httpie|python-requests|python-urllib|aiohttp|go-http-client|java\/|okhttp|axios|node-fetch|undici|postman/i;
+
+// `${blogId}:${visitorHash}` -> time the view was last counted (insertion order = oldest first)
+const recentVisits = new Map();
+// blogId -> views not yet written to Postgres
+let pendingViews = new Map();
+let flushTimer = null;
+
+/**
+ * Check whether a request comes from a known bot (or has no user agent at all)
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const isBotRequest = (req) => {
+  const userAgent = req.headers['user-agent'];
+  return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+};
+
+/**
+ * Forget visits older than the dedupe window, and the oldest ones beyond MAX_TRACKED_VISITS
+ */
+const pruneRecentVisits = () => {
+  const cutoff = Date.now() - VIEW_DEDUPE_WINDOW_MS;
+
+  for (const [key, viewedAt] of recentVisits) {
+    if (viewedAt > cutoff && recentVisits.size <= MAX_TRACKED_VISITS) break;
+    recentVisits.delete(key);
+  }
+};
+
+/**
+ * Record a view of a published blog
+ * Counted at most once per visitor per VIEW_DEDUPE_WINDOW_MS; bot requests are ignored
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (a visitor cookie may be set)
+ * @param {number} blogId - Blog ID
+ * @returns {boolean} True if the view was counted
+ */
+const recordView = (req, res, blogId) => {
+  if (isBotRequest(req)) return false;
+
+  const key = `${blogId}:${getVisitorHash(req, res)}`;
+  const now = Date.now();
+  const lastViewedAt = recentVisits.get(key);
+
+  if (lastViewedAt && now - lastViewedAt < VIEW_DEDUPE_WINDOW_MS) {
+    return false;
+  }
+
+  // Re-insert so the map stays ordered by view time
+  recentVisits.delete(key);
+  recentVisits.set(key, now);
+  if (recentVisits.size > MAX_TRACKED_VISITS) pruneRecentVisits();
+
+  pendingViews.set(blogId, (pendingViews.get(blogId) || 0) + 1);
+  return true;
+};
+
+/**
+ * Write buffered views to Postgres in a single statement (blog totals + daily rollup)
+ * Counts are put back into the buffer if the write fails
+ * @returns {Promise<number>} Number of views written
+ */
+const flushViews = async () => {
+  pruneRecentVisits();
+
+  if (pendingViews.size === 0) return 0;
+
+  const batch = pendingViews;
+  pendingViews = new Map();
+
+  const blogIds = [...batch.keys()];
+  const counts = [...batch.values()];
+
+  try {
+    // Raw SQL so updatedAt (managed by Prisma) isn't touched by view counting.
+    // Only blogs that still exist get a daily row.
+    await query(
+      `WITH v AS (SELECT unnest($1::int[]) AS id, unnest($2::int[]) AS count),
+       updated AS (
+         UPDATE blogs AS b
+         SET views = b.views + v.count
+         FROM v
+         WHERE b.id = v.id
+         RETURNING b.id, v.count
+       )
+       INSERT INTO blog_daily_stats ("blogId", "day", "views")
+       SELECT id, $3::date, count FROM updated
+       ON CONFLICT ("blogId", "day")
+       DO UPDATE SET "views" = blog_daily_stats."views" + EXCLUDED."views"`,
+      [blogIds, counts, getUtcDateString()]
+    );
+
+    return counts.reduce((sum, count) => sum + count, 0);
+  } catch (error) {
+    logger.error(`View flush error: ${error.message}`, { error: error.stack });
+    for (const [blogId, count] of batch) {
+      pendingViews.set(blogId, (pendingViews.get(blogId) || 0) + count);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Start periodic flushing (no-op if already running)
+ */
+const startViewTracker = () => {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(flushViews, VIEW_FLUSH_INTERVAL_MS);
+  // Don't keep the process alive just for flushing
+  flushTimer.unref();
+
+  logger.info(`View tracker started (flush every ${VIEW_FLUSH_INTERVAL_MS / 1000}s, dedupe window ${VIEW_DEDUPE_WINDOW_MS / 1000}s)`);
+};
+
+/**
+ * Stop periodic flushing and write any buffered views
+ * @returns {Promise<void>}
+ */
+const stopViewTracker = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  const written = await flushViews();
+  logger.info(`View tracker stopped (${written} buffered view(s) flushed)`);
+};
+
+module.exports = {
+  isBotRequest,
+  recordView,
+  flushViews,
+  startViewTracker,
+  stopViewTracker,
+};
@@ -0,0 +1,110 @@
+/**
+ * API Key Utilities
+ * Generates and hashes API keys - only the SHA-256 hash is ever stored
+ */
+
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+
+const API_KEY_PREFIX = 'bmk_';
+// Leading characters kept in plain text so keys can be identified in logs and listings
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Fields safe to return - the key hash never leaves the database
+const apiKeySelect = {
+  id: true,
+  userId: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+/**
+ * Hash an API key for storage/lookup
+ * Keys are 256-bit random values, so a fast hash is sufficient (no salt/bcrypt needed)
+ * @param {string} apiKey - Plain-text API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, hash, prefix } - the plain key must be shown to the user once and discarded
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    hash: hashApiKey(key),
+    prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * Extract API key from request headers
+ * Checks X-API-Key first, then Authorization: Bearer <key>
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} API key
+ */
+const extractApiKey = (req) => {
+  return req.headers['x-api-key'] ||
+         req.headers['authorization']?.replace('Bearer ', '');
+};
+
+/**
+ * Generate and store a new API key for a user
+ * @param {Object} options - { userId, name, scopes, expiresAt }
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<Object>} { apiKey, key } - the stored record and the plain key (show once)
+ */
+const issueApiKey = async ({ userId, name, scopes, expiresAt = null }, client = prisma) => {
+  const { key, hash, prefix } = generateApiKey();
+
+  const apiKey = await client.apiKey.create({
+    data: {
+      userId,
+      name,
+      keyHash: hash,
+      prefix,
+      scopes,
+      expiresAt,
+    },
+    select: apiKeySelect,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Store an existing plain-text key (e.g. a legacy shared key) for a user
+ * @param {Object} options - { userId, name, key, scopes }
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<Object>} Stored API key record
+ */
+const importApiKey = ({ userId, name, key, scopes }, client = prisma) => {
+  return client.apiKey.create({
+    data: {
+      userId,
+      name,
+      keyHash: hashApiKey(key),
+      prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+      scopes,
+    },
+    select: apiKeySelect,
+  });
+};
+
+module.exports = {
+  apiKeySelect,
+  hashApiKey,
+  generateApiKey,
+  extractApiKey,
+  issueApiKey,
+  importApiKey,
+};
@@ -0,0 +1,103 @@
+/**
+ * Audit Log Utilities
+ * Records admin mutations to the audit_log table
+ */
+
+const prisma = require('../prismaClient');
+
+const AUDIT_ACTIONS = {
+  BLOG_CREATE: 'blog.create',
+  BLOG_UPDATE: 'blog.update',
+  BLOG_DELETE: 'blog.delete',
+  BLOG_PERMANENT_DELETE: 'blog.permanent-delete',
+  BLOG_REVISION_RESTORE: 'blog.revision-restore',
+  BLOG_RESTORE: 'blog.restore',
+  BLOG_PURGE: 'blog.purge',
+  BLOG_SCHEDULED_PUBLISH: 'blog.scheduled-publish',
+  TAG_UPDATE: 'tag.update',
+  TAG_MERGE: 'tag.merge',
+  TAG_DELETE: 'tag.delete',
+  SERIES_CREATE: 'series.create',
+  SERIES_UPDATE: 'series.update',
+  SERIES_DELETE: 'series.delete',
+  API_KEY_CREATE: 'api-key.create',
+  API_KEY_REVOKE: 'api-key.revoke',
+  API_KEY_ROTATE: 'api-key.rotate',
+};
+
+const AUDIT_ACTION_NAMES = Object.values(AUDIT_ACTIONS);
+
+// Blog columns tracked in audit entries (timestamps managed by Prisma are left out)
+const AUDITED_BLOG_FIELDS = [
+  'title',
+  'slug',
+  'tags',
+  'contentUrl',
+  'sourceUrl',
+  'coverImageUrl',
+  'readTime',
+  'readTimeOverride',
+  'wordCount',
+  'excerpt',
+  'views',
+  'likes',
+  'authorId',
+  'status',
+  'publishAt',
+  'deletedAt',
+  'metaDescription',
+  'canonicalUrl',
+  'ogImageUrl',
+  'noindex',
+];
+
+/**
+ * Build the before/after map of fields that differ between two records
+ * @param {Object|null} before - Record before the change (null for creates)
+ * @param {Object|null} after - Record after the change (null for deletes)
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object} { field: { before, after } } for changed fields only
+ */
+const diffFields = (before, after, fields = AUDITED_BLOG_FIELDS) => {
+  const changes = {};
+
+  for (const field of fields) {
+    const oldValue = before?.[field] ?? null;
+    const newValue = after?.[field] ?? null;
+
+    // Compare serialized values so arrays and dates are compared by content
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit entry for the authenticated request
+ * @param {Object|null} req - Express request object (after requireApiKey), or null for background jobs
+ * @param {Object} entry - { action, blogId, changes }
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<Object>} Created audit entry
+ */
+const recordAudit = (req, { action, blogId = null, changes = {} }, client = prisma) => {
+  return client.auditLog.create({
+    data: {
+      apiKeyId: req?.apiKey?.id ?? null,
+      userId: req?.user?.id ?? null,
+      action,
+      blogId,
+      changes,
+      ip: req?.ip || null,
+    },
+  });
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_NAMES,
+  AUDITED_BLOG_FIELDS,
+  diffFields,
+  recordAudit,
+};
@@ -0,0 +1,119 @@
+/**
+ * Blog Response Helpers
+ * Shared Prisma selects and presigned URL enrichment for blog/author responses
+ */
+
+const { generatePresignedUrl } = require('./presignedUrl');
+const logger = require('./logger');
+
+// Author fields embedded in blog list responses (byline)
+const authorSummarySelect = {
+  id: true,
+  name: true,
+  avatarUrl: true,
+};
+
+// Fields returned for blogs in list views (paginated lists and feeds)
+const blogListSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  tags: true,
+  contentUrl: true,
+  coverImageUrl: true,
+  readTime: true,
+  wordCount: true,
+  excerpt: true,
+  views: true,
+  likes: true,
+  status: true,
+  publishAt: true,
+  createdAt: true,
+  updatedAt: true,
+  author: { select: authorSummarySelect },
+};
+
+/**
+ * Add a presigned avatar URL to an author
+ * @param {Object|null} author - Author record
+ * @returns {Promise<Object|null>} Author with presignedAvatarUrl (if it has an S3 avatar)
+ */
+const addAuthorAvatarUrl = async (author) => {
+  if (!author || !author.avatarUrl || !author.avatarUrl.startsWith('s3://')) {
+    return author;
+  }
+
+  try {
+    return {
+      ...author,
+      presignedAvatarUrl: await generatePresignedUrl(author.avatarUrl),
+    };
+  } catch (urlError) {
+    logger.warn(`Failed to generate presigned avatar URL for author ${author.id}: ${urlError.message}`);
+    return author;
+  }
+};
+
+/**
+ * Add presigned URLs for content, cover image and author avatar to a blog
+ * @param {Object} blog - Blog record
+ * @returns {Promise<Object>} Blog with presignedContentUrl / presignedCoverUrl
+ */
+const addPresignedUrls = async (blog) => {
+  try {
+    const enhancedBlog = { ...blog };
+
+    // Generate presigned URL for content if it exists and is an S3 URL
+    if (blog.contentUrl && blog.contentUrl.startsWith('s3://')) {
+      enhancedBlog.presignedContentUrl = await generatePresignedUrl(blog.contentUrl);
+    }
+
+    // Generate presigned URL for cover image if it exists and is an S3 URL
+    if (blog.coverImageUrl && blog.coverImageUrl.startsWith('s3://')) {
+      enhancedBlog.presignedCoverUrl = await generatePresignedUrl(blog.coverImageUrl);
+    }
+
+    if (blog.author) {
+      enhancedBlog.author = await addAuthorAvatarUrl(blog.author);
+    }
+
+    return enhancedBlog;
+  } catch (urlError) {
+    logger.warn(`Failed to generate presigned URLs for blog ${blog.id}: ${urlError.message}`);
+    // Return original blog without presigned URLs - the frontend can handle S3 URIs
+    return blog;
+  }
+};
+
+/**
+ * Replace content and cover S3 URIs with presigned URLs for feed responses
+ * Feeds (latest, popular, trending) return presigned URLs in place rather than
+ * as separate presigned* fields
+ * @param {Object} blog - Blog record
+ * @returns {Promise<Object>} Blog with presigned contentUrl / coverImageUrl (null if signing fails)
+ */
+const addFeedUrls = async (blog) => {
+  try {
+    return {
+      ...blog,
+      contentUrl: blog.contentUrl ? await generatePresignedUrl(blog.contentUrl) : null,
+      coverImageUrl: blog.coverImageUrl ? await generatePresignedUrl(blog.coverImageUrl) : null,
+      author: blog.author ? await addAuthorAvatarUrl(blog.author) : blog.author,
+    };
+  } catch (error) {
+    logger.warn(`Failed to generate URLs for blog ${blog.id}:`, error.message);
+    return {
+      ...blog,
+      contentUrl: null,
+      coverImageUrl: null,
+    };
+  }
+};
+
+module.exports = {
+  authorSummarySelect,
+  blogListSelect,
+  addAuthorAvatarUrl,
+  addPresignedUrls,
+  addFeedUrls,
+};
@@ -0,0 +1,71 @@
+/**
+ * Blog Status Utilities
+ * Publishing workflow: draft -> scheduled -> published -> archived
+ */
+
+const BLOG_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+};
+
+const BLOG_STATUSES = Object.values(BLOG_STATUS);
+
+// Prisma filter for blogs visible on public routes
+const publicBlogWhere = {
+  deletedAt: null,
+  status: BLOG_STATUS.PUBLISHED,
+};
+
+/**
+ * Check whether a blog is visible to the public
+ * @param {Object} blog - Blog record
+ * @returns {boolean} True if published and not deleted
+ */
+const isPubliclyVisible = (blog) => {
+  return !!blog && !blog.deletedAt && blog.status === BLOG_STATUS.PUBLISHED;
+};
+
+/**
+ * Resolve status and publishAt for a create or update request
+ * - scheduled blogs need a publishAt in the future
+ * - published blogs get publishAt = now unless backdated to a past date
+ * @param {Object} input - Requested values
+ * @param {string} [input.status] - Requested status
+ * @param {string} [input.publishAt] - Requested publish time (ISO 8601, '' clears it)
+ * @param {Object|null} existing - Current blog record when updating
+ * @returns {Object} { status, publishAt } or { error } if the combination is invalid
+ */
+const resolvePublishState = ({ status, publishAt }, existing = null) => {
+  const now = new Date();
+  const nextStatus = status || (existing ? existing.status : BLOG_STATUS.DRAFT);
+
+  let nextPublishAt = existing ? existing.publishAt : null;
+  if (publishAt) {
+    nextPublishAt = new Date(publishAt);
+  } else if (publishAt === '') {
+    nextPublishAt = null;
+  }
+
+  if (nextStatus === BLOG_STATUS.SCHEDULED && (!nextPublishAt || nextPublishAt <= now)) {
+    return { error: 'Scheduled blogs need a publishAt date in the future' };
+  }
+
+  if (nextStatus === BLOG_STATUS.PUBLISHED) {
+    if (nextPublishAt && nextPublishAt > now) {
+      return { error: 'Use status "scheduled" to publish a blog in the future' };
+    }
+    nextPublishAt = nextPublishAt || now;
+  }
+
+  return { status: nextStatus, publishAt: nextPublishAt };
+};
+
+module.exports = {
+  BLOG_STATUS,
+  BLOG_STATUSES,
+  publicBlogWhere,
+  isPubliclyVisible,
+  resolvePublishState,
+};
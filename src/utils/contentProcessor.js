@@ -3,59 +3,109 @@
  * Handles content sanitization, conversion, and optimization
  */
 
-// Note: Install these packages if you want to use this:
-// npm install dompurify jsdom marked
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const mammoth = require('mammoth');
+const MarkdownIt = require('markdown-it');
+const markdownItAnchor = require('markdown-it-anchor');
+const markdownItFootnote = require('markdown-it-footnote');
+const { sanitizeHTML } = require('./htmlSanitizer');
+const logger = require('./logger');
 
 /**
- * Sanitize HTML content to prevent XSS attacks
- * @param {string} html - Raw HTML content
- * @returns {string} Sanitized HTML
+ * Content formats accepted for blog uploads
  */
-const sanitizeHtml = (html) => {
-  // Option 1: Using DOMPurify (recommended for production)
-  // const { JSDOM } = require('jsdom');
-  // const createDOMPurify = require('dompurify');
-  // const window = new JSDOM('').window;
-  // const DOMPurify = createDOMPurify(window);
-  // 
-  // return DOMPurify.sanitize(html, {
-  //   ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'u', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
-  //                  'ul', 'ol', 'li', 'a', 'img', 'blockquote', 'code', 'pre', 'hr', 'table', 
-  //                  'thead', 'tbody', 'tr', 'th', 'td', 'div', 'span'],
-  //   ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'id', 'target', 'rel'],
-  //   ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i,
-  // });
-
-  // Option 2: Simple sanitization (for development)
-  return html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove scripts
-    .replace(/on\w+="[^"]*"/g, '') // Remove inline event handlers
-    .replace(/on\w+='[^']*'/g, '');
+const CONTENT_TYPES = {
+  DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  MARKDOWN: 'text/markdown',
+  HTML: 'text/html',
+};
+
+// Upload extension -> content type. Browsers report inconsistent MIME types for .md files,
+// so the extension is what decides how a file gets rendered.
+const CONTENT_EXTENSIONS = {
+  docx: CONTENT_TYPES.DOCX,
+  md: CONTENT_TYPES.MARKDOWN,
+  markdown: CONTENT_TYPES.MARKDOWN,
+};
+
+// Markdown renderer (CommonMark + GFM tables/strikethrough, fenced code built in)
+// Raw HTML is allowed because every rendered document goes through sanitizeHTML afterwards
+const markdown = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true,
+})
+  .use(markdownItFootnote)
+  .use(markdownItAnchor, {
+    level: [2, 3, 4],
+    permalink: markdownItAnchor.permalink.headerLink(),
+  });
+
+// Elements whose text is separated from the next element's text by a space
+const BLOCK_SELECTOR = 'address, article, aside, blockquote, br, dd, div, dl, dt, figcaption, figure, '
+  + 'footer, h1, h2, h3, h4, h5, h6, header, hr, li, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+// Markup that isn't part of the prose: footnote reference numbers and "↩︎" back-links
+const NON_TEXT_SELECTOR = '.footnote-ref, .footnote-backref, script, style';
+
+/**
+ * Resolve the content type of an uploaded content file from its filename
+ * @param {string} filename - Original filename
+ * @returns {string|null} One of CONTENT_TYPES, or null if unsupported
+ */
+const resolveContentType = (filename) => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return CONTENT_EXTENSIONS[extension] || null;
 };
 
 /**
  * Convert Markdown to HTML
- * @param {string} markdown - Markdown content
- * @returns {string} HTML content
+ * Supports fenced code blocks, tables, footnotes and heading anchors
+ * @param {string} source - Markdown content
+ * @returns {string} HTML content (unsanitized)
  */
-const markdownToHtml = (markdown) => {
-  // const { marked } = require('marked');
-  // return marked.parse(markdown);
-  
-  // Simple fallback for now
-  return markdown;
+const markdownToHtml = (source) => {
+  return markdown.render(source);
+};
+
+/**
+ * Convert a Word document (.docx) to HTML
+ * Embedded images are inlined as data URIs so the rendered page is self-contained
+ * @param {Buffer} docxBuffer - Raw .docx file buffer
+ * @returns {Promise<string>} HTML content (unsanitized)
+ */
+const docxToHtml = async (docxBuffer) => {
+  try {
+    const result = await mammoth.convertToHtml({ buffer: docxBuffer });
+
+    // Mammoth reports unsupported styles/elements as warnings - useful when a document renders oddly
+    result.messages
+      .filter(message => message.type === 'warning')
+      .forEach(message => logger.debug(`DOCX conversion warning: ${message.message}`));
+
+    return result.value;
+  } catch (error) {
+    logger.error(`DOCX conversion error: ${error.message}`);
+    throw new Error(`Failed to convert Word document: ${error.message}`);
+  }
 };
 
 /**
- * Extract plain text from HTML (for search indexing)
+ * Extract plain text from HTML (for search indexing, excerpts and word counts)
+ * Entities are decoded by the parser; footnote markers are left out
  * @param {string} html - HTML content
  * @returns {string} Plain text
  */
 const htmlToPlainText = (html) => {
-  return html
-    .replace(/<[^>]*>/g, ' ')       // Remove HTML tags
-    .replace(/\s+/g, ' ')           // Normalize whitespace
-    .replace(/&nbsp;/g, ' ')        // Replace &nbsp;
+  const fragment = JSDOM.fragment(html || '');
+
+  fragment.querySelectorAll(NON_TEXT_SELECTOR).forEach(element => element.remove());
+  // Keep words of adjacent blocks apart ("<p>one</p><p>two</p>" -> "one two")
+  fragment.querySelectorAll(BLOCK_SELECTOR).forEach(element => element.after(' '));
+
+  return fragment.textContent
+    .replace(/\s+/g, ' ')
     .trim();
 };
 
@@ -73,6 +123,16 @@ const createExcerpt = (content, length = 200) => {
   return plainText.substring(0, length).trim() + '...';
 };
 
+/**
+ * Estimate reading time from a word count
+ * @param {number} wordCount - Number of words in the content
+ * @returns {number} Read time in minutes (at least 1)
+ */
+const calculateReadTime = (wordCount) => {
+  // Average reading speed: 200 words/min
+  return Math.max(1, Math.ceil(wordCount / 200));
+};
+
 /**
  * Optimize images in HTML content (add lazy loading, responsive attributes)
  * @param {string} html - HTML content
@@ -87,43 +147,55 @@ const optimizeImages = (html) => {
 
 /**
  * Process blog content for storage
- * @param {string} content - Raw content
- * @param {string} contentType - 'text/html' or 'text/markdown'
- * @returns {Object} Processed content data
+ * Renders the upload to HTML, sanitizes it and derives preview metadata
+ * @param {Buffer|string} content - Raw uploaded content
+ * @param {string} contentType - One of CONTENT_TYPES
+ * @returns {Promise<Object>} Processed content data
  */
-const processContentForStorage = (content, contentType) => {
-  let processedHtml = content;
-  
-  // Convert Markdown to HTML if needed
-  if (contentType === 'text/markdown') {
-    processedHtml = markdownToHtml(content);
+const processContentForStorage = async (content, contentType) => {
+  let processedHtml;
+
+  // Render the source format to HTML
+  if (contentType === CONTENT_TYPES.DOCX) {
+    processedHtml = await docxToHtml(content);
+  } else if (contentType === CONTENT_TYPES.MARKDOWN) {
+    processedHtml = markdownToHtml(content.toString('utf-8'));
+  } else if (contentType === CONTENT_TYPES.HTML) {
+    processedHtml = content.toString('utf-8');
+  } else {
+    throw new Error(`Unsupported content type: ${contentType}`);
   }
-  
+
   // Sanitize HTML
-  processedHtml = sanitizeHtml(processedHtml);
-  
+  processedHtml = sanitizeHTML(processedHtml);
+
   // Optimize images
   processedHtml = optimizeImages(processedHtml);
-  
+
   // Generate excerpt for search/preview
   const excerpt = createExcerpt(processedHtml, 200);
-  
+
   // Extract word count
-  const wordCount = htmlToPlainText(processedHtml).split(/\s+/).length;
-  
+  const plainText = htmlToPlainText(processedHtml);
+  const wordCount = plainText ? plainText.split(/\s+/).length : 0;
+
   return {
     html: processedHtml,
+    plainText,
     excerpt,
     wordCount,
-    readTime: Math.ceil(wordCount / 200), // Average reading speed: 200 words/min
+    readTime: calculateReadTime(wordCount),
   };
 };
 
 module.exports = {
-  sanitizeHtml,
+  CONTENT_TYPES,
+  resolveContentType,
   markdownToHtml,
+  docxToHtml,
   htmlToPlainText,
   createExcerpt,
+  calculateReadTime,
   optimizeImages,
   processContentForStorage,
 };
@@ -0,0 +1,167 @@
+/**
+ * Syndication Feed Builder
+ * Renders RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents from a common item shape:
+ * { id, url, title, summary, contentHtml, published, updated, tags, author: { name, url }, image: { url, type } }
+ */
+
+const { getSiteUrl } = require('./siteUrls');
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Wrap HTML in a CDATA section (splitting any "]]>" it contains)
+ * @param {string} html - HTML
+ * @returns {string} CDATA section
+ */
+const cdata = (html) => `<![CDATA[${String(html ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * Stable, slug-independent entry ID (RFC 4151 tag URI)
+ * @param {string} name - Local part, e.g. "blog:12" or "feed"
+ * @returns {string} Tag URI
+ */
+const tagUri = (name) => `tag:${new URL(getSiteUrl()).hostname},2025:${name}`;
+
+/**
+ * Guess an image MIME type from its URL
+ * @param {string} url - Image URL (query strings are ignored)
+ * @returns {string} MIME type
+ */
+const imageTypeFromUrl = (url) => {
+  const extension = (url.split('?')[0].split('.').pop() || '').toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - { title, description, siteUrl, feedUrl, updated, items }
+ * @returns {string} XML
+ */
+const buildRssFeed = (feed) => {
+  const items = feed.items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author.name)}</dc:creator>` : null,
+    ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.contentHtml ? `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>` : null,
+    item.image ? `      <enclosure url="${escapeXml(item.image.url)}" type="${item.image.type}" length="0"/>` : null,
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - { id, title, description, siteUrl, feedUrl, updated, items }
+ * @returns {string} XML
+ */
+const buildAtomFeed = (feed) => {
+  const entries = feed.items.map((item) => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    item.author
+      ? `    <author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>`
+      : null,
+    ...item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>` : null,
+    item.image ? `    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>` : null,
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - { title, description, siteUrl, feedUrl, items }
+ * @returns {Object} JSON Feed object
+ */
+const buildJsonFeed = (feed) => {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      // JSON Feed requires content - fall back to the excerpt as text
+      ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary || '' }),
+      image: item.image ? item.image.url : undefined,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      tags: item.tags,
+      authors: item.author ? [{ name: item.author.name, url: item.author.url }] : undefined,
+    })),
+  };
+};
+
+module.exports = {
+  escapeXml,
+  tagUri,
+  imageTypeFromUrl,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+};
@@ -7,6 +7,9 @@ const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const logger = require('./logger');
 
+// Longest expiry S3 allows for presigned URLs (7 days)
+const SHAREABLE_URL_EXPIRY = 7 * 24 * 60 * 60;
+
 const s3Client = new S3Client({
   region: process.env.AWS_REGION,
   credentials: {
@@ -99,7 +102,33 @@ const extractS3Key = (contentUrl) => {
   }
 };
 
+/**
+ * Get a long-lived URL for an S3 object that leaves the API (feeds, share cards)
+ * Served from S3_CDN_URL when configured; otherwise a presigned URL valid for the
+ * SigV4 maximum of 7 days, since external readers may fetch it much later
+ * @param {string} s3Url - S3 URL or key
+ * @returns {Promise<string|null>} Public URL, or null if it can't be built
+ */
+const generateShareableUrl = async (s3Url) => {
+  if (!s3Url) return null;
+
+  const S3_CDN_URL = process.env.S3_CDN_URL;
+  const key = extractS3Key(s3Url);
+
+  if (S3_CDN_URL && key) {
+    return `${S3_CDN_URL.replace(/\/$/, '')}/${key}`;
+  }
+
+  try {
+    return await generatePresignedUrl(s3Url, SHAREABLE_URL_EXPIRY);
+  } catch (error) {
+    logger.warn(`Failed to build shareable URL for ${s3Url}: ${error.message}`);
+    return null;
+  }
+};
+
 module.exports = {
   generatePresignedUrl,
+  generateShareableUrl,
   extractS3Key,
 };
@@ -4,11 +4,136 @@
  */
 
 const { query } = require('../db/pool');
+const { BLOG_STATUS } = require('./blogStatus');
 const logger = require('./logger');
 
+// ts_headline marks matches with control characters rather than <mark>: titles and body
+// text are stored unescaped, so headlines are HTML-escaped before the markers become <mark>
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HIGHLIGHT_PATTERN = /\u0002([^\u0002\u0003]*)\u0003/g;
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+const BODY_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Result orderings for advancedSearchBlogs
+const SEARCH_SORT = {
+  RELEVANCE: 'relevance',
+  NEWEST: 'newest',
+  POPULAR: 'popular',
+};
+
+const SEARCH_SORTS = Object.values(SEARCH_SORT);
+
+// ORDER BY for each sort (used for both the inner page query and the outer headline query)
+const SORT_ORDER = {
+  [SEARCH_SORT.RELEVANCE]: 'rank DESC, "createdAt" DESC',
+  [SEARCH_SORT.NEWEST]: 'COALESCE("publishAt", "createdAt") DESC, id DESC',
+  [SEARCH_SORT.POPULAR]: 'views DESC, likes DESC, id DESC',
+};
+
+// A word: letters (with combining marks) and digits in any script
+const SEARCH_WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// One search term: optional minus, optional field prefix, then a quoted phrase or a bare word
+const SEARCH_TERM_PATTERN = /(-?)(?:(tag|title):)?("[^"]*"?|[^\s"]+)/gi;
+
+// Minimum pg_trgm similarity for suggestions and "did you mean" corrections
+const SUGGEST_SIMILARITY_THRESHOLD = 0.3;
+// Words shorter than this are never corrected (too many near matches)
+const MIN_CORRECTION_LENGTH = 3;
+
+// "Did you mean" reads the search_vocabulary materialized view (words of published titles
+// and tags), refreshed in the background once it is older than this
+const SEARCH_VOCABULARY_TTL_MS = parseInt(process.env.SEARCH_VOCABULARY_TTL_MS || '3600000', 10); // 1 hour default
+
+let vocabularyRefreshedAt = 0;
+let vocabularyRefresh = null;
+
+// Related posts: each shared tag adds RELATED_TAG_WEIGHT, text similarity (ts_rank, ~0-0.1) is scaled by RELATED_TEXT_WEIGHT
+const RELATED_TAG_WEIGHT = 1;
+const RELATED_TEXT_WEIGHT = 10;
+
+/**
+ * Split a search string into lowercase words (letters and digits, any script)
+ * Everything else is dropped, so words are safe to splice into tsquery syntax
+ * @param {string} text - Raw search input
+ * @returns {string[]} Words
+ */
+const toSearchWords = (text) => {
+  return (text || '').toLowerCase().match(SEARCH_WORD_PATTERN) || [];
+};
+
+/**
+ * Parse search syntax into free text and field-scoped terms
+ * Free text keeps websearch_to_tsquery syntax ("exact phrase", -exclude, OR), which
+ * never fails on malformed input. Field terms: tag:meditation, tag:"inner peace",
+ * title:karma, title:"law of karma" - each can be negated with a leading minus.
+ *
+ * @param {string} searchQuery - Raw search input
+ * @returns {Object} { terms, text, titleQuery, includeTags, excludeTags }
+ *   terms - every parsed term ({ raw, field, negated, value }), in input order
+ *   text - free text for websearch_to_tsquery ('' if none)
+ *   titleQuery - to_tsquery expression restricted to title lexemes (weight A), or null
+ *   includeTags / excludeTags - lowercase tags the blog must / must not have
+ */
+const parseSearchQuery = (searchQuery) => {
+  const terms = [...(searchQuery || '').matchAll(SEARCH_TERM_PATTERN)].map(([raw, minus, field, value]) => ({
+    raw,
+    field: field ? field.toLowerCase() : null,
+    negated: minus === '-',
+    value: value.replace(/"/g, '').trim(),
+  }));
+
+  const text = terms
+    .filter(term => !term.field)
+    .map(term => term.raw)
+    .join(' ');
+
+  // Title terms become weight-A lexemes (titles are weighted A in blogs_search_text).
+  // Only letters and digits reach to_tsquery, so the expression is always valid.
+  const titleParts = terms
+    .filter(term => term.field === 'title')
+    .map((term) => {
+      const words = toSearchWords(term.value);
+      if (words.length === 0) return null;
+      const phrase = words.map(word => `${word}:A`).join(' <-> ');
+      return term.negated ? `!(${phrase})` : `(${phrase})`;
+    })
+    .filter(Boolean);
+
+  const tagTerms = terms.filter(term => term.field === 'tag' && term.value);
+
+  return {
+    terms,
+    text: toSearchWords(text).length > 0 ? text : '',
+    titleQuery: titleParts.length > 0 ? titleParts.join(' & ') : null,
+    includeTags: tagTerms.filter(term => !term.negated).map(term => term.value.toLowerCase()),
+    excludeTags: tagTerms.filter(term => term.negated).map(term => term.value.toLowerCase()),
+  };
+};
+
+/**
+ * Turn a ts_headline result into safe HTML: everything is escaped and only the
+ * match markers become <mark></mark>
+ * @param {string|null} headline - ts_headline output
+ * @returns {string|null} HTML snippet
+ */
+const highlightToHtml = (headline) => {
+  if (headline === null || headline === undefined) return headline;
+
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replace(HIGHLIGHT_PATTERN, '<mark>$1</mark>')
+    .replace(/[\u0002\u0003]/g, '');
+};
+
 /**
  * Perform full-text search on blogs
- * Searches across title and tags using PostgreSQL's built-in full-text search
+ * Searches title, tags and article body (weighted in that order) using PostgreSQL's
+ * built-in full-text search. Each result has a `headline` snippet of the body and a
+ * `titleHighlight`: HTML-escaped, with matched terms wrapped in <mark></mark>
  * 
  * @param {string} searchQuery - User's search query
  * @param {number} limit - Maximum results to return
@@ -16,77 +141,24 @@ const logger = require('./logger');
  * @returns {Promise<Object>} Search results and count
  */
 const searchBlogs = async (searchQuery, limit = 20, offset = 0) => {
-  try {
-    if (!searchQuery || searchQuery.trim().length === 0) {
-      throw new Error('Search query cannot be empty');
-    }
-
-    // Sanitize search query - remove special characters that could break the query
-    const sanitizedQuery = searchQuery.trim().replace(/[^\w\s]/gi, ' ');
-
-    // SQL query for full-text search with ranking
-    // Uses the immutable function blogs_search_text() for better performance
-    // Searches all blogs (no status filter)
-    const searchSQL = `
-      SELECT 
-        id,
-        title,
-        tags,
-        "contentUrl",
-        "coverImageUrl",
-        "readTime",
-        views,
-        likes,
-        "createdAt",
-        "updatedAt",
-        ts_rank(blogs_search_text(title, tags), plainto_tsquery('english', $1)) AS rank
-      FROM blogs
-      WHERE 
-        "deletedAt" IS NULL
-        AND blogs_search_text(title, tags) @@ plainto_tsquery('english', $1)
-      ORDER BY rank DESC, "createdAt" DESC
-      LIMIT $2 OFFSET $3
-    `;
-
-    // Count query for total results
-    const countSQL = `
-      SELECT COUNT(*) as total
-      FROM blogs
-      WHERE 
-        "deletedAt" IS NULL
-        AND blogs_search_text(title, tags) @@ plainto_tsquery('english', $1)
-    `;
-
-    // Execute both queries
-    const [searchResults, countResults] = await Promise.all([
-      query(searchSQL, [sanitizedQuery, limit, offset]),
-      query(countSQL, [sanitizedQuery]),
-    ]);
-
-    const total = parseInt(countResults.rows[0].total, 10);
-    const totalPages = Math.ceil(total / limit);
-
-    return {
-      results: searchResults.rows,
-      pagination: {
-        total,
-        page: Math.floor(offset / limit) + 1,
-        limit,
-        totalPages,
-        hasMore: offset + limit < total,
-      },
-    };
-  } catch (error) {
-    logger.error(`Search error: ${error.message}`, { error: error.stack, searchQuery });
-    throw new Error(`Search failed: ${error.message}`);
+  if (!searchQuery || searchQuery.trim().length === 0) {
+    throw new Error('Search query cannot be empty');
   }
+
+  return advancedSearchBlogs({ query: searchQuery, limit, offset });
 };
 
 /**
  * Search blogs with additional filters
+ * Every filter is optional; without a query, results are only filtered and sorted
  * @param {Object} options - Search options
- * @param {string} options.query - Search query
- * @param {string[]} options.tags - Filter by tags
+ * @param {string} options.query - Search query (syntax: see parseSearchQuery)
+ * @param {string[]} options.tags - Filter by tags (blog must have at least one)
+ * @param {Date} options.from - Published on or after
+ * @param {Date} options.to - Published before
+ * @param {number} options.minReadTime - Minimum read time in minutes
+ * @param {number} options.maxReadTime - Maximum read time in minutes
+ * @param {string} options.sort - One of SEARCH_SORTS (relevance falls back to newest without a query)
  * @param {number} options.limit - Results limit
  * @param {number} options.offset - Results offset
  * @returns {Promise<Object>} Search results
@@ -95,20 +167,61 @@ const advancedSearchBlogs = async (options) => {
   const {
     query: searchQuery,
     tags = [],
+    from = null,
+    to = null,
+    minReadTime = null,
+    maxReadTime = null,
+    sort = SEARCH_SORT.RELEVANCE,
     limit = 20,
     offset = 0,
   } = options;
 
   try {
-    let conditions = ['"deletedAt" IS NULL'];
-    let params = [];
-    let paramCount = 0;
+    let conditions = ['"deletedAt" IS NULL', 'status = $1'];
+    let params = [BLOG_STATUS.PUBLISHED];
+    let paramCount = 1;
+
+    const parsedQuery = parseSearchQuery(searchQuery);
+
+    // Full-text part: free text (websearch syntax) AND title-scoped terms
+    const queryParts = [];
+    if (parsedQuery.text) {
+      paramCount++;
+      queryParts.push(`websearch_to_tsquery('english', $${paramCount})`);
+      params.push(parsedQuery.text);
+    }
+    if (parsedQuery.titleQuery) {
+      paramCount++;
+      queryParts.push(`to_tsquery('english', $${paramCount})`);
+      params.push(parsedQuery.titleQuery);
+    }
+    const matchQuery = queryParts.length > 0 ? `(${queryParts.join(' && ')})` : null;
+    const hasQuery = !!matchQuery;
+    const hasTagTerms = parsedQuery.includeTags.length > 0 || parsedQuery.excludeTags.length > 0;
+
+    // A query made only of punctuation can't match anything (rather than matching everything)
+    if (searchQuery && searchQuery.trim() && !hasQuery && !hasTagTerms) {
+      return {
+        results: [],
+        pagination: { total: 0, page: Math.floor(offset / limit) + 1, limit, totalPages: 0, hasMore: false },
+      };
+    }
+
+    if (hasQuery) {
+      conditions.push(`blogs_search_text(title, tags, "bodyText") @@ ${matchQuery}`);
+    }
 
-    // Add full-text search condition
-    if (searchQuery && searchQuery.trim()) {
+    // tag:x / -tag:x terms (case-insensitive, every included tag is required)
+    for (const tag of parsedQuery.includeTags) {
       paramCount++;
-      conditions.push(`blogs_search_text(title, tags) @@ plainto_tsquery('english', $${paramCount})`);
-      params.push(searchQuery.trim());
+      conditions.push(`EXISTS (SELECT 1 FROM unnest(tags) AS tag WHERE lower(tag) = $${paramCount})`);
+      params.push(tag);
+    }
+
+    for (const tag of parsedQuery.excludeTags) {
+      paramCount++;
+      conditions.push(`NOT EXISTS (SELECT 1 FROM unnest(tags) AS tag WHERE lower(tag) = $${paramCount})`);
+      params.push(tag);
     }
 
     // Add tags filter (blog must have at least one of the specified tags)
@@ -118,26 +231,71 @@ const advancedSearchBlogs = async (options) => {
       params.push(tags);
     }
 
+    // Add publish date range (blogs published before publishAt existed fall back to createdAt)
+    if (from) {
+      paramCount++;
+      conditions.push(`COALESCE("publishAt", "createdAt") >= $${paramCount}`);
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      conditions.push(`COALESCE("publishAt", "createdAt") < $${paramCount}`);
+      params.push(to);
+    }
+
+    // Add read time range
+    if (minReadTime) {
+      paramCount++;
+      conditions.push(`"readTime" >= $${paramCount}`);
+      params.push(minReadTime);
+    }
+
+    if (maxReadTime) {
+      paramCount++;
+      conditions.push(`"readTime" <= $${paramCount}`);
+      params.push(maxReadTime);
+    }
+
     const whereClause = conditions.join(' AND ');
+    const orderBy = SORT_ORDER[sort === SEARCH_SORT.RELEVANCE && !hasQuery ? SEARCH_SORT.NEWEST : sort];
 
     // Build search query
+    // Headlines are built in the outer query so ts_headline only runs on the page of
+    // results, not on every match
     const searchSQL = `
-      SELECT 
-        id,
-        title,
-        tags,
-        "contentUrl",
-        "coverImageUrl",
-        "readTime",
-        views,
-        likes,
-        "createdAt",
-        "updatedAt"
-        ${searchQuery ? `, ts_rank(blogs_search_text(title, tags), plainto_tsquery('english', $1)) AS rank` : ''}
-      FROM blogs
-      WHERE ${whereClause}
-      ORDER BY ${searchQuery ? 'rank DESC,' : ''} "createdAt" DESC
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      SELECT
+        ranked.*
+        ${hasQuery ? `,
+        ts_headline('english', ranked.title, ${matchQuery}, $${paramCount + 3}) AS "titleHighlight",
+        (
+          SELECT ts_headline('english', COALESCE(b."bodyText", ranked.excerpt, ''), ${matchQuery}, $${paramCount + 4})
+          FROM blogs AS b
+          WHERE b.id = ranked.id
+        ) AS headline` : ''}
+      FROM (
+        SELECT 
+          id,
+          title,
+          slug,
+          tags,
+          "contentUrl",
+          "coverImageUrl",
+          "readTime",
+          "wordCount",
+          excerpt,
+          views,
+          likes,
+          "publishAt",
+          "createdAt",
+          "updatedAt"
+          ${hasQuery ? `, ts_rank(blogs_search_text(title, tags, "bodyText"), ${matchQuery}) AS rank` : ''}
+        FROM blogs
+        WHERE ${whereClause}
+        ORDER BY ${orderBy}
+        LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      ) AS ranked
+      ORDER BY ${orderBy}
     `;
 
     const countSQL = `
@@ -146,18 +304,28 @@ const advancedSearchBlogs = async (options) => {
       WHERE ${whereClause}
     `;
 
+    const countParams = [...params];
     params.push(limit, offset);
+    if (hasQuery) {
+      params.push(TITLE_HEADLINE_OPTIONS, BODY_HEADLINE_OPTIONS);
+    }
 
     const [searchResults, countResults] = await Promise.all([
       query(searchSQL, params),
-      query(countSQL, params.slice(0, -2)), // Remove limit and offset for count
+      query(countSQL, countParams),
     ]);
 
     const total = parseInt(countResults.rows[0].total, 10);
     const totalPages = Math.ceil(total / limit);
 
     return {
-      results: searchResults.rows,
+      results: hasQuery
+        ? searchResults.rows.map(row => ({
+          ...row,
+          titleHighlight: highlightToHtml(row.titleHighlight),
+          headline: highlightToHtml(row.headline),
+        }))
+        : searchResults.rows,
       pagination: {
         total,
         page: Math.floor(offset / limit) + 1,
@@ -167,12 +335,229 @@ const advancedSearchBlogs = async (options) => {
       },
     };
   } catch (error) {
-    logger.error(`Advanced search error: ${error.message}`, { error: error.stack, filters });
+    logger.error(`Advanced search error: ${error.message}`, { error: error.stack, options });
     throw new Error(`Advanced search failed: ${error.message}`);
   }
 };
 
+/**
+ * Suggest title and tag completions for a partial search
+ * Titles match when they contain every typed word (the last one as a prefix) or are
+ * trigram-similar to the input; tags match by prefix or similarity
+ *
+ * @param {string} partialQuery - What the reader has typed so far
+ * @param {number} limit - Maximum titles and maximum tags to return
+ * @returns {Promise<Object>} { titles: [{ id, title, slug }], tags: [{ tag, count }] }
+ */
+const suggestSearchTerms = async (partialQuery, limit = 5) => {
+  try {
+    const words = toSearchWords(partialQuery);
+    const input = words.join(' ');
+
+    if (!input) {
+      return { titles: [], tags: [] };
+    }
+
+    // 'simple' config so prefixes aren't compared against stemmed lexemes
+    const prefixQuery = words.map((word, index) => (index === words.length - 1 ? `${word}:*` : word)).join(' & ');
+
+    const titleSQL = `
+      SELECT id, title, slug
+      FROM (
+        SELECT
+          id,
+          title,
+          slug,
+          views,
+          to_tsvector('simple', title) @@ to_tsquery('simple', $1) AS prefix_match,
+          similarity(title, $2) AS score
+        FROM blogs
+        WHERE
+          "deletedAt" IS NULL
+          AND status = $5
+          AND (to_tsvector('simple', title) @@ to_tsquery('simple', $1) OR title % $2)
+      ) AS matches
+      WHERE prefix_match OR score >= $3
+      ORDER BY prefix_match DESC, score DESC, views DESC
+      LIMIT $4
+    `;
+
+    const tagSQL = `
+      SELECT tag, COUNT(*)::int AS count
+      FROM blogs, unnest(tags) AS tag
+      WHERE
+        "deletedAt" IS NULL
+        AND status = $4
+        AND (lower(tag) LIKE $1::text || '%' OR similarity(lower(tag), $1) >= $2)
+      GROUP BY tag
+      ORDER BY bool_or(lower(tag) LIKE $1::text || '%') DESC, MAX(similarity(lower(tag), $1)) DESC, count DESC
+      LIMIT $3
+    `;
+
+    const [titleResults, tagResults] = await Promise.all([
+      query(titleSQL, [prefixQuery, input, SUGGEST_SIMILARITY_THRESHOLD, limit, BLOG_STATUS.PUBLISHED]),
+      query(tagSQL, [input, SUGGEST_SIMILARITY_THRESHOLD, limit, BLOG_STATUS.PUBLISHED]),
+    ]);
+
+    return {
+      titles: titleResults.rows,
+      tags: tagResults.rows,
+    };
+  } catch (error) {
+    logger.error(`Search suggest error: ${error.message}`, { error: error.stack, partialQuery });
+    throw new Error(`Search suggest failed: ${error.message}`);
+  }
+};
+
+/**
+ * Refresh the search_vocabulary view if it is older than SEARCH_VOCABULARY_TTL_MS
+ * Runs in the background - corrections use the current contents meanwhile
+ */
+const refreshSearchVocabularyIfStale = () => {
+  if (vocabularyRefresh || Date.now() - vocabularyRefreshedAt < SEARCH_VOCABULARY_TTL_MS) return;
+
+  vocabularyRefresh = query('REFRESH MATERIALIZED VIEW CONCURRENTLY search_vocabulary')
+    .then(() => {
+      vocabularyRefreshedAt = Date.now();
+    })
+    .catch((error) => {
+      logger.warn(`Search vocabulary refresh failed: ${error.message}`);
+    })
+    .finally(() => {
+      vocabularyRefresh = null;
+    });
+};
+
+/**
+ * Build a "did you mean" correction for a query that found nothing
+ * Each free-text and title: word is replaced by the most similar word used in published
+ * titles and tags; query syntax (phrases, exclusions, tag: terms) is kept as typed
+ *
+ * @param {string} searchQuery - Query that returned no results
+ * @returns {Promise<string|null>} Corrected query, or null if nothing better was found
+ */
+const suggestQueryCorrection = async (searchQuery) => {
+  try {
+    const { terms } = parseSearchQuery(searchQuery);
+
+    // Tags must match exactly, and OR is an operator - neither is corrected
+    const correctable = terms.filter(term => term.field !== 'tag');
+    const candidates = [...new Set(
+      correctable
+        .flatMap(term => toSearchWords(term.value))
+        .filter(word => word.length >= MIN_CORRECTION_LENGTH && word !== 'or')
+    )];
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    refreshSearchVocabularyIfStale();
+
+    // % narrows candidates through the trigram index (pg_trgm's default threshold is 0.3)
+    const correctionSQL = `
+      SELECT input.word AS input, best.word AS correction
+      FROM unnest($1::text[]) AS input(word)
+      CROSS JOIN LATERAL (
+        SELECT v.word
+        FROM search_vocabulary AS v
+        WHERE v.word % input.word AND similarity(v.word, input.word) >= $2
+        ORDER BY similarity(v.word, input.word) DESC, v.ndoc DESC
+        LIMIT 1
+      ) AS best
+    `;
+
+    const result = await query(correctionSQL, [candidates, SUGGEST_SIMILARITY_THRESHOLD]);
+    const corrections = new Map(result.rows.map(row => [row.input, row.correction]));
+
+    if (corrections.size === 0 || [...corrections].every(([input, correction]) => input === correction)) {
+      return null;
+    }
+
+    // Swap words in place so phrases, exclusions and field prefixes are kept
+    return terms
+      .map((term) => {
+        if (term.field === 'tag') return term.raw;
+        const prefixLength = term.field ? term.raw.indexOf(':') + 1 : 0;
+        const value = term.raw.slice(prefixLength).replace(SEARCH_WORD_PATTERN, word => corrections.get(word.toLowerCase()) || word);
+        return term.raw.slice(0, prefixLength) + value;
+      })
+      .join(' ');
+  } catch (error) {
+    // A missing suggestion shouldn't fail the search it belongs to
+    logger.warn(`Query correction failed: ${error.message}`, { searchQuery });
+    return null;
+  }
+};
+
+/**
+ * Find published blogs related to a blog
+ * Ranks by number of shared tags plus full-text similarity: every lexeme of the blog's
+ * title and tags is OR-ed into one tsquery and matched against the other blogs' weighted
+ * search documents (title, tags and body)
+ *
+ * @param {number} blogId - Blog to find related posts for (excluded from results)
+ * @param {number} limit - Maximum results to return
+ * @returns {Promise<Array>} [{ id, sharedTags, score }] ordered by score, highest first
+ */
+const findRelatedBlogs = async (blogId, limit = 5) => {
+  try {
+    const relatedSQL = `
+      WITH source AS (
+        SELECT
+          tags,
+          NULLIF(
+            array_to_string(
+              ARRAY(SELECT quote_literal(lexeme) FROM unnest(tsvector_to_array(blogs_search_text(title, tags, NULL))) AS lexeme),
+              ' | '
+            ),
+            ''
+          )::tsquery AS terms
+        FROM blogs
+        WHERE id = $1
+      ),
+      candidates AS (
+        SELECT
+          b.id,
+          b."publishAt",
+          cardinality(ARRAY(SELECT unnest(b.tags) INTERSECT SELECT unnest(source.tags))) AS shared_tags,
+          COALESCE(ts_rank(blogs_search_text(b.title, b.tags, b."bodyText"), source.terms), 0) AS similarity
+        FROM blogs AS b, source
+        WHERE
+          b.id <> $1
+          AND b."deletedAt" IS NULL
+          AND b.status = $5
+          AND (b.tags && source.tags OR blogs_search_text(b.title, b.tags, b."bodyText") @@ source.terms)
+      )
+      SELECT
+        id,
+        shared_tags,
+        shared_tags * $2 + similarity * $3 AS score
+      FROM candidates
+      ORDER BY score DESC, "publishAt" DESC NULLS LAST, id DESC
+      LIMIT $4
+    `;
+
+    const result = await query(relatedSQL, [blogId, RELATED_TAG_WEIGHT, RELATED_TEXT_WEIGHT, limit, BLOG_STATUS.PUBLISHED]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sharedTags: row.shared_tags,
+      score: Math.round(parseFloat(row.score) * 1000) / 1000,
+    }));
+  } catch (error) {
+    logger.error(`Related blogs error: ${error.message}`, { error: error.stack, blogId });
+    throw new Error(`Related blogs lookup failed: ${error.message}`);
+  }
+};
+
 module.exports = {
+  SEARCH_SORT,
+  SEARCH_SORTS,
+  parseSearchQuery,
   searchBlogs,
   advancedSearchBlogs,
+  suggestSearchTerms,
+  suggestQueryCorrection,
+  findRelatedBlogs,
 };
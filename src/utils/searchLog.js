@@ -0,0 +1,71 @@
+/**
+ * Search Log Utility
+ * Records reader searches in the search_log table for the admin search analytics
+ */
+
+const prisma = require('../prismaClient');
+const { getVisitorHash } = require('./visitor');
+const { isBotRequest } = require('../services/viewTracker');
+const logger = require('./logger');
+
+// Reporting windows for the analytics endpoints, in days
+const SEARCH_PERIODS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  quarter: 90,
+};
+
+const SEARCH_PERIOD_NAMES = Object.keys(SEARCH_PERIODS);
+
+/**
+ * Normalize a search query so variants of the same search aggregate together
+ * @param {string} searchQuery - Raw search input
+ * @returns {string} Lowercased, trimmed query with whitespace collapsed
+ */
+const normalizeSearchQuery = (searchQuery) => {
+  return (searchQuery || '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Record a search (fire-and-forget - logging never delays or fails the search)
+ * Bot requests are not recorded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (a visitor cookie may be set)
+ * @param {Object} entry - { query, resultCount }
+ */
+const recordSearch = (req, res, { query, resultCount }) => {
+  try {
+    const normalizedQuery = normalizeSearchQuery(query);
+    if (!normalizedQuery || isBotRequest(req)) return;
+
+    prisma.searchLog.create({
+      data: {
+        query: normalizedQuery,
+        clientHash: getVisitorHash(req, res),
+        resultCount,
+      },
+    }).catch((error) => {
+      logger.warn(`Failed to record search: ${error.message}`);
+    });
+  } catch (error) {
+    logger.warn(`Failed to record search: ${error.message}`);
+  }
+};
+
+/**
+ * Get the start of a reporting window
+ * @param {string} period - One of SEARCH_PERIOD_NAMES
+ * @returns {Date} Now minus the period
+ */
+const getPeriodStart = (period) => {
+  return new Date(Date.now() - SEARCH_PERIODS[period] * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  SEARCH_PERIODS,
+  SEARCH_PERIOD_NAMES,
+  normalizeSearchQuery,
+  recordSearch,
+  getPeriodStart,
+};
@@ -0,0 +1,138 @@
+/**
+ * SEO Metadata
+ * Open Graph, Twitter Card and schema.org BlogPosting metadata for a blog,
+ * and the HTML stub served to social crawlers at /share/:id
+ */
+
+const { generateShareableUrl } = require('./presignedUrl');
+const { escapeXml } = require('./feedBuilder');
+const {
+  SITE_NAME,
+  getSiteUrl,
+  blogPageUrl,
+  authorPageUrl,
+} = require('./siteUrls');
+
+// Site account credited on Twitter cards, e.g. @beyondmoksha (optional)
+const TWITTER_SITE = process.env.TWITTER_SITE || null;
+
+/**
+ * Build the metadata of a blog, applying its SEO overrides
+ * @param {Object} blog - Blog record with author included
+ * @returns {Promise<Object>} { title, description, pageUrl, canonicalUrl, robots, image, openGraph, twitter, jsonLd }
+ */
+const buildBlogMeta = async (blog) => {
+  const description = blog.metaDescription || blog.excerpt || '';
+  const pageUrl = blogPageUrl(blog);
+  const canonicalUrl = blog.canonicalUrl || pageUrl;
+  const image = blog.ogImageUrl || await generateShareableUrl(blog.coverImageUrl);
+  const published = blog.publishAt || blog.createdAt;
+  const author = blog.author
+    ? { name: blog.author.name, url: authorPageUrl(blog.author) }
+    : null;
+
+  const openGraph = {
+    'og:type': 'article',
+    'og:site_name': SITE_NAME,
+    'og:title': blog.title,
+    'og:description': description,
+    'og:url': canonicalUrl,
+    'og:image': image,
+    'article:published_time': published.toISOString(),
+    'article:modified_time': blog.updatedAt.toISOString(),
+    'article:author': author ? author.url : null,
+    'article:tag': blog.tags,
+  };
+
+  const twitter = {
+    'twitter:card': image ? 'summary_large_image' : 'summary',
+    'twitter:site': TWITTER_SITE,
+    'twitter:title': blog.title,
+    'twitter:description': description,
+    'twitter:image': image,
+  };
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: blog.title,
+    description: description || undefined,
+    url: canonicalUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    image: image || undefined,
+    datePublished: published.toISOString(),
+    dateModified: blog.updatedAt.toISOString(),
+    author: author ? { '@type': 'Person', name: author.name, url: author.url } : undefined,
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: getSiteUrl() },
+    keywords: blog.tags.length > 0 ? blog.tags.join(', ') : undefined,
+    wordCount: blog.wordCount ?? undefined,
+  };
+
+  return {
+    title: blog.title,
+    description,
+    pageUrl,
+    canonicalUrl,
+    robots: blog.noindex ? 'noindex, nofollow' : 'index, follow',
+    image,
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+};
+
+/**
+ * Render <meta property|name> tags, skipping empty values and repeating arrays
+ * @param {string} attribute - "property" (Open Graph) or "name" (Twitter)
+ * @param {Object} tags - { name: value | value[] }
+ * @returns {string[]} Tags
+ */
+const renderMetaTags = (attribute, tags) => {
+  return Object.entries(tags).flatMap(([name, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .filter(item => item !== null && item !== undefined && item !== '')
+      .map(item => `    <meta ${attribute}="${name}" content="${escapeXml(item)}">`);
+  });
+};
+
+/**
+ * Render the share page for social crawlers
+ * Crawlers read the meta tags; browsers are sent on to the blog page on SITE_URL.
+ * The canonical URL is an author-supplied override and may point anywhere, so it is
+ * only advertised, never redirected to
+ * @param {Object} meta - Result of buildBlogMeta
+ * @returns {string} HTML
+ */
+const renderSharePage = (meta) => {
+  const canonicalUrl = escapeXml(meta.canonicalUrl);
+  const pageUrl = escapeXml(meta.pageUrl);
+  // "<" is escaped so the title or description can't close the script element
+  const jsonLd = JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '  <head>',
+    '    <meta charset="utf-8">',
+    `    <title>${escapeXml(meta.title)} | ${escapeXml(SITE_NAME)}</title>`,
+    `    <meta name="description" content="${escapeXml(meta.description)}">`,
+    `    <meta name="robots" content="${meta.robots}">`,
+    `    <link rel="canonical" href="${canonicalUrl}">`,
+    ...renderMetaTags('property', meta.openGraph),
+    ...renderMetaTags('name', meta.twitter),
+    `    <script type="application/ld+json">${jsonLd}</script>`,
+    `    <meta http-equiv="refresh" content="0; url=${pageUrl}">`,
+    '  </head>',
+    '  <body>',
+    `    <p><a href="${pageUrl}">${escapeXml(meta.title)}</a></p>`,
+    '  </body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  buildBlogMeta,
+  renderSharePage,
+};
@@ -0,0 +1,64 @@
+/**
+ * Series Utilities
+ * Visibility of series parts and previous/next navigation for blog detail responses
+ */
+
+const prisma = require('../prismaClient');
+const { publicBlogWhere } = require('./blogStatus');
+
+/**
+ * Prisma filter for the parts of a series a requester can see
+ * Parts are numbered among visible blogs only, so drafts and trashed blogs leave no gaps
+ * @param {boolean} includeDrafts - Whether unpublished blogs are visible (read-drafts keys)
+ * @returns {Object} Blog where clause
+ */
+const seriesBlogWhere = (includeDrafts) => {
+  return includeDrafts ? { deletedAt: null } : publicBlogWhere;
+};
+
+/**
+ * Get the series a blog belongs to, with its neighbours
+ * @param {number} blogId - Blog ID
+ * @param {boolean} includeDrafts - Whether unpublished parts are visible
+ * @returns {Promise<Object|null>} { id, title, part, totalParts, previous, next } or null if the blog is in no series
+ */
+const getSeriesNavigation = async (blogId, includeDrafts) => {
+  const membership = await prisma.seriesPost.findUnique({
+    where: { blogId },
+    select: {
+      series: {
+        select: {
+          id: true,
+          title: true,
+          posts: {
+            where: { blog: seriesBlogWhere(includeDrafts) },
+            orderBy: { position: 'asc' },
+            select: { blog: { select: { id: true, title: true, slug: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  if (!membership) return null;
+
+  const { series } = membership;
+  const parts = series.posts.map(post => post.blog);
+  const index = parts.findIndex(part => part.id === blogId);
+
+  if (index === -1) return null;
+
+  return {
+    id: series.id,
+    title: series.title,
+    part: index + 1,
+    totalParts: parts.length,
+    previous: parts[index - 1] || null,
+    next: parts[index + 1] || null,
+  };
+};
+
+module.exports = {
+  seriesBlogWhere,
+  getSeriesNavigation,
+};
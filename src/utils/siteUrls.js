@@ -0,0 +1,83 @@
+/**
+ * Site URL Helpers
+ * Public URLs of the frontend pages (used in feeds, sitemaps and share metadata)
+ * Base URL and path patterns come from the environment, not hard-coded routes
+ */
+
+const SITE_NAME = process.env.SITE_NAME || 'BeyondMoksha';
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'Articles from BeyondMoksha';
+
+// Frontend route patterns - :slug, :tag (tag slug) and :id are substituted
+const BLOG_PATH = process.env.SITE_BLOG_PATH || '/blog/:slug';
+const TAG_PATH = process.env.SITE_TAG_PATH || '/blog/tag/:tag';
+const AUTHOR_PATH = process.env.SITE_AUTHOR_PATH || '/authors/:id';
+
+/**
+ * Base URL of the frontend, without trailing slash
+ * Read on use rather than at load, so a missing SITE_URL is reported by the startup check
+ * in server.js. There is no default - links to the wrong site would end up in feed readers
+ * and search engines
+ * @returns {string}
+ * @throws {Error} If SITE_URL is not set
+ */
+const getSiteUrl = () => {
+  if (!process.env.SITE_URL) {
+    throw new Error('SITE_URL environment variable is not defined');
+  }
+  return process.env.SITE_URL.replace(/\/$/, '');
+};
+
+/**
+ * Fill a path pattern and prefix it with SITE_URL
+ * @param {string} pattern - Path with :name placeholders
+ * @param {Object} values - Placeholder values (URL-encoded when substituted)
+ * @returns {string} Absolute URL
+ */
+const buildSiteUrl = (pattern, values) => {
+  const path = pattern.replace(/:(\w+)/g, (match, name) => encodeURIComponent(values[name] ?? ''));
+  return `${getSiteUrl()}${path}`;
+};
+
+/**
+ * Public URL of a blog page
+ * @param {Object} blog - Blog record (needs slug)
+ * @returns {string}
+ */
+const blogPageUrl = (blog) => buildSiteUrl(BLOG_PATH, { slug: blog.slug, id: blog.id });
+
+/**
+ * Public URL of a tag page
+ * @param {Object} tag - Tag record (needs slug)
+ * @returns {string}
+ */
+const tagPageUrl = (tag) => buildSiteUrl(TAG_PATH, { tag: tag.slug, slug: tag.slug });
+
+/**
+ * Public URL of an author page
+ * @param {Object} author - Author record (needs id)
+ * @returns {string}
+ */
+const authorPageUrl = (author) => buildSiteUrl(AUTHOR_PATH, { id: author.id });
+
+/**
+ * Public base URL of this API, for self links in feeds and sitemaps
+ * PUBLIC_API_URL wins; otherwise it is taken from the request
+ * @param {Object} req - Express request object
+ * @returns {string} Base URL without trailing slash
+ */
+const getPublicApiUrl = (req) => {
+  if (process.env.PUBLIC_API_URL) {
+    return process.env.PUBLIC_API_URL.replace(/\/$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+module.exports = {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  getSiteUrl,
+  blogPageUrl,
+  tagPageUrl,
+  authorPageUrl,
+  getPublicApiUrl,
+};
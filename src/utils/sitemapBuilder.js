@@ -0,0 +1,53 @@
+/**
+ * Sitemap Builder
+ * Renders sitemaps and sitemap indexes (sitemaps.org protocol 0.9)
+ */
+
+const { escapeXml } = require('./feedBuilder');
+
+// Protocol limit per sitemap file
+const SITEMAP_MAX_URLS = 50000;
+
+// Sections of a split sitemap, in index order (/sitemaps/{section}-{page}.xml)
+const SITEMAP_SECTION_NAMES = ['blogs', 'tags', 'authors'];
+
+/**
+ * Render a <urlset> sitemap
+ * @param {Array} urls - [{ loc, lastmod }] (lastmod optional)
+ * @returns {string} XML
+ */
+const buildUrlset = (urls) => {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => (url.lastmod
+      ? `  <url><loc>${escapeXml(url.loc)}</loc><lastmod>${url.lastmod.toISOString()}</lastmod></url>`
+      : `  <url><loc>${escapeXml(url.loc)}</loc></url>`)),
+    '</urlset>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render a <sitemapindex> pointing at sitemap files
+ * @param {Array} sitemaps - [{ loc, lastmod }] (lastmod optional)
+ * @returns {string} XML
+ */
+const buildSitemapIndex = (sitemaps) => {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(sitemap => (sitemap.lastmod
+      ? `  <sitemap><loc>${escapeXml(sitemap.loc)}</loc><lastmod>${sitemap.lastmod.toISOString()}</lastmod></sitemap>`
+      : `  <sitemap><loc>${escapeXml(sitemap.loc)}</loc></sitemap>`)),
+    '</sitemapindex>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  SITEMAP_MAX_URLS,
+  SITEMAP_SECTION_NAMES,
+  buildUrlset,
+  buildSitemapIndex,
+};
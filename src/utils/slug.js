@@ -0,0 +1,115 @@
+/**
+ * Slug Utilities
+ * Generates URL-friendly, unique slugs for blogs
+ */
+
+const prisma = require('../prismaClient');
+
+// Slugs are lowercase words separated by single hyphens
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 100;
+
+// Attempts at a generated slug when concurrent creates keep taking it first
+const SLUG_CREATE_ATTEMPTS = 5;
+
+/**
+ * Convert text to a URL-friendly slug
+ * @param {string} text - Text to convert (usually the blog title)
+ * @returns {string} Slug (may be empty if the text has no latin letters or digits)
+ */
+const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip diacritics (é -> e)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-') // Collapse everything else into hyphens
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+
+  // Cut at a word boundary so slugs don't end mid-word
+  const truncated = slug.substring(0, MAX_SLUG_LENGTH);
+  const lastHyphen = truncated.lastIndexOf('-');
+  return lastHyphen > 0 ? truncated.substring(0, lastHyphen) : truncated;
+};
+
+/**
+ * Check whether a slug can be used by a blog
+ * A slug is taken if another blog uses it now or used it before (old URLs must keep redirecting)
+ * @param {string} slug - Candidate slug
+ * @param {number|null} blogId - Blog that wants the slug (null for new blogs)
+ * @returns {Promise<boolean>} True if the slug is free for this blog
+ */
+const isSlugAvailable = async (slug, blogId = null) => {
+  const [blog, history] = await Promise.all([
+    prisma.blog.findUnique({ where: { slug }, select: { id: true } }),
+    prisma.blogSlugHistory.findUnique({ where: { slug }, select: { blogId: true } }),
+  ]);
+
+  return (!blog || blog.id === blogId) && (!history || history.blogId === blogId);
+};
+
+/**
+ * Generate a unique slug from text, appending -2, -3, ... on collisions
+ * @param {string} text - Text to derive the slug from
+ * @param {number|null} blogId - Blog the slug is for (null for new blogs)
+ * @returns {Promise<string>} Unique slug
+ */
+const generateUniqueSlug = async (text, blogId = null) => {
+  const base = slugify(text) || 'blog';
+  let candidate = base;
+  let suffix = 2;
+
+  while (!(await isSlugAvailable(candidate, blogId))) {
+    // Shorten the base so the suffixed slug stays within MAX_SLUG_LENGTH
+    const ending = `-${suffix}`;
+    candidate = base.substring(0, MAX_SLUG_LENGTH - ending.length).replace(/-+$/, '') + ending;
+    suffix++;
+  }
+
+  return candidate;
+};
+
+/**
+ * Check whether an error is a unique constraint violation on blogs.slug
+ * (another request took the slug between the availability check and the write)
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {boolean}
+ */
+const isSlugConflictError = (error) => {
+  if (!error || error.code !== 'P2002') return false;
+  const target = error.meta?.target;
+  return Array.isArray(target) ? target.includes('slug') : String(target || '').includes('slug');
+};
+
+/**
+ * Create a record under a slug generated from text
+ * If a concurrent request takes the slug first, the next free slug is tried
+ * @param {string} text - Text to derive the slug from
+ * @param {Function} create - async (slug) => record
+ * @returns {Promise<Object>} Created record
+ */
+const createWithUniqueSlug = async (text, create) => {
+  for (let attempt = 1; ; attempt++) {
+    const slug = await generateUniqueSlug(text);
+    try {
+      return await create(slug);
+    } catch (error) {
+      if (!isSlugConflictError(error) || attempt >= SLUG_CREATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  SLUG_PATTERN,
+  MAX_SLUG_LENGTH,
+  slugify,
+  isSlugAvailable,
+  generateUniqueSlug,
+  isSlugConflictError,
+  createWithUniqueSlug,
+};
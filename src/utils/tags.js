@@ -0,0 +1,89 @@
+/**
+ * Tag Utilities
+ * Maps free-form tag input onto canonical tags, so "Meditation" and "meditation "
+ * end up as the same tag on every blog
+ */
+
+const prisma = require('../prismaClient');
+const { slugify } = require('./slug');
+
+/**
+ * Clean up a tag as typed: collapse whitespace and trim
+ * @param {string} name - Raw tag
+ * @returns {string} Normalized name (may be empty)
+ */
+const normalizeTagName = (name) => {
+  return String(name ?? '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Derive the slug of a tag - tags with the same slug are the same tag
+ * Tags without latin letters or digits keep their (lowercased) letters
+ * @param {string} name - Tag name
+ * @returns {string} Slug (empty for blank names)
+ */
+const toTagSlug = (name) => {
+  const normalized = normalizeTagName(name);
+  return slugify(normalized) || normalized.toLowerCase().replace(/ /g, '-');
+};
+
+/**
+ * Resolve tags for a blog to canonical tag names, creating tags seen for the first time
+ * Duplicates (by slug) and blank tags are dropped; order is kept
+ * @param {string[]} names - Tags as submitted
+ * @param {Object} client - Prisma client or transaction (defaults to the app client)
+ * @returns {Promise<string[]>} Canonical tag names
+ */
+const resolveTags = async (names, client = prisma) => {
+  const nameBySlug = new Map();
+
+  for (const raw of names || []) {
+    const name = normalizeTagName(raw);
+    const slug = toTagSlug(name);
+    if (slug && !nameBySlug.has(slug)) {
+      nameBySlug.set(slug, name);
+    }
+  }
+
+  if (nameBySlug.size === 0) return [];
+
+  // New tags take the spelling they were first used with
+  await client.tag.createMany({
+    data: [...nameBySlug].map(([slug, name]) => ({ slug, name })),
+    skipDuplicates: true,
+  });
+
+  const tags = await client.tag.findMany({
+    where: { slug: { in: [...nameBySlug.keys()] } },
+    select: { slug: true, name: true },
+  });
+  const canonicalNames = new Map(tags.map(tag => [tag.slug, tag.name]));
+
+  return [...nameBySlug.keys()].map(slug => canonicalNames.get(slug));
+};
+
+/**
+ * Map tag filter values (names in any spelling, or slugs) to canonical tag names
+ * Values that match no tag are returned normalized, so they simply match no blogs
+ * @param {string[]} values - Tags from a query string
+ * @returns {Promise<string[]>} Tag names to filter blogs.tags by
+ */
+const canonicalizeTagFilter = async (values) => {
+  if (values.length === 0) return values;
+
+  const slugs = values.map(toTagSlug);
+  const tags = await prisma.tag.findMany({
+    where: { slug: { in: slugs } },
+    select: { slug: true, name: true },
+  });
+  const canonicalNames = new Map(tags.map(tag => [tag.slug, tag.name]));
+
+  return values.map((value, index) => canonicalNames.get(slugs[index]) || normalizeTagName(value));
+};
+
+module.exports = {
+  normalizeTagName,
+  toTagSlug,
+  resolveTags,
+  canonicalizeTagFilter,
+};
@@ -0,0 +1,93 @@
+/**
+ * Visitor Identification Utilities
+ * Identifies anonymous readers for like/view deduplication without storing raw identifiers
+ */
+
+const crypto = require('crypto');
+
+const VISITOR_COOKIE = 'bm_vid';
+const VISITOR_HEADER = 'x-visitor-id'; // Client-side fingerprint, for clients without cookies
+const VISITOR_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Read a cookie value from the raw Cookie header
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value (null if missing or malformed)
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (e) {
+        // Malformed percent-encoding - treat the cookie as absent
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Hash a visitor id for storage
+ * Salted so stored hashes can't be matched against known cookie or fingerprint values
+ * @param {string} visitorId - Raw visitor id
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashVisitorId = (visitorId) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${process.env.VISITOR_ID_SALT}:${visitorId}`)
+    .digest('hex');
+};
+
+/**
+ * Derive a visitor id from the request's IP and user agent
+ * Stable across a client's first requests, before it sends back the cookie
+ * @param {Object} req - Express request object
+ * @returns {string} Hex-encoded visitor id
+ */
+const deriveVisitorId = (req) => {
+  return crypto
+    .createHmac('sha256', process.env.VISITOR_ID_SALT)
+    .update(`${req.ip || ''}:${req.headers['user-agent'] || ''}`)
+    .digest('hex');
+};
+
+/**
+ * Resolve the hashed id of the visitor making a request
+ * Uses the X-Visitor-Id fingerprint header, then the visitor cookie; if neither
+ * is present an id is derived from IP and user agent and set as a cookie on the
+ * response, so parallel first requests (e.g. blog + content) share one id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} Hashed visitor id
+ */
+const getVisitorHash = (req, res) => {
+  const candidates = [req.headers[VISITOR_HEADER], readCookie(req, VISITOR_COOKIE)];
+  let visitorId = candidates.find(value => value && VISITOR_ID_PATTERN.test(value));
+
+  if (!visitorId) {
+    visitorId = deriveVisitorId(req);
+    res.cookie(VISITOR_COOKIE, visitorId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: VISITOR_COOKIE_MAX_AGE_MS,
+    });
+  }
+
+  return hashVisitorId(visitorId);
+};
+
+module.exports = {
+  VISITOR_COOKIE,
+  hashVisitorId,
+  getVisitorHash,
+};
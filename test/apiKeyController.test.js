@@ -0,0 +1,123 @@
+/**
+ * API Key Controller Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApiKey, revokeApiKey, rotateApiKey } = require('../src/controllers/apiKeyController');
+
+const STORED_KEY = {
+  id: 4,
+  userId: 2,
+  name: 'CI',
+  prefix: 'bmk_0123abcd',
+  keyHash: 'stored-hash',
+  scopes: ['blogs:write'],
+  expiresAt: null,
+  revokedAt: null,
+};
+
+/**
+ * Stub user 2 with API key 4, recording created keys and audit entries
+ * @returns {Object[]} Recorded audit entries
+ */
+const useDatabase = () => {
+  const audits = [];
+  let nextId = 9;
+
+  prisma.user = {
+    findUnique: async () => ({ id: 2, disabledAt: null }),
+  };
+  prisma.apiKey = {
+    findUnique: async () => ({ ...STORED_KEY }),
+    create: async ({ data }) => {
+      const { keyHash, ...apiKey } = data;
+      return { id: nextId++, ...apiKey, revokedAt: null };
+    },
+    update: async ({ data }) => {
+      const { keyHash, ...apiKey } = STORED_KEY;
+      return { ...apiKey, ...data };
+    },
+  };
+  prisma.auditLog = {
+    create: async ({ data }) => {
+      audits.push(data);
+      return data;
+    },
+  };
+
+  return audits;
+};
+
+const adminRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { id: 1, role: 'admin' },
+  apiKey: { id: 1 },
+  ip: '127.0.0.1',
+  ...overrides,
+});
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test('createApiKey audits the new key without the key itself', async () => {
+  const audits = useDatabase();
+
+  const res = mockResponse();
+  await createApiKey(adminRequest({
+    body: { userId: '2', name: 'Deploy', scopes: ['blogs:write', 'blogs:write'] },
+  }), res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(audits.length, 1);
+  const [entry] = audits;
+  assert.equal(entry.action, 'api-key.create');
+  assert.equal(entry.userId, 1);
+  assert.equal(entry.blogId, null);
+  assert.deepEqual(entry.changes.apiKey, { before: null, after: 9 });
+  assert.deepEqual(entry.changes.scopes, { before: null, after: ['blogs:write'] });
+  assert.ok(!JSON.stringify(entry.changes).includes(res.body.data.key));
+  assert.equal(entry.changes.keyHash, undefined);
+});
+
+test('revokeApiKey audits the revocation', async () => {
+  const audits = useDatabase();
+
+  const res = mockResponse();
+  await revokeApiKey(adminRequest({ params: { id: '4' } }), res);
+
+  assert.equal(res.statusCode, 200);
+  const [entry] = audits;
+  assert.equal(entry.action, 'api-key.revoke');
+  assert.deepEqual(Object.keys(entry.changes), ['apiKey', 'revokedAt']);
+  assert.deepEqual(entry.changes.apiKey, { before: 4, after: 4 });
+  assert.equal(entry.changes.revokedAt.before, null);
+  assert.ok(entry.changes.revokedAt.after instanceof Date);
+});
+
+test('rotateApiKey audits the replacement key and the old key change', async () => {
+  const audits = useDatabase();
+
+  const res = mockResponse();
+  await rotateApiKey(adminRequest({ params: { id: '4' } }), res);
+
+  assert.equal(res.statusCode, 201);
+  const [entry] = audits;
+  assert.equal(entry.action, 'api-key.rotate');
+  assert.deepEqual(entry.changes.apiKey, { before: 4, after: res.body.data.id });
+  assert.ok(entry.changes.revokedAt.after instanceof Date);
+  assert.ok(!JSON.stringify(entry.changes).includes(res.body.data.key));
+});
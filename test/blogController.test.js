@@ -0,0 +1,163 @@
+/**
+ * Blog Controller Tests
+ * File handling of blog updates: live files are only replaced once the update commits
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the S3 calls before the controller and revision service pick them up
+const s3Service = require('../src/services/s3Service');
+const events = [];
+s3Service.uploadBlogContent = async (buffer, blogId, filename, contentType, version) => {
+  events.push(['upload', `blogs/${blogId}/${version}/${filename}`]);
+  return `s3://test-bucket/blogs/${blogId}/${version}/${filename}`;
+};
+s3Service.uploadBlogHtml = async (html, blogId, version) => {
+  events.push(['upload', `blogs/${blogId}/${version}/content.html`]);
+  return `s3://test-bucket/blogs/${blogId}/${version}/content.html`;
+};
+s3Service.uploadBlogCoverImage = async (buffer, blogId, filename, mimeType, version) => {
+  events.push(['upload', `blogs/${blogId}/${version}/cover.png`]);
+  return `s3://test-bucket/blogs/${blogId}/${version}/cover.png`;
+};
+s3Service.uploadRevisionFile = async (buffer, blogId, folder, filename) => {
+  return `s3://test-bucket/blogs/${blogId}/revisions/${folder}/${filename}`;
+};
+s3Service.copyFile = async () => assert.fail('unexpected copy');
+s3Service.deleteFilesByUrl = async (urls) => {
+  events.push(['delete', urls.filter(Boolean)]);
+};
+
+const { updateBlog } = require('../src/controllers/blogController');
+
+const LIVE_URLS = [
+  's3://test-bucket/blogs/7/post.md',
+  's3://test-bucket/blogs/7/content.html',
+  's3://test-bucket/blogs/7/cover.jpg',
+];
+
+const existingBlog = () => ({
+  id: 7,
+  title: 'Old title',
+  slug: 'old-title',
+  tags: [],
+  readTime: 1,
+  readTimeOverride: false,
+  wordCount: 10,
+  excerpt: 'Old',
+  status: 'published',
+  publishAt: null,
+  authorId: 2,
+  sourceUrl: LIVE_URLS[0],
+  contentUrl: LIVE_URLS[1],
+  coverImageUrl: LIVE_URLS[2],
+  deletedAt: null,
+});
+
+/**
+ * Stub the database for an update of blog 7
+ * @param {Object} options - { failWith } error thrown by the blog update in the transaction
+ */
+const useDatabase = ({ failWith = null } = {}) => {
+  prisma.blog = {
+    findUnique: async ({ where }) => (where.id === 7 ? existingBlog() : null),
+    update: async ({ data }) => {
+      if (failWith) throw failWith;
+      events.push(['commit']);
+      return { ...existingBlog(), ...data, updatedAt: new Date() };
+    },
+  };
+  prisma.blogSlugHistory = {
+    findUnique: async () => null,
+    deleteMany: async () => ({ count: 0 }),
+    create: async () => ({}),
+  };
+  prisma.blogRevision = {
+    count: async () => 1,
+    aggregate: async () => ({ _max: { revision: 3 } }),
+    create: async () => ({}),
+  };
+  prisma.auditLog = { create: async () => ({}) };
+  prisma.$queryRaw = async () => [];
+};
+
+const updateRequest = (overrides = {}) => ({
+  params: { id: '7' },
+  body: { slug: 'new-title' },
+  files: {
+    content: [{ originalname: 'post.md', buffer: Buffer.from('# New\n\nBody text') }],
+    cover: [{ originalname: 'cover.png', buffer: Buffer.from('png'), mimetype: 'image/png' }],
+  },
+  user: { id: 1, role: 'admin' },
+  ip: '127.0.0.1',
+  ...overrides,
+});
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test('updateBlog uploads new files to a version folder and deletes the old ones after commit', async () => {
+  events.length = 0;
+  useDatabase();
+
+  const res = mockResponse();
+  await updateBlog(updateRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  const uploads = events.filter(([type]) => type === 'upload').map(([, key]) => key);
+  assert.equal(uploads.length, 3);
+  for (const key of uploads) {
+    assert.match(key, /^blogs\/7\/[0-9a-f-]{36}\/(post\.md|content\.html|cover\.png)$/);
+  }
+
+  const commitIndex = events.findIndex(([type]) => type === 'commit');
+  assert.deepEqual(events.slice(commitIndex + 1), [['delete', LIVE_URLS]]);
+  assert.match(res.body.data.contentUrl, /^s3:\/\/test-bucket\/blogs\/7\/[0-9a-f-]{36}\/content\.html$/);
+});
+
+test('updateBlog keeps the live files when the transaction fails', async () => {
+  events.length = 0;
+  const conflict = Object.assign(new Error('Unique constraint failed'), {
+    code: 'P2002',
+    meta: { target: ['slug'] },
+  });
+  useDatabase({ failWith: conflict });
+
+  const res = mockResponse();
+  await updateBlog(updateRequest(), res);
+
+  assert.equal(res.statusCode, 409);
+  const deleted = events.filter(([type]) => type === 'delete').flatMap(([, urls]) => urls);
+  const uploaded = events.filter(([type]) => type === 'upload').map(([, key]) => `s3://test-bucket/${key}`);
+  for (const url of uploaded) {
+    assert.ok(deleted.includes(url), `${url} was not cleaned up`);
+  }
+  for (const url of LIVE_URLS) {
+    assert.ok(!deleted.includes(url), `live file ${url} was deleted`);
+  }
+});
+
+test('updateBlog rejects requests before touching revisions or S3', async () => {
+  events.length = 0;
+  useDatabase();
+  prisma.blogRevision.count = async () => assert.fail('baseline revision checked');
+
+  const res = mockResponse();
+  await updateBlog(updateRequest({ user: { id: 5, role: 'author', authorId: 9 } }), res);
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(events, []);
+});
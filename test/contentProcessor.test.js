@@ -0,0 +1,56 @@
+/**
+ * Content Processor Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONTENT_TYPES,
+  htmlToPlainText,
+  createExcerpt,
+  calculateReadTime,
+  processContentForStorage,
+} = require('../src/utils/contentProcessor');
+
+test('htmlToPlainText decodes entities', () => {
+  assert.equal(
+    htmlToPlainText('<p>Tom &amp; Jerry&#39;s&nbsp;&quot;house&quot;</p>'),
+    'Tom & Jerry\'s "house"'
+  );
+});
+
+test('htmlToPlainText separates blocks but not inline elements', () => {
+  assert.equal(
+    htmlToPlainText('<h2>Intro</h2><p>one <em>two</em>three<br>four</p><ul><li>a</li><li>b</li></ul>'),
+    'Intro one twothree four a b'
+  );
+});
+
+test('htmlToPlainText leaves out footnote markers', () => {
+  const html = '<p>Text<sup class="footnote-ref"><a href="#fn1" id="fnref1">[1]</a></sup></p>'
+    + '<section class="footnotes"><ol><li id="fn1"><p>Note <a href="#fnref1" class="footnote-backref">↩︎</a></p></li></ol></section>';
+
+  assert.equal(htmlToPlainText(html), 'Text Note');
+});
+
+test('createExcerpt truncates the plain text', () => {
+  assert.equal(createExcerpt('<p>one &amp; two</p>', 100), 'one & two');
+  assert.equal(createExcerpt('<p>abcdef ghij</p>', 6), 'abcdef...');
+});
+
+test('calculateReadTime uses 200 words per minute, at least one minute', () => {
+  assert.equal(calculateReadTime(0), 1);
+  assert.equal(calculateReadTime(200), 1);
+  assert.equal(calculateReadTime(201), 2);
+});
+
+test('processContentForStorage counts words of rendered Markdown without footnote markers', async () => {
+  const markdown = '# Title\n\nSome text[^1] &amp; more.\n\n[^1]: A note.';
+  const processed = await processContentForStorage(Buffer.from(markdown), CONTENT_TYPES.MARKDOWN);
+
+  assert.equal(processed.plainText, 'Title Some text & more. A note.');
+  assert.equal(processed.wordCount, 7);
+  assert.equal(processed.readTime, 1);
+});
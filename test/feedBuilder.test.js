@@ -0,0 +1,115 @@
+/**
+ * Feed Builder Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeXml,
+  tagUri,
+  imageTypeFromUrl,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+} = require('../src/utils/feedBuilder');
+
+const published = new Date('2025-12-01T08:00:00Z');
+
+const feed = {
+  id: tagUri('feed'),
+  title: 'Tom & Jerry\'s <Blog>',
+  description: 'Articles',
+  siteUrl: 'https://blog.example.com',
+  feedUrl: 'https://api.example.com/feed.xml?tag=a&b',
+  updated: published,
+  items: [{
+    id: tagUri('blog:12'),
+    url: 'https://blog.example.com/blog/first-post',
+    title: 'First <script>alert(1)</script> post',
+    summary: 'A & B',
+    contentHtml: '<p>Body with ]]> inside</p>',
+    published,
+    updated: published,
+    tags: ['Yoga & Breath'],
+    author: { name: 'Ann "A" Author', url: 'https://blog.example.com/authors/1' },
+    image: { url: 'https://cdn.example.com/cover.png?x=1&y=2', type: 'image/png' },
+  }],
+};
+
+test('escapeXml escapes markup, quotes and ampersands', () => {
+  assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  assert.equal(escapeXml(null), '');
+  assert.equal(escapeXml(42), '42');
+});
+
+test('tagUri uses the SITE_URL host and is independent of slugs', () => {
+  assert.equal(tagUri('blog:12'), 'tag:blog.example.com,2025:blog:12');
+});
+
+test('imageTypeFromUrl ignores query strings and defaults to JPEG', () => {
+  assert.equal(imageTypeFromUrl('https://cdn.example.com/a.WEBP?sig=1.png'), 'image/webp');
+  assert.equal(imageTypeFromUrl('https://cdn.example.com/cover'), 'image/jpeg');
+});
+
+test('buildRssFeed escapes text and keeps content in a safe CDATA section', () => {
+  const xml = buildRssFeed(feed);
+
+  assert.match(xml, /<title>Tom &amp; Jerry&apos;s &lt;Blog&gt;<\/title>/);
+  assert.match(xml, /<title>First &lt;script&gt;alert\(1\)&lt;\/script&gt; post<\/title>/);
+  assert.match(xml, /<atom:link href="https:\/\/api.example.com\/feed.xml\?tag=a&amp;b"/);
+  assert.match(xml, /<category>Yoga &amp; Breath<\/category>/);
+  assert.match(xml, /<pubDate>Mon, 01 Dec 2025 08:00:00 GMT<\/pubDate>/);
+  // "]]>" in content must not end the CDATA section early
+  assert.match(xml, /<content:encoded><!\[CDATA\[<p>Body with ]]]]><!\[CDATA\[> inside<\/p>]]><\/content:encoded>/);
+  assert.match(xml, /<enclosure url="https:\/\/cdn.example.com\/cover.png\?x=1&amp;y=2" type="image\/png" length="0"\/>/);
+  assert.doesNotMatch(xml, /<script>/);
+});
+
+test('buildAtomFeed escapes HTML content and author names', () => {
+  const xml = buildAtomFeed(feed);
+
+  assert.match(xml, /<id>tag:blog.example.com,2025:feed<\/id>/);
+  assert.match(xml, /<content type="html">&lt;p&gt;Body with ]]&gt; inside&lt;\/p&gt;<\/content>/);
+  assert.match(xml, /<author><name>Ann &quot;A&quot; Author<\/name>/);
+  assert.match(xml, /<published>2025-12-01T08:00:00.000Z<\/published>/);
+});
+
+test('buildJsonFeed falls back to the excerpt as content_text', () => {
+  const json = buildJsonFeed({ ...feed, items: [{ ...feed.items[0], contentHtml: null, author: null }] });
+
+  assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(json.items[0].content_text, 'A & B');
+  assert.equal(json.items[0].content_html, undefined);
+  assert.equal(json.items[0].authors, undefined);
+  assert.deepEqual(json.items[0].tags, ['Yoga & Breath']);
+});
+
+test('siteUrls loads without SITE_URL but refuses to build links', () => {
+  const siteUrlsPath = require.resolve('../src/utils/siteUrls');
+  const siteUrl = process.env.SITE_URL;
+  delete require.cache[siteUrlsPath];
+  delete process.env.SITE_URL;
+
+  try {
+    const { getSiteUrl, blogPageUrl } = require(siteUrlsPath);
+    assert.throws(() => getSiteUrl(), /SITE_URL environment variable is not defined/);
+    assert.throws(() => blogPageUrl({ slug: 'post' }), /SITE_URL environment variable is not defined/);
+  } finally {
+    process.env.SITE_URL = siteUrl;
+    delete require.cache[siteUrlsPath];
+  }
+});
+
+test('getSiteUrl reads SITE_URL on use and drops a trailing slash', () => {
+  const { getSiteUrl } = require('../src/utils/siteUrls');
+  const siteUrl = process.env.SITE_URL;
+  process.env.SITE_URL = 'https://www.example.org/';
+
+  try {
+    assert.equal(getSiteUrl(), 'https://www.example.org');
+  } finally {
+    process.env.SITE_URL = siteUrl;
+  }
+});
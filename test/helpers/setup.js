@@ -0,0 +1,29 @@
+/**
+ * Test Setup
+ * Placeholder configuration for modules that read it at load time, and an in-memory
+ * stand-in for the Prisma client - tests assign the delegate methods they need, e.g.
+ *   prisma.tag = { findMany: async () => [...] };
+ * Require this before any module under src/.
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://test@localhost:5432/test';
+process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+process.env.S3_BUCKET = process.env.S3_BUCKET || 'test-bucket';
+process.env.VISITOR_ID_SALT = process.env.VISITOR_ID_SALT || 'test-salt';
+process.env.SITE_URL = process.env.SITE_URL || 'https://blog.example.com';
+
+const prisma = {
+  // Interactive transactions run against the same stub
+  $transaction: async (fn) => fn(prisma),
+};
+
+require.cache[require.resolve('../../src/prismaClient')] = {
+  id: 'prismaClient',
+  loaded: true,
+  exports: prisma,
+};
+
+module.exports = {
+  prisma,
+};
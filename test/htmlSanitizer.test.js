@@ -0,0 +1,33 @@
+/**
+ * HTML Sanitizer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHTML } = require('../src/utils/htmlSanitizer');
+
+test('sanitizeHTML strips scripts and inline event handlers', () => {
+  const html = sanitizeHTML('<p>Hello</p><script>alert(1)</script><img src="a.png" onerror="alert(1)">');
+
+  assert.match(html, /<p>Hello<\/p>/);
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /onerror/i);
+});
+
+test('sanitizeHTML drops javascript: links but keeps the link text', () => {
+  const html = sanitizeHTML('<a href="javascript:alert(1)">Click</a>');
+
+  assert.doesNotMatch(html, /javascript:/i);
+  assert.match(html, /Click/);
+});
+
+test('sanitizeHTML removes iframes and data attributes', () => {
+  const html = sanitizeHTML('<iframe src="https://evil.example"></iframe><p data-x="1">Text</p>');
+
+  assert.doesNotMatch(html, /<iframe/i);
+  assert.doesNotMatch(html, /data-x/);
+});
+
+test('sanitizeHTML returns an empty string for empty input', () => {
+  assert.equal(sanitizeHTML('   '), '');
+});
@@ -0,0 +1,78 @@
+/**
+ * Legacy Admin Key Import Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importLegacyAdminKey } = require('../src/services/legacyAdminKey');
+const { hashApiKey } = require('../src/utils/apiKeys');
+const { SCOPE_NAMES } = require('../src/middleware/authorize');
+
+/**
+ * Back the user/apiKey delegates with arrays
+ * @returns {Object} { users, apiKeys }
+ */
+const useStore = ({ users = [], apiKeys = [] } = {}) => {
+  prisma.user = {
+    count: async () => users.length,
+    create: async ({ data }) => {
+      const user = { id: users.length + 1, ...data };
+      users.push(user);
+      return user;
+    },
+  };
+  prisma.apiKey = {
+    findUnique: async ({ where }) => apiKeys.find(key => key.keyHash === where.keyHash) || null,
+    create: async ({ data }) => {
+      const apiKey = { id: apiKeys.length + 1, ...data };
+      apiKeys.push(apiKey);
+      return apiKey;
+    },
+  };
+  return { users, apiKeys };
+};
+
+test('ADMIN_API_KEY is imported as an admin key on first boot', async (t) => {
+  process.env.ADMIN_API_KEY = 'legacy_admin_key_value';
+  t.after(() => { delete process.env.ADMIN_API_KEY; });
+  const { users, apiKeys } = useStore();
+
+  const admin = await importLegacyAdminKey();
+
+  assert.equal(admin.role, 'admin');
+  assert.equal(users.length, 1);
+  assert.equal(apiKeys.length, 1);
+  assert.equal(apiKeys[0].keyHash, hashApiKey('legacy_admin_key_value'));
+  assert.equal(apiKeys[0].userId, admin.id);
+  assert.deepEqual(apiKeys[0].scopes, SCOPE_NAMES);
+  // The plain key is never stored
+  assert.ok(!JSON.stringify(apiKeys).includes('legacy_admin_key_value'.substring(12)));
+});
+
+test('ADMIN_API_KEY is not imported twice', async (t) => {
+  process.env.ADMIN_API_KEY = 'legacy_admin_key_value';
+  t.after(() => { delete process.env.ADMIN_API_KEY; });
+  const store = useStore();
+
+  await importLegacyAdminKey();
+  assert.equal(await importLegacyAdminKey(), null);
+  assert.equal(store.apiKeys.length, 1);
+});
+
+test('ADMIN_API_KEY is ignored once staff users exist', async (t) => {
+  process.env.ADMIN_API_KEY = 'legacy_admin_key_value';
+  t.after(() => { delete process.env.ADMIN_API_KEY; });
+  const { apiKeys } = useStore({ users: [{ id: 1, role: 'admin' }] });
+
+  assert.equal(await importLegacyAdminKey(), null);
+  assert.equal(apiKeys.length, 0);
+});
+
+test('nothing happens without ADMIN_API_KEY', async () => {
+  const { users } = useStore();
+
+  assert.equal(await importLegacyAdminKey(), null);
+  assert.equal(users.length, 0);
+});
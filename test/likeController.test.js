@@ -0,0 +1,98 @@
+/**
+ * Like Controller Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { likeBlog, unlikeBlog } = require('../src/controllers/likeController');
+
+/**
+ * Stub a published blog with a like counter, recording raw statements
+ * @param {Object} options - { likes, liked }
+ * @returns {Object} { statements, blog }
+ */
+const useBlog = ({ likes, liked }) => {
+  const blog = { id: 7, likes };
+  const statements = [];
+
+  prisma.blog = {
+    findFirst: async () => ({ ...blog }),
+    findUnique: async () => ({ likes: blog.likes }),
+    update: async () => assert.fail('blog.update bumps updatedAt'),
+    updateMany: async () => assert.fail('blog.updateMany bumps updatedAt'),
+  };
+  prisma.$executeRaw = async (strings, ...values) => {
+    const sql = strings.join('?');
+    statements.push({ sql, values });
+    if (sql.includes('likes + 1')) blog.likes++;
+    if (sql.includes('likes - 1') && blog.likes > 0) blog.likes--;
+    return 1;
+  };
+  prisma.blogLike = {
+    createMany: async () => ({ count: liked ? 0 : 1 }),
+    findUnique: async () => (liked ? { id: 3, createdAt: new Date() } : null),
+    deleteMany: async () => ({ count: liked ? 1 : 0 }),
+  };
+  prisma.blogDailyStat = {
+    upsert: async () => ({}),
+    updateMany: async () => ({ count: 1 }),
+  };
+
+  return { statements, blog };
+};
+
+const request = () => ({
+  params: { id: '7' },
+  headers: { 'user-agent': 'test' },
+  ip: '127.0.0.1',
+});
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  cookie() {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test('likeBlog increments the counter with raw SQL', async () => {
+  const { statements } = useBlog({ likes: 4, liked: false });
+
+  const res = mockResponse();
+  await likeBlog(request(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.likes, 5);
+  assert.equal(statements.length, 1);
+  assert.match(statements[0].sql, /^UPDATE blogs SET likes = likes \+ 1 WHERE id = \?$/);
+  assert.deepEqual(statements[0].values, [7]);
+});
+
+test('likeBlog leaves the counter alone on a repeat like', async () => {
+  const { statements } = useBlog({ likes: 4, liked: true });
+
+  const res = mockResponse();
+  await likeBlog(request(), res);
+
+  assert.equal(res.body.data.likes, 4);
+  assert.equal(statements.length, 0);
+});
+
+test('unlikeBlog decrements the counter with raw SQL', async () => {
+  const { statements } = useBlog({ likes: 4, liked: true });
+
+  const res = mockResponse();
+  await unlikeBlog(request(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.likes, 3);
+  assert.match(statements[0].sql, /likes = likes - 1 WHERE id = \? AND likes > 0/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Publish Scheduler Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { publishDueBlogs } = require('../src/services/publishScheduler');
+
+/**
+ * Stub due blogs, the ids another instance publishes first, and the audit log
+ * @param {number[]} dueIds - Blogs listed as due
+ * @param {number[]} takenIds - Blogs no longer scheduled when the update runs
+ * @returns {Object[]} Recorded audit entries
+ */
+const useDueBlogs = (dueIds, takenIds = []) => {
+  const audits = [];
+
+  prisma.blog = {
+    findMany: async ({ where }) => {
+      assert.equal(where.status, 'scheduled');
+      assert.equal(where.deletedAt, null);
+      assert.ok(where.publishAt.lte instanceof Date);
+      return dueIds.map(id => ({ id, status: 'scheduled' }));
+    },
+    updateMany: async ({ where, data }) => {
+      assert.equal(where.status, 'scheduled');
+      assert.deepEqual(data, { status: 'published' });
+      return { count: takenIds.includes(where.id) ? 0 : 1 };
+    },
+  };
+  prisma.auditLog = {
+    create: async ({ data }) => {
+      audits.push(data);
+      return data;
+    },
+  };
+
+  return audits;
+};
+
+test('publishDueBlogs publishes each due blog with a system audit entry', async () => {
+  const audits = useDueBlogs([3, 8]);
+
+  assert.equal(await publishDueBlogs(), 2);
+
+  assert.deepEqual(audits.map(entry => entry.blogId), [3, 8]);
+  for (const entry of audits) {
+    assert.equal(entry.action, 'blog.scheduled-publish');
+    assert.equal(entry.userId, null);
+    assert.equal(entry.apiKeyId, null);
+    assert.deepEqual(entry.changes, { status: { before: 'scheduled', after: 'published' } });
+  }
+});
+
+test('publishDueBlogs skips blogs that are no longer due when updated', async () => {
+  const audits = useDueBlogs([3, 8], [3]);
+
+  assert.equal(await publishDueBlogs(), 1);
+  assert.deepEqual(audits.map(entry => entry.blogId), [8]);
+});
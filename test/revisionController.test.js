@@ -0,0 +1,121 @@
+/**
+ * Revision Controller Tests
+ * Restores only replace the live files once the restore commits
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the S3 calls before the controller and revision service pick them up
+const s3Service = require('../src/services/s3Service');
+const events = [];
+s3Service.getFile = async () => Buffer.from('<p>Restored</p>');
+s3Service.uploadBlogHtml = async (html, blogId, version) => {
+  events.push(['upload', version]);
+  return `s3://test-bucket/blogs/${blogId}/${version}/content.html`;
+};
+s3Service.copyFile = async (sourceKey, destinationKey) => {
+  events.push(['copy', destinationKey]);
+  return `s3://test-bucket/${destinationKey}`;
+};
+s3Service.deleteFilesByUrl = async (urls) => {
+  events.push(['delete', urls.filter(Boolean)]);
+};
+
+const { restoreRevision } = require('../src/controllers/revisionController');
+
+const LIVE_URLS = [
+  's3://test-bucket/blogs/7/content.html',
+  's3://test-bucket/blogs/7/post.md',
+];
+
+/**
+ * Stub blog 7 with revision 2, whose blog update fails when failWith is given
+ * @param {Object} options - { failWith } error thrown by the blog update
+ */
+const useDatabase = ({ failWith = null } = {}) => {
+  const blog = {
+    id: 7,
+    title: 'Now',
+    tags: [],
+    authorId: null,
+    contentUrl: LIVE_URLS[0],
+    sourceUrl: LIVE_URLS[1],
+    deletedAt: null,
+  };
+
+  prisma.blog = {
+    findUnique: async () => ({ ...blog }),
+    update: async ({ data }) => {
+      if (failWith) throw failWith;
+      events.push(['commit']);
+      return { ...blog, ...data };
+    },
+  };
+  prisma.blogRevision = {
+    findUnique: async () => ({
+      blogId: 7,
+      revision: 2,
+      metadata: { title: 'Then', tags: [] },
+      contentUrl: 's3://test-bucket/blogs/7/revisions/abc/content.html',
+      sourceUrl: 's3://test-bucket/blogs/7/revisions/abc/post.md',
+    }),
+    aggregate: async () => ({ _max: { revision: 4 } }),
+    create: async () => ({}),
+  };
+  prisma.auditLog = { create: async () => ({}) };
+  prisma.$queryRaw = async () => [];
+};
+
+const restoreRequest = () => ({
+  params: { id: '7', rev: '2' },
+  user: { id: 1, role: 'admin' },
+  ip: '127.0.0.1',
+});
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test('restoreRevision writes a version folder and deletes the replaced files after commit', async () => {
+  events.length = 0;
+  useDatabase();
+
+  const res = mockResponse();
+  await restoreRevision(restoreRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.revision, 5);
+  const [[, version], [, copiedKey], ...rest] = events;
+  assert.match(version, /^[0-9a-f-]{36}$/);
+  assert.equal(copiedKey, `blogs/7/${version}/post.md`);
+  assert.deepEqual(rest, [['commit'], ['delete', LIVE_URLS]]);
+});
+
+test('restoreRevision keeps the live files when the transaction fails', async () => {
+  events.length = 0;
+  useDatabase({ failWith: new Error('connection lost') });
+
+  const res = mockResponse();
+  await restoreRevision(restoreRequest(), res);
+
+  assert.equal(res.statusCode, 500);
+  const [, [, copiedKey], [type, deleted]] = events;
+  assert.equal(type, 'delete');
+  assert.equal(deleted.length, 2);
+  assert.ok(deleted.includes(`s3://test-bucket/${copiedKey}`));
+  for (const url of LIVE_URLS) {
+    assert.ok(!deleted.includes(url), `live file ${url} was deleted`);
+  }
+});
@@ -0,0 +1,63 @@
+/**
+ * Revision Service Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the S3 calls before revisionService picks them up
+const s3Service = require('../src/services/s3Service');
+const deletedUrls = [];
+s3Service.deleteFilesByUrl = async (urls) => { deletedUrls.push(...urls.filter(Boolean)); };
+s3Service.getFile = async () => { throw new Error('getFile should not be called'); };
+
+const {
+  reserveRevisionNumber,
+  discardRevisionFiles,
+  readRevisionHtml,
+} = require('../src/services/revisionService');
+
+test('reserveRevisionNumber locks the blog row before numbering', async () => {
+  const calls = [];
+  prisma.$queryRaw = async (strings, ...values) => {
+    calls.push({ sql: strings.join('?'), values });
+    return [];
+  };
+  prisma.blogRevision = {
+    aggregate: async () => {
+      calls.push('aggregate');
+      return { _max: { revision: 4 } };
+    },
+  };
+
+  const revision = await reserveRevisionNumber(7, prisma);
+
+  assert.equal(revision, 5);
+  assert.match(calls[0].sql, /FOR UPDATE/);
+  assert.deepEqual(calls[0].values, [7]);
+  assert.equal(calls[1], 'aggregate');
+});
+
+test('discardRevisionFiles deletes the uploaded copies', async () => {
+  deletedUrls.length = 0;
+
+  await discardRevisionFiles({
+    contentUrl: 's3://test-bucket/blogs/7/revisions/abc/content.html',
+    sourceUrl: null,
+  });
+  await discardRevisionFiles(null);
+
+  assert.deepEqual(deletedUrls, ['s3://test-bucket/blogs/7/revisions/abc/content.html']);
+});
+
+test('readRevisionHtml returns null for content files it cannot render', async () => {
+  const html = await readRevisionHtml({
+    blogId: 7,
+    revision: 1,
+    contentUrl: 's3://test-bucket/blogs/7/revisions/1/content.pdf',
+  });
+
+  assert.equal(html, null);
+});
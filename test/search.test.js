@@ -0,0 +1,120 @@
+/**
+ * Search Utility Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the pool before search.js picks it up; tests set the rows each query returns
+const pool = require('../src/db/pool');
+const queries = [];
+let queryRows = [];
+pool.query = async (text, params) => {
+  queries.push({ text, params });
+  return { rows: queryRows };
+};
+
+const {
+  parseSearchQuery,
+  advancedSearchBlogs,
+  suggestQueryCorrection,
+  findRelatedBlogs,
+} = require('../src/utils/search');
+
+test('parseSearchQuery keeps websearch syntax in the free text', () => {
+  const parsed = parseSearchQuery('"law of karma" -anger OR grief');
+
+  assert.equal(parsed.text, '"law of karma" -anger OR grief');
+  assert.equal(parsed.titleQuery, null);
+  assert.deepEqual(parsed.terms.map(term => term.value), ['law of karma', 'anger', 'OR', 'grief']);
+  assert.equal(parsed.terms[1].negated, true);
+});
+
+test('parseSearchQuery splits tag: and title: terms out of the free text', () => {
+  const parsed = parseSearchQuery('yoga tag:Meditation -tag:"Inner Peace" title:"law of karma" -title:anger');
+
+  assert.equal(parsed.text, 'yoga');
+  assert.deepEqual(parsed.includeTags, ['meditation']);
+  assert.deepEqual(parsed.excludeTags, ['inner peace']);
+  assert.equal(parsed.titleQuery, '(law:A <-> of:A <-> karma:A) & !(anger:A)');
+});
+
+test('parseSearchQuery drops tsquery operators from title terms and punctuation-only text', () => {
+  const parsed = parseSearchQuery('title:"a&b|!c" ???');
+
+  assert.equal(parsed.titleQuery, '(a:A <-> b:A <-> c:A)');
+  assert.equal(parsed.text, '');
+});
+
+test('parseSearchQuery handles non-Latin words and empty input', () => {
+  const parsed = parseSearchQuery('देवी tag:योग');
+
+  assert.equal(parsed.text, 'देवी');
+  assert.deepEqual(parsed.includeTags, ['योग']);
+  assert.deepEqual(parseSearchQuery(undefined).terms, []);
+});
+
+test('findRelatedBlogs binds the published status instead of inlining it', async () => {
+  queries.length = 0;
+  queryRows = [{ id: 3, shared_tags: 2, score: '6.12345' }];
+
+  const related = await findRelatedBlogs(1, 5);
+
+  assert.deepEqual(related, [{ id: 3, sharedTags: 2, score: 6.123 }]);
+  assert.doesNotMatch(queries[0].text, /'published'/);
+  assert.ok(queries[0].params.includes('published'));
+});
+
+test('advancedSearchBlogs binds the published status in the search and count queries', async () => {
+  queries.length = 0;
+  queryRows = [{ total: '0' }];
+
+  await advancedSearchBlogs({ query: 'karma tag:yoga', minReadTime: 3 });
+
+  assert.equal(queries.length, 2);
+  for (const { text, params } of queries) {
+    assert.doesNotMatch(text, /'published'/);
+    assert.match(text, /status = \$1/);
+    assert.equal(params[0], 'published');
+  }
+  // Filters follow the status parameter in both queries
+  assert.deepEqual(queries[1].params, ['published', 'karma', 'yoga', 3]);
+});
+
+test('advancedSearchBlogs escapes stored markup in headlines and keeps only <mark>', async () => {
+  queries.length = 0;
+  queryRows = [{
+    id: 1,
+    title: '<img src=x onerror=alert(1)> Yoga',
+    titleHighlight: '<img src=x onerror=alert(1)> \u0002Yoga\u0003',
+    headline: 'Tom & "Jerry" \u0002yoga\u0003 <script>alert(1)</script> \u0002',
+    total: '1',
+  }];
+
+  const { results } = await advancedSearchBlogs({ query: 'yoga' });
+
+  assert.equal(results[0].titleHighlight, '&lt;img src=x onerror=alert(1)&gt; <mark>Yoga</mark>');
+  assert.equal(results[0].headline, 'Tom &amp; &quot;Jerry&quot; <mark>yoga</mark> &lt;script&gt;alert(1)&lt;/script&gt; ');
+  // Headline options use the markers, never raw <mark> tags
+  assert.ok(queries[0].params.every(param => typeof param !== 'string' || !param.includes('<mark>')));
+});
+
+test('suggestQueryCorrection reads the cached vocabulary and refreshes it in the background', async () => {
+  queries.length = 0;
+  queryRows = [{ input: 'meditaton', correction: 'meditation' }];
+
+  const correction = await suggestQueryCorrection('meditaton tag:yoga');
+
+  assert.equal(correction, 'meditation tag:yoga');
+  assert.ok(queries.some(({ text }) => /REFRESH MATERIALIZED VIEW CONCURRENTLY search_vocabulary/.test(text)));
+  const lookup = queries.find(({ text }) => /FROM search_vocabulary/.test(text));
+  assert.doesNotMatch(lookup.text, /ts_stat/);
+  assert.deepEqual(lookup.params[0], ['meditaton']);
+
+  // Fresh vocabulary is not refreshed again
+  queries.length = 0;
+  await suggestQueryCorrection('meditaton');
+  assert.ok(!queries.some(({ text }) => /REFRESH/.test(text)));
+});
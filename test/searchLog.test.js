@@ -0,0 +1,61 @@
+/**
+ * Search Log Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSearchQuery, recordSearch } = require('../src/utils/searchLog');
+const { SEARCH_LOG_RETENTION_DAYS, purgeSearchLog } = require('../src/services/searchLogPurger');
+
+const readerRequest = () => ({
+  ip: '203.0.113.7',
+  headers: { 'user-agent': 'Mozilla/5.0' },
+});
+
+const noCookies = { cookie: () => {} };
+
+test('normalizeSearchQuery lowercases and collapses whitespace', () => {
+  assert.equal(normalizeSearchQuery('  Inner   PEACE\t'), 'inner peace');
+  assert.equal(normalizeSearchQuery(undefined), '');
+});
+
+test('recordSearch stores the normalized query and visitor hash', async () => {
+  const entries = [];
+  prisma.searchLog = { create: async ({ data }) => { entries.push(data); } };
+
+  recordSearch(readerRequest(), noCookies, { query: ' Yoga ', resultCount: 3 });
+  await new Promise(setImmediate);
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].query, 'yoga');
+  assert.equal(entries[0].resultCount, 3);
+  assert.match(entries[0].clientHash, /^[0-9a-f]{64}$/);
+});
+
+test('recordSearch never throws into the search', async () => {
+  prisma.searchLog = { create: async () => { throw new Error('database down'); } };
+  assert.doesNotThrow(() => recordSearch(readerRequest(), noCookies, { query: 'yoga', resultCount: 0 }));
+
+  prisma.searchLog = { create: () => { throw new Error('client not ready'); } };
+  assert.doesNotThrow(() => recordSearch(readerRequest(), noCookies, { query: 'yoga', resultCount: 0 }));
+
+  await new Promise(setImmediate);
+});
+
+test('purgeSearchLog deletes entries older than the retention period', async () => {
+  let where = null;
+  prisma.searchLog = {
+    deleteMany: async (args) => {
+      where = args.where;
+      return { count: 4 };
+    },
+  };
+
+  const before = Date.now();
+  assert.equal(await purgeSearchLog(), 4);
+
+  const retentionMs = SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  assert.ok(Math.abs(where.createdAt.lt.getTime() - (before - retentionMs)) < 1000);
+});
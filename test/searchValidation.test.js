@@ -0,0 +1,47 @@
+/**
+ * Search Validation Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSearchQuery } = require('../src/middleware/validateRequest');
+
+/**
+ * Run the validateSearchQuery chain against a query string object
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} { passed, status, body }
+ */
+const runSearch = async (query) => {
+  const result = { passed: false, status: null, body: null };
+  const req = { query };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+
+  for (const middleware of validateSearchQuery) {
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    if (!nextCalled) return result;
+  }
+
+  result.passed = true;
+  return result;
+};
+
+test('an empty query is accepted when a filter is given', async () => {
+  assert.equal((await runSearch({ query: '', tags: 'yoga' })).passed, true);
+});
+
+test('an empty query without filters is rejected', async () => {
+  const result = await runSearch({ query: '' });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.body.errors[0].message, 'Search query is required unless a filter is given');
+});
+
+test('a one-character query is rejected', async () => {
+  assert.equal((await runSearch({ query: 'a' })).status, 400);
+});
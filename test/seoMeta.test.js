@@ -0,0 +1,62 @@
+/**
+ * SEO Metadata Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBlogMeta, renderSharePage } = require('../src/utils/seoMeta');
+
+const blog = (overrides = {}) => ({
+  id: 12,
+  slug: 'first-post',
+  title: 'First post',
+  excerpt: 'An excerpt',
+  metaDescription: null,
+  canonicalUrl: null,
+  ogImageUrl: 'https://cdn.example.com/cover.png',
+  noindex: false,
+  tags: ['yoga'],
+  wordCount: 120,
+  createdAt: new Date('2025-12-01T08:00:00Z'),
+  publishAt: null,
+  updatedAt: new Date('2025-12-02T08:00:00Z'),
+  author: { id: 3, name: 'Ann' },
+  ...overrides,
+});
+
+test('buildBlogMeta defaults the canonical URL to the blog page', async () => {
+  const meta = await buildBlogMeta(blog());
+
+  assert.equal(meta.pageUrl, 'https://blog.example.com/blog/first-post');
+  assert.equal(meta.canonicalUrl, meta.pageUrl);
+  assert.equal(meta.openGraph['og:url'], meta.pageUrl);
+});
+
+test('buildBlogMeta keeps the page URL when the canonical URL is overridden', async () => {
+  const meta = await buildBlogMeta(blog({ canonicalUrl: 'https://elsewhere.example.org/post' }));
+
+  assert.equal(meta.pageUrl, 'https://blog.example.com/blog/first-post');
+  assert.equal(meta.canonicalUrl, 'https://elsewhere.example.org/post');
+  assert.equal(meta.openGraph['og:url'], 'https://elsewhere.example.org/post');
+  assert.equal(meta.jsonLd.url, 'https://elsewhere.example.org/post');
+});
+
+test('renderSharePage redirects to the blog page, not the canonical URL', async () => {
+  const html = renderSharePage(await buildBlogMeta(blog({ canonicalUrl: 'https://evil.example.org/phish' })));
+
+  assert.match(html, /<meta http-equiv="refresh" content="0; url=https:\/\/blog\.example\.com\/blog\/first-post">/);
+  assert.match(html, /<a href="https:\/\/blog\.example\.com\/blog\/first-post">/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/evil\.example\.org\/phish">/);
+  assert.match(html, /<meta property="og:url" content="https:\/\/evil\.example\.org\/phish">/);
+  // canonical, og:url and the JSON-LD url/mainEntityOfPage only
+  assert.equal(html.match(/evil\.example\.org/g).length, 4);
+});
+
+test('renderSharePage escapes metadata', async () => {
+  const html = renderSharePage(await buildBlogMeta(blog({ title: '</script><b>"Hi"</b>' })));
+
+  assert.match(html, /<title>&lt;\/script&gt;&lt;b&gt;&quot;Hi&quot;&lt;\/b&gt; \| /);
+  assert.ok(!html.includes('</script><b>'));
+});
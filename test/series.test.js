@@ -0,0 +1,128 @@
+/**
+ * Series Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSeriesNavigation } = require('../src/utils/series');
+const { createSeries, setSeriesPosts } = require('../src/controllers/seriesController');
+
+const part = (id) => ({ blog: { id, title: `Part ${id}`, slug: `part-${id}` } });
+
+/**
+ * Serve a series whose visible parts, ordered by position, are the given blog IDs
+ * @param {number[]} blogIds - Visible parts in position order
+ * @returns {Object[]} Captured findUnique arguments
+ */
+const useSeries = (blogIds) => {
+  const calls = [];
+  prisma.seriesPost = {
+    findUnique: async (args) => {
+      calls.push(args);
+      return { series: { id: 4, title: 'Pranayama', posts: blogIds.map(part) } };
+    },
+  };
+  return calls;
+};
+
+/**
+ * Minimal Express response recording status and body
+ * @returns {Object}
+ */
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test('getSeriesNavigation loads the parts by position', async () => {
+  const calls = useSeries([7, 3, 9]);
+
+  await getSeriesNavigation(3, false);
+
+  const { posts } = calls[0].select.series.select;
+  assert.deepEqual(calls[0].where, { blogId: 3 });
+  assert.deepEqual(posts.orderBy, { position: 'asc' });
+  assert.equal(posts.where.blog.deletedAt, null);
+});
+
+test('getSeriesNavigation numbers parts in position order with neighbours', async () => {
+  useSeries([7, 3, 9]);
+
+  const first = await getSeriesNavigation(7, false);
+  assert.equal(first.part, 1);
+  assert.equal(first.totalParts, 3);
+  assert.equal(first.previous, null);
+  assert.equal(first.next.id, 3);
+
+  const middle = await getSeriesNavigation(3, false);
+  assert.equal(middle.part, 2);
+  assert.equal(middle.previous.id, 7);
+  assert.equal(middle.next.id, 9);
+
+  const last = await getSeriesNavigation(9, false);
+  assert.equal(last.part, 3);
+  assert.equal(last.previous.id, 3);
+  assert.equal(last.next, null);
+});
+
+test('getSeriesNavigation closes gaps left by hidden parts', async () => {
+  // Part 2 (blog 3) is a draft, so blog 9 is shown as part 2 of 2
+  useSeries([7, 9]);
+
+  const nav = await getSeriesNavigation(9, false);
+  assert.equal(nav.part, 2);
+  assert.equal(nav.totalParts, 2);
+  assert.equal(nav.previous.id, 7);
+});
+
+test('getSeriesNavigation returns null for blogs outside a series or hidden from the reader', async () => {
+  prisma.seriesPost = { findUnique: async () => null };
+  assert.equal(await getSeriesNavigation(5, false), null);
+
+  useSeries([7, 9]);
+  assert.equal(await getSeriesNavigation(3, false), null);
+});
+
+test('createSeries refuses blogs in the trash', async () => {
+  prisma.blog = {
+    findMany: async () => [
+      { id: 1, deletedAt: null, seriesPost: null },
+      { id: 2, deletedAt: new Date(), seriesPost: null },
+    ],
+  };
+  prisma.series = { create: async () => assert.fail('series created') };
+
+  const res = mockResponse();
+  await createSeries({ body: { title: 'Series', blogIds: [1, 2] } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Blog(s) in the trash: 2');
+});
+
+test('setSeriesPosts answers 409 when a concurrent request took a blog', async () => {
+  prisma.series = { findUnique: async () => ({ id: 4 }) };
+  prisma.blog = { findMany: async () => [{ id: 1, deletedAt: null, seriesPost: null }] };
+  prisma.seriesPost = {
+    findMany: async () => [],
+    deleteMany: async () => ({ count: 0 }),
+    createMany: async () => {
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: ['blogId'] } });
+    },
+  };
+
+  const res = mockResponse();
+  await setSeriesPosts({ params: { id: '4' }, body: { blogIds: [1] } }, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.success, false);
+});
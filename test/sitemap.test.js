@@ -0,0 +1,119 @@
+/**
+ * Sitemap Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the pool before the controller picks it up - tag and author sections use raw SQL
+const pool = require('../src/db/pool');
+const counts = { blogs: 0, tags: 0, authors: 0 };
+const loads = [];
+pool.query = async (text, params) => {
+  const section = /FROM tags/.test(text) ? 'tags' : 'authors';
+  if (/COUNT\(DISTINCT/.test(text)) {
+    return { rows: [{ count: counts[section], lastmod: null }] };
+  }
+  loads.push({ section, limit: params[1], offset: params[2] });
+  return { rows: section === 'tags' ? [{ slug: 'inner-peace', lastmod: null }] : [{ id: 4, lastmod: null }] };
+};
+
+const { SITEMAP_MAX_URLS, buildUrlset, buildSitemapIndex } = require('../src/utils/sitemapBuilder');
+const { getSitemap, getSitemapPage, getRobotsTxt } = require('../src/controllers/sitemapController');
+
+const lastmod = new Date('2025-12-01T00:00:00Z');
+
+prisma.blog = {
+  aggregate: async () => ({ _count: counts.blogs, _max: { updatedAt: lastmod } }),
+  findMany: async ({ skip, take }) => {
+    loads.push({ section: 'blogs', limit: take, offset: skip });
+    return [{ id: 1, slug: 'first-post', updatedAt: lastmod }];
+  },
+};
+
+/**
+ * Call a controller with a fake request and capture the response
+ * @returns {Promise<Object>} { status, type, body }
+ */
+const run = async (handler, params = {}) => {
+  const result = { status: null, type: null, body: null, headers: {} };
+  const req = {
+    params,
+    protocol: 'https',
+    get: () => 'api.example.com',
+  };
+  const res = {
+    set(name, value) { result.headers[name] = value; return this; },
+    status(code) { result.status = code; return this; },
+    type(value) { result.type = value; return this; },
+    send(body) { result.body = body; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  await handler(req, res);
+  return result;
+};
+
+test('buildUrlset escapes locations and omits missing lastmod', () => {
+  const xml = buildUrlset([
+    { loc: 'https://blog.example.com/blog/a?x=1&y=2', lastmod },
+    { loc: 'https://blog.example.com/authors/1' },
+  ]);
+
+  assert.match(xml, /<url><loc>https:\/\/blog.example.com\/blog\/a\?x=1&amp;y=2<\/loc><lastmod>2025-12-01T00:00:00.000Z<\/lastmod><\/url>/);
+  assert.match(xml, /<url><loc>https:\/\/blog.example.com\/authors\/1<\/loc><\/url>/);
+});
+
+test('buildSitemapIndex lists sitemap files', () => {
+  const xml = buildSitemapIndex([{ loc: 'https://api.example.com/sitemaps/blogs-1.xml', lastmod }]);
+
+  assert.match(xml, /<sitemapindex xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+  assert.match(xml, /<sitemap><loc>https:\/\/api.example.com\/sitemaps\/blogs-1.xml<\/loc>/);
+});
+
+test('getSitemap returns a single urlset while every URL fits', async () => {
+  Object.assign(counts, { blogs: 1, tags: 1, authors: 1 });
+  loads.length = 0;
+
+  const { status, body } = await run(getSitemap);
+
+  assert.equal(status, 200);
+  assert.match(body, /<urlset/);
+  assert.match(body, /https:\/\/blog.example.com\/blog\/first-post/);
+  assert.match(body, /https:\/\/blog.example.com\/blog\/tag\/inner-peace/);
+  assert.match(body, /https:\/\/blog.example.com\/authors\/4/);
+});
+
+test('getSitemap splits into an index of section files past SITEMAP_MAX_URLS', async () => {
+  Object.assign(counts, { blogs: SITEMAP_MAX_URLS * 2 + 1, tags: 10, authors: 0 });
+  loads.length = 0;
+
+  const { body } = await run(getSitemap);
+
+  const locs = [...body.matchAll(/<loc>([^<]+)<\/loc>/g)].map(match => match[1]);
+  assert.deepEqual(locs, [
+    'https://api.example.com/sitemaps/blogs-1.xml',
+    'https://api.example.com/sitemaps/blogs-2.xml',
+    'https://api.example.com/sitemaps/blogs-3.xml',
+    'https://api.example.com/sitemaps/tags-1.xml',
+  ]);
+  // The index is built from counts alone
+  assert.equal(loads.length, 0);
+});
+
+test('getSitemapPage loads the requested slice of a section', async () => {
+  loads.length = 0;
+
+  const { status } = await run(getSitemapPage, { section: 'blogs', page: '2' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(loads, [{ section: 'blogs', limit: SITEMAP_MAX_URLS, offset: SITEMAP_MAX_URLS }]);
+});
+
+test('getRobotsTxt keeps crawlers out of the API and points at the sitemap', async () => {
+  const { body } = await run(getRobotsTxt);
+
+  assert.match(body, /^Disallow: \/api\/$/m);
+  assert.match(body, /^Sitemap: https:\/\/api.example.com\/sitemap.xml$/m);
+});
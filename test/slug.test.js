@@ -0,0 +1,81 @@
+/**
+ * Slug Utility Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_SLUG_LENGTH,
+  SLUG_PATTERN,
+  slugify,
+  generateUniqueSlug,
+  createWithUniqueSlug,
+} = require('../src/utils/slug');
+
+/**
+ * Point the slug lookups at a set of taken slugs
+ * @param {Set<string>} taken - Slugs in use
+ */
+const useTakenSlugs = (taken) => {
+  prisma.blog = { findUnique: async ({ where }) => (taken.has(where.slug) ? { id: 999 } : null) };
+  prisma.blogSlugHistory = { findUnique: async () => null };
+};
+
+test('slugify lowercases, strips diacritics and collapses separators', () => {
+  assert.equal(slugify('  Café & Crème: Part 2! '), 'cafe-creme-part-2');
+  assert.equal(slugify('ॐ'), '');
+});
+
+test('slugify shortens long titles at a word boundary', () => {
+  const slug = slugify('word '.repeat(30));
+
+  assert.ok(slug.length <= MAX_SLUG_LENGTH);
+  assert.match(slug, SLUG_PATTERN);
+  assert.ok(slug.endsWith('word'));
+});
+
+test('generateUniqueSlug appends the first free suffix', async () => {
+  useTakenSlugs(new Set(['hello', 'hello-2']));
+
+  assert.equal(await generateUniqueSlug('Hello'), 'hello-3');
+  assert.equal(await generateUniqueSlug('!!!'), 'blog');
+});
+
+test('generateUniqueSlug keeps suffixed slugs within MAX_SLUG_LENGTH', async () => {
+  const base = 'a'.repeat(MAX_SLUG_LENGTH);
+  useTakenSlugs(new Set([base]));
+
+  const slug = await generateUniqueSlug(base);
+
+  assert.equal(slug.length, MAX_SLUG_LENGTH);
+  assert.ok(slug.endsWith('-2'));
+  assert.match(slug, SLUG_PATTERN);
+});
+
+test('createWithUniqueSlug retries when a concurrent create takes the slug', async () => {
+  const taken = new Set();
+  useTakenSlugs(taken);
+
+  let attempts = 0;
+  const blog = await createWithUniqueSlug('Hello', async (slug) => {
+    attempts++;
+    if (attempts === 1) {
+      // Another request committed the same slug in the meantime
+      taken.add(slug);
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: ['slug'] } });
+    }
+    return { slug };
+  });
+
+  assert.equal(attempts, 2);
+  assert.equal(blog.slug, 'hello-2');
+});
+
+test('createWithUniqueSlug rethrows other errors', async () => {
+  useTakenSlugs(new Set());
+  const failure = Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: ['email'] } });
+
+  await assert.rejects(createWithUniqueSlug('Hello', async () => { throw failure; }), failure);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tag Utility Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeTagName,
+  toTagSlug,
+  resolveTags,
+  canonicalizeTagFilter,
+} = require('../src/utils/tags');
+
+/**
+ * In-memory tag table behind a Prisma-like tag delegate
+ * @param {Object[]} existing - Tags already stored ({ slug, name })
+ * @returns {Object} { delegate, tags, created }
+ */
+const tagTable = (existing = []) => {
+  const tags = existing.map(tag => ({ ...tag }));
+  const created = [];
+
+  const delegate = {
+    createMany: async ({ data, skipDuplicates }) => {
+      assert.equal(skipDuplicates, true);
+      for (const tag of data) {
+        if (!tags.some(row => row.slug === tag.slug)) {
+          tags.push({ ...tag });
+          created.push(tag.name);
+        }
+      }
+      return { count: created.length };
+    },
+    findMany: async ({ where }) => tags.filter(tag => where.slug.in.includes(tag.slug)),
+  };
+
+  return { delegate, tags, created };
+};
+
+test('normalizeTagName collapses whitespace and trims', () => {
+  assert.equal(normalizeTagName('  Yoga \n  Nidra  '), 'Yoga Nidra');
+  assert.equal(normalizeTagName(null), '');
+  assert.equal(normalizeTagName(42), '42');
+});
+
+test('toTagSlug slugifies names and keeps non-latin letters', () => {
+  assert.equal(toTagSlug(' Café  Life '), 'cafe-life');
+  assert.equal(toTagSlug('Yoga & Breath'), 'yoga-breath');
+  assert.equal(toTagSlug('ध्यान योग'), 'ध्यान-योग');
+  assert.equal(toTagSlug('   '), '');
+});
+
+test('resolveTags maps spelling variants onto existing tags and creates new ones', async () => {
+  const { delegate, tags, created } = tagTable([{ slug: 'meditation', name: 'Meditation' }]);
+
+  const names = await resolveTags(['meditation ', 'Breath Work', 'MEDITATION', '  ', 'breath-work'], { tag: delegate });
+
+  assert.deepEqual(names, ['Meditation', 'Breath Work']);
+  assert.deepEqual(created, ['Breath Work']);
+  assert.equal(tags.length, 2);
+});
+
+test('resolveTags uses the given transaction client', async () => {
+  const { delegate } = tagTable();
+  prisma.tag = {
+    createMany: async () => assert.fail('the app client was used'),
+    findMany: async () => assert.fail('the app client was used'),
+  };
+
+  assert.deepEqual(await resolveTags(['Yoga'], { tag: delegate }), ['Yoga']);
+});
+
+test('resolveTags skips the database for empty input', async () => {
+  prisma.tag = {
+    createMany: async () => assert.fail('unexpected createMany'),
+    findMany: async () => assert.fail('unexpected findMany'),
+  };
+
+  assert.deepEqual(await resolveTags(undefined), []);
+  assert.deepEqual(await resolveTags(['', '  ']), []);
+});
+
+test('canonicalizeTagFilter matches names and slugs, passing unknown tags through', async () => {
+  prisma.tag = tagTable([{ slug: 'yoga-breath', name: 'Yoga & Breath' }]).delegate;
+
+  assert.deepEqual(
+    await canonicalizeTagFilter(['yoga-breath', 'YOGA & breath', ' Unknown  tag ']),
+    ['Yoga & Breath', 'Yoga & Breath', 'Unknown tag']
+  );
+});
@@ -0,0 +1,59 @@
+/**
+ * Trash Purger Tests
+ */
+
+const { prisma } = require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub S3 before the purger picks it up; events record the order of DB and S3 work
+const events = [];
+const s3Service = require('../src/services/s3Service');
+s3Service.deleteBlogFiles = async (blogId) => { events.push(`files:${blogId}`); };
+
+const { purgeExpiredTrash } = require('../src/services/trashPurger');
+
+const longAgo = new Date('2000-01-01T00:00:00Z');
+
+/**
+ * Back the blog/auditLog delegates with the given trashed blogs
+ * @param {Object[]} listed - Blogs returned by the expiry query
+ * @param {number[]} stillTrashed - IDs whose deletedAt still matches when deleting
+ */
+const useBlogs = (listed, stillTrashed) => {
+  events.length = 0;
+  prisma.blog = {
+    findMany: async () => listed,
+    deleteMany: async ({ where }) => {
+      assert.ok(where.deletedAt.lt instanceof Date);
+      const count = stillTrashed.includes(where.id) ? 1 : 0;
+      events.push(`delete:${where.id}:${count}`);
+      return { count };
+    },
+  };
+  prisma.auditLog = {
+    create: async ({ data }) => {
+      events.push(`audit:${data.blogId}`);
+      return data;
+    },
+  };
+};
+
+test('purgeExpiredTrash deletes files only after the row is gone', async () => {
+  useBlogs([{ id: 1, deletedAt: longAgo }], [1]);
+
+  const purged = await purgeExpiredTrash();
+
+  assert.equal(purged, 1);
+  assert.deepEqual(events, ['delete:1:1', 'audit:1', 'files:1']);
+});
+
+test('purgeExpiredTrash keeps blogs restored or purged since they were listed', async () => {
+  useBlogs([{ id: 1, deletedAt: longAgo }, { id: 2, deletedAt: longAgo }], [2]);
+
+  const purged = await purgeExpiredTrash();
+
+  assert.equal(purged, 1);
+  assert.deepEqual(events, ['delete:1:0', 'delete:2:1', 'audit:2', 'files:2']);
+});
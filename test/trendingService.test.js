@@ -0,0 +1,110 @@
+/**
+ * Trending Service Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// trendingService destructures query at load, so the stub goes in first
+const pool = require('../src/db/pool');
+const queries = [];
+let queryRows = [];
+pool.query = async (text, params) => {
+  queries.push({ text, params });
+  return { rows: queryRows };
+};
+
+const {
+  TRENDING_WINDOW_NAMES,
+  getUtcDay,
+  rankTrending,
+  getTrendingScores,
+} = require('../src/services/trendingService');
+
+test('trending windows are 24h, 7d and 30d', () => {
+  assert.deepEqual(TRENDING_WINDOW_NAMES, ['24h', '7d', '30d']);
+});
+
+test('getUtcDay truncates to midnight UTC', () => {
+  const day = getUtcDay(new Date('2025-12-01T23:59:59.999Z'));
+
+  assert.equal(day.toISOString(), '2025-12-01T00:00:00.000Z');
+});
+
+test('recent views outrank the same views from earlier days', () => {
+  const days = [
+    { id: 1, age: 3, views: 100, likes: 0 },
+    { id: 2, age: 0, views: 100, likes: 0 },
+    { id: 3, age: 1, views: 100, likes: 0 },
+  ];
+
+  for (const window of ['7d', '30d']) {
+    assert.deepEqual(rankTrending(days, window, 10).map(blog => blog.id), [2, 3, 1]);
+  }
+});
+
+test('engagement decays by half every half-life', () => {
+  const [{ score: fresh }] = rankTrending([{ id: 1, age: 0, views: 80, likes: 0 }], '7d', 1);
+  const [{ score: halved }] = rankTrending([{ id: 1, age: 2, views: 80, likes: 0 }], '7d', 1);
+  const [{ score: slower }] = rankTrending([{ id: 1, age: 7, views: 80, likes: 0 }], '30d', 1);
+
+  assert.equal(fresh, 80);
+  assert.equal(halved, 40);
+  assert.equal(slower, 40);
+});
+
+test('a recent like outranks an older one and counts as five views', () => {
+  const days = [
+    { id: 1, age: 4, views: 0, likes: 1 },
+    { id: 2, age: 0, views: 0, likes: 1 },
+    { id: 3, age: 0, views: 4, likes: 0 },
+  ];
+
+  const ranked = rankTrending(days, '7d', 10);
+  assert.deepEqual(ranked.map(blog => blog.id), [2, 3, 1]);
+  assert.equal(ranked[0].score, 5);
+});
+
+test('days outside the window are left out', () => {
+  const days = [
+    { id: 1, age: 0, views: 1, likes: 0 },
+    { id: 2, age: 1, views: 500, likes: 0 },
+    { id: 3, age: 7, views: 500, likes: 0 },
+    { id: 4, age: 30, views: 500, likes: 0 },
+  ];
+
+  assert.deepEqual(rankTrending(days, '24h', 10).map(blog => blog.id), [1]);
+  assert.deepEqual(rankTrending(days, '7d', 10).map(blog => blog.id), [2, 1]);
+  assert.deepEqual(rankTrending(days, '30d', 10).map(blog => blog.id), [2, 3, 1]);
+});
+
+test('rankTrending sums days per blog, drops empty ones and applies the limit', () => {
+  const days = [
+    { id: 1, age: 0, views: 3, likes: 0 },
+    { id: 1, age: 1, views: 4, likes: 0 },
+    { id: 2, age: 0, views: 0, likes: 0 },
+    { id: 3, age: 0, views: 2, likes: 0 },
+    { id: 4, age: 0, views: 2, likes: 0 },
+  ];
+
+  assert.deepEqual(rankTrending(days, '7d', 2), [
+    { id: 1, score: 5.83 }, // 3 + 4 * 0.5^(1/2)
+    { id: 4, score: 2 },
+  ]);
+});
+
+test('getTrendingScores reads published rollups within the window', async () => {
+  queries.length = 0;
+  queryRows = [
+    { id: 5, age: 0, views: 1, likes: 0 },
+    { id: 6, age: 1, views: 10, likes: 1 },
+  ];
+
+  const scores = await getTrendingScores('24h', 5);
+
+  assert.deepEqual(scores, [{ id: 5, score: 1 }]);
+  assert.deepEqual(queries[0].params.slice(1), [1, 'published']);
+  assert.match(queries[0].params[0], /^\d{4}-\d{2}-\d{2}$/);
+});
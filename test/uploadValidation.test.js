@@ -0,0 +1,53 @@
+/**
+ * Upload Validation Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFileUpload } = require('../src/middleware/validateRequest');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Run validateFileUpload against a content file
+ * @returns {Object} { passed, status, body }
+ */
+const runUpload = (originalname, mimetype) => {
+  const result = { passed: false, status: null, body: null };
+  const req = { files: { content: [{ originalname, mimetype, size: 100 }] } };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+
+  validateFileUpload(req, res, () => { result.passed = true; });
+  return result;
+};
+
+test('Markdown is accepted with a generic MIME type', () => {
+  assert.equal(runUpload('notes.md', 'application/octet-stream').passed, true);
+  assert.equal(runUpload('notes.markdown', 'text/plain').passed, true);
+  assert.equal(runUpload('notes.md', 'text/markdown').passed, true);
+});
+
+test('generic MIME types are not accepted for Word documents', () => {
+  assert.equal(runUpload('essay.docx', 'application/octet-stream').passed, false);
+  assert.equal(runUpload('essay.docx', DOCX).passed, true);
+});
+
+test('unsupported extensions are rejected', () => {
+  const result = runUpload('page.html', 'text/plain');
+
+  assert.equal(result.passed, false);
+  assert.equal(result.status, 400);
+});
+
+test('ALLOWED_CONTENT_TYPES adds to the built-in types', (t) => {
+  process.env.ALLOWED_CONTENT_TYPES = 'application/zip';
+  t.after(() => { delete process.env.ALLOWED_CONTENT_TYPES; });
+
+  assert.equal(runUpload('essay.docx', 'application/zip').passed, true);
+  assert.equal(runUpload('notes.md', 'text/markdown').passed, true);
+});
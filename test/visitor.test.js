@@ -0,0 +1,49 @@
+/**
+ * Visitor Identification Tests
+ */
+
+require('./helpers/setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VISITOR_COOKIE, hashVisitorId, getVisitorHash } = require('../src/utils/visitor');
+
+/**
+ * Fake response that records cookies set on it
+ * @returns {Object} Response with a cookies array
+ */
+const createResponse = () => {
+  const res = { cookies: [] };
+  res.cookie = (name, value) => { res.cookies.push({ name, value }); };
+  return res;
+};
+
+test('getVisitorHash reuses the visitor cookie', () => {
+  const res = createResponse();
+  const req = { headers: { cookie: `theme=dark; ${VISITOR_COOKIE}=visitor_12345` } };
+
+  assert.equal(getVisitorHash(req, res), hashVisitorId('visitor_12345'));
+  assert.equal(res.cookies.length, 0);
+});
+
+test('getVisitorHash ignores a malformed visitor cookie', () => {
+  const res = createResponse();
+  const req = { headers: { cookie: `${VISITOR_COOKIE}=%E0%A4%A` } };
+
+  assert.doesNotThrow(() => getVisitorHash(req, res));
+  assert.equal(res.cookies.length, 1);
+});
+
+test('getVisitorHash gives cookieless requests from one client the same id', () => {
+  const req = { ip: '203.0.113.7', headers: { 'user-agent': 'Mozilla/5.0' } };
+  const first = createResponse();
+  const second = createResponse();
+
+  const hash = getVisitorHash(req, first);
+
+  assert.equal(getVisitorHash(req, second), hash);
+  // The issued cookie maps to the same hash once the client sends it back
+  const withCookie = { headers: { cookie: `${VISITOR_COOKIE}=${first.cookies[0].value}` } };
+  assert.equal(getVisitorHash(withCookie, createResponse()), hash);
+  assert.notEqual(getVisitorHash({ ...req, ip: '203.0.113.8' }, createResponse()), hash);
+});